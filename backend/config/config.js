@@ -6,8 +6,10 @@
 
 import dotenv from "dotenv";
 
+// Entorno de producción
+export const IS_PRODUCTION = process.env.NODE_ENV === "production";
 // Cargar variables de entorno para desarrollo y producción
-if (process.env.NODE_ENV === "production") {
+if (IS_PRODUCTION) {
   dotenv.config({ path: ".env.production" });
 } else {
   dotenv.config();
@@ -21,3 +23,74 @@ export const CLUSTER = process.env.CLUSTER;
 export const DATABASE = process.env.DATABASE;
 // Clave secreta para tokens JWT (autenticación)
 export const JWT_SECRET = process.env.JWT_SECRET;
+// Duración del token de acceso JWT (corta, se renueva con el refresh token)
+export const ACCESS_TOKEN_EXPIRES_IN =
+  process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+// Días de validez del refresh token
+export const REFRESH_TOKEN_EXPIRES_DAYS =
+  Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+// URL del frontend para los enlaces que se envían por email
+export const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+// Correo electrónico
+export const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "outbox";
+export const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || "outbox";
+export const MAIL_FROM =
+  process.env.MAIL_FROM || "Negromate Creatives <no-reply@negromate.com>";
+// Minutos de validez del enlace de recuperación de contraseña
+export const PASSWORD_RESET_EXPIRES_MINUTES =
+  Number(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+// Validez del enlace de verificación de email
+export const EMAIL_VERIFICATION_EXPIRES_IN =
+  process.env.EMAIL_VERIFICATION_EXPIRES_IN || "24h";
+// Categorías que exigen email verificado para hacer pedidos:
+// "all" (todas), "none" (ninguna) o una lista de slugs, p. ej.
+// "murals,custom-clothing"
+export const VERIFIED_EMAIL_REQUIRED_FOR =
+  process.env.VERIFIED_EMAIL_REQUIRED_FOR || "all";
+// Protección contra fuerza bruta en el login
+export const LOGIN_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+export const LOGIN_MAX_ATTEMPTS_PER_IP =
+  Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20;
+export const LOGIN_LOCKOUT_MINUTES =
+  Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// Exigir verificación en dos pasos al personal (editores, pedidos y
+// administradores) para las tareas de gestión. Desactivado por defecto
+// ("true" para activarlo cuando el personal ya tenga 2FA configurado)
+export const REQUIRE_STAFF_2FA = process.env.REQUIRE_STAFF_2FA === "true";
+// Unidades a partir de las cuales un producto aparece en el informe de
+// stock bajo
+export const LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD) || 5;
+// Subida de imágenes: carpeta donde se guardan, tamaño
+// máximo en MB y URL pública del backend para las URLs devueltas
+// (por defecto, el host de la petición)
+export const UPLOADS_DIR = process.env.UPLOADS_DIR || "public/uploads";
+// Ruta del servidor desde la que se sirve UPLOADS_DIR
+export const UPLOADS_URL_PATH = process.env.UPLOADS_URL_PATH || "/uploads";
+export const UPLOAD_MAX_SIZE_MB = Number(process.env.UPLOAD_MAX_SIZE_MB) || 10;
+export const PUBLIC_URL = process.env.PUBLIC_URL || "";
+// IVA: si los precios de la tienda ya incluyen el impuesto ("false" para
+// sumarlo al precio) y tipo en % de las categorías sin uno propio
+export const PRICES_INCLUDE_TAX = process.env.PRICES_INCLUDE_TAX !== "false";
+export const DEFAULT_TAX_RATE = Number(process.env.DEFAULT_TAX_RATE ?? 21);
+// Facturas: prefijo de la numeración (PREFIJO-AÑO-NÚMERO) y datos
+// fiscales del estudio que aparecen como emisor
+export const INVOICE_PREFIX = process.env.INVOICE_PREFIX || "NC";
+export const STUDIO_FISCAL_DATA = {
+  name: process.env.STUDIO_LEGAL_NAME || "Negromate Creatives",
+  taxId: process.env.STUDIO_TAX_ID || "",
+  address: process.env.STUDIO_ADDRESS || "",
+  email: process.env.STUDIO_EMAIL || "",
+};
+// Pagos: proveedor de la pasarela ("mock" simula una pasarela local para
+// desarrollo), moneda de cobro y secreto con el que el proveedor firma los
+// webhooks. En producción el secreto no tiene valor por defecto.
+export const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || "mock";
+export const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || "eur";
+export const DEFAULT_WEBHOOK_SECRET = "mock-webhook-secret";
+export const PAYMENT_WEBHOOK_SECRET =
+  process.env.PAYMENT_WEBHOOK_SECRET ||
+  (IS_PRODUCTION ? "" : DEFAULT_WEBHOOK_SECRET);
+// Minutos que una orden con el pago iniciado puede seguir pendiente antes
+// de cancelarse y liberar su stock y su cupón
+export const PENDING_ORDER_EXPIRES_MINUTES =
+  Number(process.env.PENDING_ORDER_EXPIRES_MINUTES) || 60;
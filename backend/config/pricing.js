@@ -0,0 +1,42 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Tarifas de los presupuestos a medida
+ * ============================================
+ */
+
+// Reglas de precio de los murales. Los importes son en euros.
+export const MURAL_PRICING = {
+  // Diseño y boceto digital, se cobra en todos los murales
+  designFee: 150,
+  // Pintura por m² según la ubicación del muro
+  ratePerM2: {
+    interior: 90,
+    exterior: 110,
+  },
+  // Preparación de la superficie por m²: lista para pintar, limpieza e
+  // imprimación o reparación de grietas y desconchones
+  surfacePerM2: {
+    ready: 0,
+    clean: 6,
+    repair: 15,
+  },
+  // Tramos de altura (la mayor que se supere): recargo sobre la pintura y
+  // coste fijo del andamio o la plataforma elevadora
+  heightTiers: [
+    { above: 6, surcharge: 0.3, scaffolding: 450, label: "más de 6 m" },
+    { above: 3, surcharge: 0.15, scaffolding: 200, label: "de 3 a 6 m" },
+  ],
+  // Desplazamiento: km incluidos y precio por km de ida y vuelta
+  travel: {
+    includedKm: 20,
+    perKm: 0.5,
+  },
+  // Importe mínimo de un mural
+  minimumTotal: 450,
+  // Límites de las medidas que se presupuestan en la web
+  limits: {
+    maxWidth: 50,
+    maxHeight: 20,
+    maxDistanceKm: 1000,
+  },
+};
@@ -0,0 +1,85 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Roles y Permisos
+ * ============================================
+ */
+
+// Permisos de cualquier cuenta registrada sobre sus propios datos
+const CUSTOMER_PERMISSIONS = [
+  "account:update",
+  "account:export",
+  "account:delete",
+  "orders:create",
+  "orders:read:own",
+];
+
+// Permisos que concede cada rol
+export const ROLE_PERMISSIONS = {
+  // Cliente de la tienda
+  user: CUSTOMER_PERMISSIONS,
+  // Ayudantes del estudio: gestionan el contenido de la web
+  editor: [
+    ...CUSTOMER_PERMISSIONS,
+    "content:read",
+    "content:create",
+    "content:update",
+    "content:delete",
+    "media:upload",
+  ],
+  // Preparación de pedidos: consultan y actualizan órdenes y revisan el
+  // inventario
+  fulfillment: [
+    ...CUSTOMER_PERMISSIONS,
+    "orders:read",
+    "orders:update",
+    "inventory:read",
+  ],
+  // Administración completa
+  admin: [
+    ...CUSTOMER_PERMISSIONS,
+    "users:read",
+    "users:update",
+    "users:delete",
+    "users:roles",
+    "users:unlock",
+    "products:create",
+    "products:update",
+    "products:delete",
+    "categories:read",
+    "categories:create",
+    "categories:update",
+    "categories:delete",
+    "inventory:read",
+    "orders:read",
+    "orders:update",
+    "orders:delete",
+    "coupons:read",
+    "coupons:create",
+    "coupons:update",
+    "coupons:delete",
+    "content:read",
+    "content:create",
+    "content:update",
+    "content:delete",
+    "media:upload",
+    "audit:read",
+  ],
+};
+
+// Roles válidos para User.role
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Comprobar si un rol concede un permiso
+export const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+// Los permisos de gestión (los que no tiene un cliente) son del personal
+export const isStaffPermission = (permission) =>
+  !CUSTOMER_PERMISSIONS.includes(permission);
+
+// Permisos que un rol puede conceder a sus API keys. Una key nunca puede
+// gestionar la cuenta (datos, exportación, baja), eso requiere iniciar sesión.
+export const getApiKeyScopes = (role) =>
+  (ROLE_PERMISSIONS[role] || []).filter(
+    (permission) => !permission.startsWith("account:")
+  );
@@ -0,0 +1,137 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Controlador de API Keys personales
+ * ============================================
+ */
+
+import ApiKey from "../db/models/ApiKey.model.js";
+import { getApiKeyScopes } from "../config/roles.js";
+import { generateApiKey } from "../services/apiKey.service.js";
+
+// Límites de las keys de un usuario
+const MAX_ACTIVE_KEYS = 10;
+const MAX_EXPIRES_IN_DAYS = 365;
+
+// Datos públicos de una key (nunca incluye el hash)
+const toApiKeyResponse = (apiKey) => ({
+  _id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  lastUsedAt: apiKey.lastUsedAt,
+  expiresAt: apiKey.expiresAt,
+  createdAt: apiKey.createdAt,
+});
+
+// Listar las keys activas del usuario y los permisos que puede conceder
+export const getApiKeys = async (req, res, next) => {
+  const ResponseAPI = {
+    msg: "API keys obtenidas",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    const apiKeys = await ApiKey.find({
+      user: req.user._id,
+      revokedAt: null,
+    }).sort({ createdAt: -1 });
+    ResponseAPI.data = {
+      apiKeys: apiKeys.map(toApiKeyResponse),
+      availableScopes: getApiKeyScopes(req.user.role),
+    };
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Crear una key nueva, su valor solo se devuelve en esta respuesta
+export const createApiKey = async (req, res, next) => {
+  const { name, scopes, expiresInDays } = req.body;
+  const ResponseAPI = {
+    msg: "API key creada. Cópiala ahora, no se volverá a mostrar",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // Validar el nombre y los permisos solicitados
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      ResponseAPI.msg = "El nombre y al menos un permiso son obligatorios";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    // Una key no puede tener más permisos que su propietario
+    const allowedScopes = getApiKeyScopes(req.user.role);
+    const invalidScopes = scopes.filter(
+      (scope) => !allowedScopes.includes(scope)
+    );
+    if (invalidScopes.length > 0) {
+      ResponseAPI.msg = `Permisos no disponibles: ${invalidScopes.join(", ")}`;
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    // Caducidad opcional en días
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRES_IN_DAYS) {
+        ResponseAPI.msg = `La caducidad debe estar entre 1 y ${MAX_EXPIRES_IN_DAYS} días`;
+        ResponseAPI.status = "error";
+        return res.status(400).json(ResponseAPI);
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+    // Limitar el número de keys activas
+    const activeKeys = await ApiKey.countDocuments({
+      user: req.user._id,
+      revokedAt: null,
+    });
+    if (activeKeys >= MAX_ACTIVE_KEYS) {
+      ResponseAPI.msg = `No puedes tener más de ${MAX_ACTIVE_KEYS} API keys activas`;
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    // Guardar solo el hash de la key
+    const { key, keyHash, prefix } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      user: req.user._id,
+      name,
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      expiresAt,
+    });
+    ResponseAPI.data = { ...toApiKeyResponse(apiKey), key };
+    res.status(201).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revocar una key del usuario
+export const revokeApiKey = async (req, res, next) => {
+  const { id } = req.params;
+  const ResponseAPI = {
+    msg: "API key revocada",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // Solo puede revocar sus propias keys
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    if (!apiKey) {
+      ResponseAPI.msg = "API key no encontrada";
+      ResponseAPI.status = "error";
+      return res.status(404).json(ResponseAPI);
+    }
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,73 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Controlador del Registro de Auditoría
+ * ============================================
+ */
+
+import mongoose from "mongoose";
+import AuditLog from "../db/models/AuditLog.model.js";
+import {
+  parsePagination,
+  buildPagination,
+} from "../services/pagination.service.js";
+
+// Consultar el registro de auditoría con filtros y paginación (Admin)
+// Filtros: actor, apiKey, targetType, targetId, method, action, from, to
+export const getAuditLogs = async (req, res, next) => {
+  const { actor, apiKey, targetType, targetId, method, action, from, to } =
+    req.query;
+  const ResponseAPI = {
+    msg: "Registro de auditoría obtenido",
+    data: [],
+    status: "ok",
+  };
+
+  try {
+    // Los filtros por id deben ser ObjectId válidos
+    const idFilters = { actor, apiKey, targetId };
+    for (const [field, value] of Object.entries(idFilters)) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        ResponseAPI.msg = `El filtro ${field} no es un id válido`;
+        ResponseAPI.status = "error";
+        return res.status(400).json(ResponseAPI);
+      }
+    }
+    // Construir la consulta con los filtros recibidos
+    const query = {};
+    if (actor) query.actor = actor;
+    if (apiKey) query.apiKey = apiKey;
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+    if (method) query.method = method.toUpperCase();
+    if (action) query.action = action;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+      if (Object.values(query.createdAt).some((date) => isNaN(date))) {
+        ResponseAPI.msg = "Las fechas from y to no son válidas";
+        ResponseAPI.status = "error";
+        return res.status(400).json(ResponseAPI);
+      }
+    }
+    // Paginación
+    const pagination = parsePagination(req.query, {
+      defaultLimit: 50,
+      maxLimit: 200,
+    });
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate("actor", "username email role")
+        .populate("apiKey", "name prefix")
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      AuditLog.countDocuments(query),
+    ]);
+    ResponseAPI.data = entries;
+    ResponseAPI.pagination = buildPagination(pagination, total);
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -4,16 +4,65 @@
  * ============================================
  */
 
+import crypto from "crypto";
 import User from "../db/models/User.model.js";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
-import { JWT_SECRET } from "../config/config.js";
-
-// Función auxiliar para generar un token JWT
-const generateToken = (id) => {
-  return jwt.sign({ id }, JWT_SECRET, {
-    expiresIn: "90d", // expira en 90 días
-  });
+import {
+  FRONTEND_URL,
+  PASSWORD_RESET_EXPIRES_MINUTES,
+} from "../config/config.js";
+import {
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeAllUserTokens,
+  hashToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+} from "../services/token.service.js";
+import { verifyUserSecondFactor } from "../services/totp.service.js";
+import { sendVerificationEmail } from "../services/verification.service.js";
+import {
+  getSessionContext,
+  revokeSession,
+} from "../services/session.service.js";
+import {
+  getLoginRetryAfter,
+  registerLoginFailure,
+  clearLoginFailures,
+  formatRetryAfter,
+} from "../services/loginThrottle.service.js";
+import { sendMail } from "../services/mail.service.js";
+import { passwordResetEmail } from "../services/mail.templates.js";
+
+// Datos de sesión que se devuelven al iniciar sesión o registrarse.
+// Cada login abre una sesión nueva para el dispositivo de la petición.
+const buildSessionData = async (user, req) => {
+  const { token, refreshToken } = await issueAuthTokens(
+    user,
+    getSessionContext(req)
+  );
+  return {
+    _id: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: user.twoFactorEnabled,
+    token: token,
+    refreshToken: refreshToken,
+  };
+};
+
+// Respuesta 429 cuando hay que esperar antes de otro intento de login
+const rejectTooManyAttempts = (res, ResponseAPI, waitSeconds) => {
+  const wait = formatRetryAfter(waitSeconds);
+  ResponseAPI.msg = `Demasiados intentos fallidos. Inténtalo de nuevo en ${wait}`;
+  ResponseAPI.status = "error";
+  ResponseAPI.data = { retryAfter: waitSeconds };
+  res.set("Retry-After", String(waitSeconds));
+  return res.status(429).json(ResponseAPI);
 };
 
 // Registro de un nuevo usuario
@@ -51,15 +100,15 @@ export const registerUser = async (req, res, next) => {
     });
     // Si el usuario se creó exitosamente
     if (newUser) {
-      // Generar un token JWT para que el usuario quede autenticado
-      const token = generateToken(newUser._id);
-      ResponseAPI.data = {
-        _id: newUser._id,
-        username: newUser.username,
-        email: newUser.email,
-        role: newUser.role,
-        token: token,
-      };
+      // Enviar el enlace de verificación, la cuenta empieza sin verificar
+      try {
+        await sendVerificationEmail(newUser);
+      } catch (mailError) {
+        // El registro no falla por el email, se puede reenviar después
+        console.error("Error al enviar el email de verificación:", mailError);
+      }
+      // Generar los tokens para que el usuario quede autenticado
+      ResponseAPI.data = await buildSessionData(newUser, req);
       res.status(201).json(ResponseAPI);
     } else {
       ResponseAPI.msg = "Datos de usuario inválidos";
@@ -83,24 +132,47 @@ export const loginUser = async (req, res, next) => {
   };
 
   try {
+    // Validar que esten todos los campos requeridos
+    if (!email || !password) {
+      ResponseAPI.msg = "El email y la contraseña son obligatorios";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    // Rechazar el intento si el email o la IP están en espera o bloqueados
+    const waitSeconds = await getLoginRetryAfter({ email, ip: req.ip });
+    if (waitSeconds > 0) {
+      return rejectTooManyAttempts(res, ResponseAPI, waitSeconds);
+    }
     // Buscar usuario por email
     const user = await User.findOne({ email });
     // Verificar que el usuario existe y que la contraseña es correcta
     if (user && (await bcrypt.compare(password, user.password))) {
-      // Generar un nuevo token JWT
-      const token = generateToken(user._id);
-      ResponseAPI.data = {
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        token: token,
-      };
+      // Con 2FA activo, la contraseña solo da acceso al segundo paso
+      if (user.twoFactorEnabled) {
+        ResponseAPI.msg = "Introduce el código de verificación";
+        ResponseAPI.data = {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallengeToken(user),
+        };
+        return res.status(200).json(ResponseAPI);
+      }
+      // Reiniciar el contador de intentos fallidos
+      await clearLoginFailures(email);
+      // Generar un nuevo par de tokens
+      ResponseAPI.data = await buildSessionData(user, req);
       res.status(200).json(ResponseAPI);
     } else {
       // Si el usuario no existe o la contraseña es incorrecta
+      const retryAfter = await registerLoginFailure({ email, ip: req.ip });
       ResponseAPI.msg = "Credenciales inválidas";
       ResponseAPI.status = "error";
+      // Avisar de la espera antes del siguiente intento
+      if (retryAfter > 0) {
+        const wait = formatRetryAfter(retryAfter);
+        ResponseAPI.msg += `. Podrás intentarlo de nuevo en ${wait}`;
+        ResponseAPI.data = { retryAfter };
+        res.set("Retry-After", String(retryAfter));
+      }
       res.status(401).json(ResponseAPI);
     }
   } catch (error) {
@@ -109,6 +181,265 @@ export const loginUser = async (req, res, next) => {
   }
 };
 
+// Segundo paso del login con 2FA: código TOTP o de recuperación
+export const loginTwoFactor = async (req, res, next) => {
+  const { challengeToken, code } = req.body;
+  const ResponseAPI = {
+    msg: "Inicio de sesión exitoso",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // El reto prueba que la contraseña ya se validó
+    const decoded = challengeToken
+      ? verifyTwoFactorChallengeToken(challengeToken)
+      : null;
+    const user = decoded
+      ? await User.findById(decoded.id).select(
+          "+twoFactorSecret +twoFactorRecoveryCodes"
+        )
+      : null;
+    if (!user || !user.twoFactorEnabled) {
+      ResponseAPI.msg = "La verificación ha caducado, inicia sesión de nuevo";
+      ResponseAPI.status = "error";
+      return res.status(401).json(ResponseAPI);
+    }
+    // Los códigos también cuentan para el bloqueo por intentos fallidos
+    const attempt = { email: user.email, ip: req.ip };
+    const waitSeconds = await getLoginRetryAfter(attempt);
+    if (waitSeconds > 0) {
+      return rejectTooManyAttempts(res, ResponseAPI, waitSeconds);
+    }
+    if (!(await verifyUserSecondFactor(user, code))) {
+      const retryAfter = await registerLoginFailure(attempt);
+      ResponseAPI.msg = "Código de verificación incorrecto";
+      ResponseAPI.status = "error";
+      if (retryAfter > 0) {
+        ResponseAPI.data = { retryAfter };
+        res.set("Retry-After", String(retryAfter));
+      }
+      return res.status(400).json(ResponseAPI);
+    }
+    // Login completo
+    await clearLoginFailures(user.email);
+    ResponseAPI.data = await buildSessionData(user, req);
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Renovar el token de acceso con un refresh token
+export const refreshAccessToken = async (req, res, next) => {
+  const { refreshToken } = req.body;
+  const ResponseAPI = {
+    msg: "Token renovado",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // Validar que se envió el refresh token
+    if (!refreshToken) {
+      ResponseAPI.msg = "El refresh token es obligatorio";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    // Rotar el refresh token, el anterior deja de ser válido
+    const tokens = await rotateRefreshToken(refreshToken, req.ip);
+    if (!tokens) {
+      ResponseAPI.msg = "Refresh token inválido o expirado";
+      ResponseAPI.status = "error";
+      return res.status(401).json(ResponseAPI);
+    }
+    ResponseAPI.data = {
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+    };
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Cerrar sesión en el dispositivo actual
+export const logoutUser = async (req, res, next) => {
+  const ResponseAPI = {
+    msg: "Sesión cerrada con éxito",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // Cerrar la sesión del dispositivo y sus refresh tokens
+    await revokeSession(req.auth.sid, req.user._id);
+    // Invalidar el token de acceso actual hasta que expire
+    await revokeAccessToken(req.auth);
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Cerrar sesión en todos los dispositivos
+export const logoutAllDevices = async (req, res, next) => {
+  const ResponseAPI = {
+    msg: "Sesión cerrada en todos los dispositivos",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    await revokeAllUserTokens(req.user._id);
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Solicitar el enlace de recuperación de contraseña
+export const forgotPassword = async (req, res, next) => {
+  const { email } = req.body;
+  // Misma respuesta exista o no el email, para no revelar cuentas
+  const ResponseAPI = {
+    msg: "Si el email está registrado, recibirás un enlace para restablecer tu contraseña",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    if (!email) {
+      ResponseAPI.msg = "El email es obligatorio";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (user) {
+      // Token de un solo uso, solo se guarda su hash
+      const resetToken = crypto.randomBytes(32).toString("hex");
+      user.passwordResetToken = hashToken(resetToken);
+      user.passwordResetExpires = new Date(
+        Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000
+      );
+      await user.save();
+      // Enviar el enlace por email
+      const url = `${FRONTEND_URL}/reset-password?token=${resetToken}`;
+      await sendMail({
+        to: user.email,
+        ...passwordResetEmail({
+          username: user.username,
+          url,
+          minutes: PASSWORD_RESET_EXPIRES_MINUTES,
+        }),
+      });
+    }
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restablecer la contraseña con el token recibido por email
+export const resetPassword = async (req, res, next) => {
+  const { token, password } = req.body;
+  const ResponseAPI = {
+    msg: "Contraseña restablecida con éxito",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // Validar los campos requeridos
+    if (!token || !password) {
+      ResponseAPI.msg = "El token y la nueva contraseña son obligatorios";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    if (password.length < 6) {
+      ResponseAPI.msg = "La contraseña debe tener al menos 6 caracteres";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    // Buscar el usuario con el token vigente
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    });
+    if (!user) {
+      ResponseAPI.msg = "El enlace no es válido o ha caducado";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    // Guardar la nueva contraseña e invalidar el token
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+    // Cerrar todas las sesiones abiertas con la contraseña anterior
+    await revokeAllUserTokens(user._id);
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Verificar el email con el token firmado del enlace
+export const verifyEmail = async (req, res, next) => {
+  const { token } = req.body;
+  const ResponseAPI = {
+    msg: "Email verificado con éxito",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // Validar la firma y el propósito del token
+    const decoded = token ? verifyEmailVerificationToken(token) : null;
+    const user = decoded ? await User.findById(decoded.id) : null;
+    // El email debe seguir siendo el mismo que cuando se envió el enlace
+    if (!user || user.email !== decoded.email) {
+      ResponseAPI.msg = "El enlace de verificación no es válido o ha caducado";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      await user.save();
+    }
+    ResponseAPI.data = {
+      _id: user._id,
+      email: user.email,
+      emailVerified: user.emailVerified,
+    };
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reenviar el email de verificación al usuario autenticado
+export const resendVerificationEmail = async (req, res, next) => {
+  const ResponseAPI = {
+    msg: "Te hemos enviado un nuevo enlace de verificación",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    if (req.user.emailVerified) {
+      ResponseAPI.msg = "Tu email ya está verificado";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    await sendVerificationEmail(req.user);
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Obtener perfil del usuario autenticado
 export const getUserProfile = async (req, res, next) => {
   const ResponseAPI = {
@@ -0,0 +1,199 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Controlador de Categorías
+ * ============================================
+ */
+
+import Category from "../db/models/Category.model.js";
+import Product from "../db/models/Product.model.js";
+
+// Campos que se pueden crear o modificar desde la API
+const EDITABLE_FIELDS = [
+  "slug",
+  "name",
+  "description",
+  "coverImage",
+  "order",
+  "visible",
+  "taxRate",
+  "gallery",
+];
+
+// Obtener las categorías visibles en el orden de la página de inicio
+export const getCategories = async (req, res, next) => {
+  const ResponseAPI = {
+    msg: "Categorías obtenidas",
+    data: [],
+    status: "ok",
+  };
+
+  try {
+    // La galería no se necesita en el listado
+    const categories = await Category.find({ visible: true })
+      .select("-gallery")
+      .sort({ order: 1, name: 1 });
+    ResponseAPI.data = categories;
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Obtener todas las categorías, también las ocultas (Admin)
+export const getAllCategories = async (req, res, next) => {
+  const ResponseAPI = {
+    msg: "Categorías obtenidas",
+    data: [],
+    status: "ok",
+  };
+
+  try {
+    const categories = await Category.find({}).sort({ order: 1, name: 1 });
+    ResponseAPI.data = categories;
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Obtener una categoría visible por su slug
+export const getCategoryBySlug = async (req, res, next) => {
+  const { slug } = req.params;
+  const ResponseAPI = {
+    msg: "Categoría encontrada",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    const category = await Category.findOne({ slug, visible: true });
+    if (!category) {
+      ResponseAPI.msg = "Categoría no encontrada";
+      ResponseAPI.status = "error";
+      return res.status(404).json(ResponseAPI);
+    }
+    ResponseAPI.data = category;
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Crear una nueva categoría (Admin)
+export const createCategory = async (req, res, next) => {
+  const ResponseAPI = {
+    msg: "Categoría creada con éxito",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // Validación de campos obligatorios
+    const { slug, name } = req.body;
+    if (!slug || !name) {
+      ResponseAPI.msg = "Los campos slug y name son obligatorios";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    // El slug no puede repetirse
+    if (await Category.exists({ slug: slug.toLowerCase().trim() })) {
+      ResponseAPI.msg = `Ya existe una categoría con el slug '${slug}'`;
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    const data = Object.fromEntries(
+      EDITABLE_FIELDS.filter((field) => req.body[field] !== undefined).map(
+        (field) => [field, req.body[field]]
+      )
+    );
+    const newCategory = await Category.create(data);
+    ResponseAPI.data = newCategory;
+    res.status(201).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Actualizar una categoría por su ID (Admin)
+export const updateCategory = async (req, res, next) => {
+  const { id } = req.params;
+  const ResponseAPI = {
+    msg: "Categoría actualizada con éxito",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // Buscar la categoría
+    const category = await Category.findById(id);
+    if (!category) {
+      ResponseAPI.msg = "Categoría no encontrada";
+      ResponseAPI.status = "error";
+      return res.status(404).json(ResponseAPI);
+    }
+    const previousSlug = category.slug;
+    // Actualización, solo los campos proporcionados se modificaran
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) category[field] = req.body[field];
+    });
+    // El nuevo slug no puede ser el de otra categoría
+    if (
+      category.slug !== previousSlug &&
+      (await Category.exists({ slug: category.slug }))
+    ) {
+      ResponseAPI.msg = `Ya existe una categoría con el slug '${category.slug}'`;
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    // Guardar los cambios en la base de datos
+    const updatedCategory = await category.save();
+    // Los productos de la categoría pasan al nuevo slug
+    if (updatedCategory.slug !== previousSlug) {
+      await Product.updateMany(
+        { category: previousSlug },
+        { category: updatedCategory.slug }
+      );
+    }
+    ResponseAPI.data = updatedCategory;
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Eliminar una categoría sin productos (Admin)
+export const deleteCategory = async (req, res, next) => {
+  const { id } = req.params;
+  const ResponseAPI = {
+    msg: "Categoría eliminada con éxito",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // Verificar que la categoría existe
+    const category = await Category.findById(id);
+    if (!category) {
+      ResponseAPI.msg = "Categoría no encontrada";
+      ResponseAPI.status = "error";
+      return res.status(404).json(ResponseAPI);
+    }
+    // No se puede dejar productos sin categoría, se puede ocultar.
+    // Los eliminados no cuentan, solo se conservan para los pedidos.
+    const productCount = await Product.countDocuments({
+      category: category.slug,
+      status: { $ne: "deleted" },
+    });
+    if (productCount > 0) {
+      ResponseAPI.msg = `La categoría tiene ${productCount} productos. Muévelos u oculta la categoría con visible: false`;
+      ResponseAPI.status = "error";
+      return res.status(409).json(ResponseAPI);
+    }
+    // Eliminar la categoría de la base de datos
+    await Category.findByIdAndDelete(id);
+    ResponseAPI.data = { _id: id };
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
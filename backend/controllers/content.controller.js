@@ -5,7 +5,7 @@
  */
 
 import Content from "../db/models/Content.model.js";
-import { mockData } from "../db/data.mock.js";
+import Category from "../db/models/Category.model.js";
 
 // Obtener todo el contenido (Admin)
 export const getAllContent = async (req, res, next) => {
@@ -37,11 +37,11 @@ export const getContentBySection = async (req, res, next) => {
 
   try {
     let content;
-    // Galeria que viene de mockData
-    if (sectionName.toLowerCase().includes("gallery")) {
-      // Extraer la clave de la galería del nombre de sección
-      const key = sectionName.split("-")[1];
-      content = mockData.galleryImages[key] || [];
+    // Galería de una categoría: gallery-<slug>, p. ej. gallery-murals
+    if (sectionName.toLowerCase().startsWith("gallery-")) {
+      const slug = sectionName.slice("gallery-".length);
+      const category = await Category.findOne({ slug, visible: true });
+      content = category ? category.gallery : null;
     } else {
       // Para secciones normales buscamos en la base de datos
       content = await Content.findOne({ section: sectionName });
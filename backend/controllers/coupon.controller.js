@@ -0,0 +1,199 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Controlador de Cupones de descuento
+ * ============================================
+ */
+
+import Coupon from "../db/models/Coupon.model.js";
+import Product from "../db/models/Product.model.js";
+import { INVALID_COUPON } from "../services/coupon.service.js";
+import { buildOrderSummary, INVALID_ORDER } from "../services/order.service.js";
+import { INVALID_QUOTE } from "../services/quote.service.js";
+
+// Campos que se pueden crear o modificar desde la API
+const EDITABLE_FIELDS = [
+  "code",
+  "description",
+  "type",
+  "value",
+  "categories",
+  "products",
+  "minOrderAmount",
+  "maxUses",
+  "maxUsesPerUser",
+  "validFrom",
+  "validUntil",
+  "active",
+];
+
+// Campos de la petición que se pueden guardar
+const pickEditableFields = (body) =>
+  Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]]
+    )
+  );
+
+// Obtener todos los cupones (Admin)
+export const getCoupons = async (req, res, next) => {
+  const ResponseAPI = {
+    msg: "Cupones obtenidos",
+    data: [],
+    status: "ok",
+  };
+
+  try {
+    const coupons = await Coupon.find({}).sort({ createdAt: -1 });
+    ResponseAPI.data = coupons;
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Crear un cupón (Admin)
+export const createCoupon = async (req, res, next) => {
+  const { code, type, value } = req.body;
+  const ResponseAPI = {
+    msg: "Cupón creado con éxito",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // Validación de campos obligatorios
+    if (!code || !type || value === undefined) {
+      ResponseAPI.msg = "Los campos code, type y value son obligatorios";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    // El código no puede repetirse
+    if (await Coupon.exists({ code: String(code).trim().toUpperCase() })) {
+      ResponseAPI.msg = `Ya existe un cupón con el código '${code}'`;
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    const newCoupon = await Coupon.create(pickEditableFields(req.body));
+    ResponseAPI.data = newCoupon;
+    res.status(201).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Actualizar un cupón por su ID (Admin)
+export const updateCoupon = async (req, res, next) => {
+  const { id } = req.params;
+  const ResponseAPI = {
+    msg: "Cupón actualizado con éxito",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // Buscar el cupón
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      ResponseAPI.msg = "Cupón no encontrado";
+      ResponseAPI.status = "error";
+      return res.status(404).json(ResponseAPI);
+    }
+    const previousCode = coupon.code;
+    // Actualización, solo los campos proporcionados se modificaran
+    Object.assign(coupon, pickEditableFields(req.body));
+    // El nuevo código no puede ser el de otro cupón
+    if (
+      coupon.code !== previousCode &&
+      (await Coupon.exists({ code: coupon.code }))
+    ) {
+      ResponseAPI.msg = `Ya existe un cupón con el código '${coupon.code}'`;
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    // Guardar los cambios en la base de datos
+    const updatedCoupon = await coupon.save();
+    ResponseAPI.data = updatedCoupon;
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Eliminar un cupón sin usar (Admin)
+export const deleteCoupon = async (req, res, next) => {
+  const { id } = req.params;
+  const ResponseAPI = {
+    msg: "Cupón eliminado con éxito",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // Verificar que el cupón existe
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      ResponseAPI.msg = "Cupón no encontrado";
+      ResponseAPI.status = "error";
+      return res.status(404).json(ResponseAPI);
+    }
+    // Los pedidos guardan el cupón usado, se puede desactivar
+    if (coupon.usedCount > 0) {
+      ResponseAPI.msg = `El cupón se ha usado en ${coupon.usedCount} pedidos. Desactívalo con active: false`;
+      ResponseAPI.status = "error";
+      return res.status(409).json(ResponseAPI);
+    }
+    // Eliminar el cupón de la base de datos
+    await Coupon.findByIdAndDelete(id);
+    ResponseAPI.data = { _id: id };
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Comprobar un cupón con los items del carrito y calcular el total con
+// el descuento, sin crear la orden (Autenticado)
+export const validateCoupon = async (req, res, next) => {
+  const { code, orderItems } = req.body;
+  const ResponseAPI = {
+    msg: "Cupón aplicado",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    if (!code || !Array.isArray(orderItems) || orderItems.length === 0) {
+      ResponseAPI.msg =
+        "El código y los artículos del carrito son obligatorios";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    // Mismo cálculo que al crear la orden
+    const products = await Product.find({
+      _id: { $in: orderItems.map((item) => item.product) },
+    });
+    const { subtotal, discount, totalAmount } = await buildOrderSummary(
+      orderItems,
+      products,
+      { couponCode: code, user: req.user }
+    );
+    ResponseAPI.data = {
+      code: discount.code,
+      description: discount.description,
+      type: discount.type,
+      value: discount.value,
+      subtotal,
+      discount: discount.amount,
+      total: totalAmount,
+    };
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    // Items, presupuesto o cupón inválidos
+    if ([INVALID_ORDER, INVALID_QUOTE, INVALID_COUPON].includes(error.code)) {
+      ResponseAPI.msg = error.message;
+      ResponseAPI.status = "error";
+      return res.status(error.statusCode).json(ResponseAPI);
+    }
+    next(error);
+  }
+};
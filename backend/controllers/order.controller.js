@@ -4,8 +4,36 @@
  * ============================================
  */
 
-import Order from "../db/models/Order.model.js";
+import mongoose from "mongoose";
+import Order, { ORDER_STATUSES } from "../db/models/Order.model.js";
 import Product from "../db/models/Product.model.js";
+import Invoice from "../db/models/Invoice.model.js";
+import { requiresVerifiedEmail } from "../services/verification.service.js";
+import { INVALID_QUOTE } from "../services/quote.service.js";
+import {
+  buildOrderSummary,
+  parseBilling,
+  changeOrderStatus,
+  INVALID_ORDER,
+} from "../services/order.service.js";
+import {
+  redeemCoupon,
+  releaseCoupon,
+  INVALID_COUPON,
+} from "../services/coupon.service.js";
+import {
+  PAYMENT_CONFLICT,
+  startOrderPayment,
+  refundOrderPayment,
+} from "../services/payment.service.js";
+import { renderInvoicePdf } from "../services/invoice.pdf.js";
+import { FRONTEND_URL } from "../config/config.js";
+import { hasPermission } from "../config/roles.js";
+import {
+  reserveStock,
+  releaseStock,
+  OUT_OF_STOCK,
+} from "../services/inventory.service.js";
 
 // Obtener todas las órdenes (Admin)
 export const getAllOrders = async (req, res, next) => {
@@ -69,9 +97,10 @@ export const getOrderById = async (req, res, next) => {
       ResponseAPI.status = "error";
       return res.status(404).json(ResponseAPI);
     }
-    // Verificar que el usuario solo pueda ver sus propias órdenes, a menos que sea admin
+    // Verificar que el usuario solo pueda ver sus propias órdenes, a menos que
+    // tenga permiso para consultar todas
     if (
-      req.user.role !== "admin" &&
+      !hasPermission(req.user.role, "orders:read") &&
       order.user._id.toString() !== req.user._id.toString()
     ) {
       ResponseAPI.msg = "No tienes permiso para ver esta orden";
@@ -85,10 +114,52 @@ export const getOrderById = async (req, res, next) => {
   }
 };
 
+// Descargar la factura de una orden en PDF (propietario o Admin). La
+// factura se conserva aunque la orden se haya eliminado.
+export const getOrderInvoice = async (req, res, next) => {
+  const { id } = req.params;
+  const ResponseAPI = {
+    msg: "Factura obtenida",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // Solo tienen factura las órdenes completadas
+    const invoice = await Invoice.findOne({ order: id });
+    if (!invoice) {
+      ResponseAPI.msg = "La orden no tiene factura";
+      ResponseAPI.status = "error";
+      return res.status(404).json(ResponseAPI);
+    }
+    // El usuario solo puede descargar sus propias facturas, a menos que
+    // tenga permiso para consultar todas las órdenes
+    if (
+      !hasPermission(req.user.role, "orders:read") &&
+      invoice.user.toString() !== req.user._id.toString()
+    ) {
+      ResponseAPI.msg = "No tienes permiso para ver esta factura";
+      ResponseAPI.status = "error";
+      return res.status(403).json(ResponseAPI);
+    }
+    const pdf = await renderInvoicePdf(invoice);
+    res
+      .status(200)
+      .set({
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="factura-${invoice.number}.pdf"`,
+      })
+      .send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Crear una nueva orden (Autenticado)
 export const createOrder = async (req, res, next) => {
-  // Extraer items del carrito
-  const { orderItems } = req.body;
+  // Extraer items del carrito, el cupón de descuento y los datos de
+  // facturación
+  const { orderItems, couponCode, billing } = req.body;
   const ResponseAPI = {
     msg: "Orden creada con éxito",
     data: null,
@@ -102,40 +173,173 @@ export const createOrder = async (req, res, next) => {
   }
 
   try {
-    // Calcular el importe total
+    // Productos de los items del carrito
     const itemsFromDB = await Product.find({
       _id: { $in: orderItems.map((item) => item.product) },
     });
 
-    let totalAmount = 0;
-    // Validar que existe y calcular precio
-    const processedItems = orderItems.map((item) => {
-      const dbProduct = itemsFromDB.find(
-        (p) => p._id.toString() === item.product
-      );
-      if (!dbProduct) {
-        // Si algún producto no existe, error
-        throw new Error(`Producto con id ${item.product} no encontrado.`);
-      }
-      // Calcular subtotal por la cantidad
-      totalAmount += dbProduct.price * item.quantity;
-      return {
+    // Algunas categorías exigen email verificado para evitar cuentas falsas
+    if (
+      !req.user.emailVerified &&
+      requiresVerifiedEmail(itemsFromDB.map((p) => p.category))
+    ) {
+      ResponseAPI.msg =
+        "Debes verificar tu email antes de realizar este pedido. Revisa tu bandeja de entrada o solicita un nuevo enlace desde tu cuenta.";
+      ResponseAPI.status = "error";
+      return res.status(403).json(ResponseAPI);
+    }
+
+    // Validar los items, calcular su precio, el descuento del cupón y el IVA
+    const { items, subtotal, discount, ...taxes } = await buildOrderSummary(
+      orderItems,
+      itemsFromDB,
+      { couponCode, user: req.user }
+    );
+    const billingData = parseBilling(billing);
+    // Descontar el stock y guardar la orden en la misma transacción: si
+    // algo falla no se descuenta nada
+    let createdOrder = null;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await reserveStock(items, session);
+        // El uso del cupón cuenta en la misma transacción
+        if (discount) {
+          await redeemCoupon(discount.coupon, session, req.user._id);
+        }
+        // Crear la orden con el usuario autenticado
+        const order = new Order({
+          user: req.user._id,
+          items,
+          subtotal,
+          discount,
+          ...taxes,
+          billing: billingData,
+        });
+        // Guardar la orden en la base de datos
+        createdOrder = await order.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+    ResponseAPI.data = createdOrder;
+    res.status(201).json(ResponseAPI);
+  } catch (error) {
+    // Items, presupuesto o cupón inválidos
+    if ([INVALID_ORDER, INVALID_QUOTE, INVALID_COUPON].includes(error.code)) {
+      ResponseAPI.msg = error.message;
+      ResponseAPI.status = "error";
+      return res.status(error.statusCode).json(ResponseAPI);
+    }
+    // Sin stock suficiente se rechaza la orden
+    if (error.code === OUT_OF_STOCK) {
+      ResponseAPI.msg = error.message;
+      ResponseAPI.status = "error";
+      return res.status(409).json(ResponseAPI);
+    }
+    next(error);
+  }
+};
+
+// Calcular el total de los items del carrito con el cupón y el desglose
+// del IVA, sin crear la orden (Autenticado)
+export const previewOrder = async (req, res, next) => {
+  const { orderItems, couponCode } = req.body;
+  const ResponseAPI = {
+    msg: "Resumen de la orden calculado",
+    data: null,
+    status: "ok",
+  };
+  if (!Array.isArray(orderItems) || orderItems.length === 0) {
+    ResponseAPI.msg = "No hay artículos en la orden";
+    ResponseAPI.status = "error";
+    return res.status(400).json(ResponseAPI);
+  }
+
+  try {
+    // Mismo cálculo que al crear la orden
+    const products = await Product.find({
+      _id: { $in: orderItems.map((item) => item.product) },
+    });
+    const { items, discount, ...summary } = await buildOrderSummary(
+      orderItems,
+      products,
+      { couponCode, user: req.user }
+    );
+    ResponseAPI.data = {
+      ...summary,
+      items: items.map((item) => ({
         product: item.product,
         quantity: item.quantity,
-        price: dbProduct.price,
-      };
-    });
-    // Crear la orden con el usuario autenticado
-    const order = new Order({
-      user: req.user._id,
-      items: processedItems,
-      totalAmount: totalAmount,
+        price: item.price,
+        discount: item.discount || 0,
+        taxRate: item.taxRate,
+        netAmount: item.netAmount,
+        taxAmount: item.taxAmount,
+        grossAmount: item.grossAmount,
+      })),
+      discount: discount && {
+        code: discount.code,
+        description: discount.description,
+        type: discount.type,
+        value: discount.value,
+        amount: discount.amount,
+      },
+    };
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    // Items, presupuesto o cupón inválidos
+    if ([INVALID_ORDER, INVALID_QUOTE, INVALID_COUPON].includes(error.code)) {
+      ResponseAPI.msg = error.message;
+      ResponseAPI.status = "error";
+      return res.status(error.statusCode).json(ResponseAPI);
+    }
+    next(error);
+  }
+};
+
+// Iniciar el pago de una orden pendiente y devolver la URL de la página
+// de pago del proveedor (Autenticado, propietario)
+export const checkoutOrder = async (req, res, next) => {
+  const { id } = req.params;
+  const ResponseAPI = {
+    msg: "Pago iniciado",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    const order = await Order.findById(id);
+    if (!order || order.user.toString() !== req.user._id.toString()) {
+      ResponseAPI.msg = "Orden no encontrada";
+      ResponseAPI.status = "error";
+      return res.status(404).json(ResponseAPI);
+    }
+    if (order.status !== "pending") {
+      ResponseAPI.msg = "Solo se pueden pagar las órdenes pendientes";
+      ResponseAPI.status = "error";
+      // El cliente sabe así si la orden ya se pagó o se canceló
+      ResponseAPI.data = { order: order._id, orderStatus: order.status };
+      return res.status(409).json(ResponseAPI);
+    }
+    // Páginas del frontend a las que vuelve el cliente desde la pasarela
+    const intent = await startOrderPayment(order, {
+      successUrl: `${FRONTEND_URL}/checkout/success?order=${order._id}`,
+      cancelUrl: `${FRONTEND_URL}/checkout/cancel?order=${order._id}`,
     });
-    // Guardar la orden en la base de datos
-    const createdOrder = await order.save();
-    ResponseAPI.data = createdOrder;
-    res.status(201).json(ResponseAPI);
+    ResponseAPI.data = {
+      order: order._id,
+      intentId: intent.id,
+      checkoutUrl: intent.checkoutUrl,
+    };
+    res.status(200).json(ResponseAPI);
   } catch (error) {
+    // Pago ya cobrado o iniciado a la vez en otra petición
+    if (error.code === PAYMENT_CONFLICT) {
+      ResponseAPI.msg = error.message;
+      ResponseAPI.status = "error";
+      return res.status(error.statusCode).json(ResponseAPI);
+    }
     next(error);
   }
 };
@@ -161,20 +365,35 @@ export const updateOrderStatus = async (req, res, next) => {
       return res.status(404).json(ResponseAPI);
     }
     // Verificar el estado
-    const validStatuses = ["pending", "completed", "cancelled"];
-    if (status && !validStatuses.includes(status)) {
-      ResponseAPI.msg =
-        "Estado inválido. Debe ser: pending, completed o cancelled";
+    if (status && !ORDER_STATUSES.includes(status)) {
+      ResponseAPI.msg = `Estado inválido. Debe ser: ${ORDER_STATUSES.join(
+        ", "
+      )}`;
       ResponseAPI.status = "error";
       return res.status(400).json(ResponseAPI);
     }
-    // Actualizar el estado
-    if (status !== undefined) order.status = status;
-    // Guardar los cambios en la base de datos
-    const updatedOrder = await order.save();
+    // Actualizar el estado con sus efectos en el inventario, el cupón y
+    // la factura
+    const updatedOrder = await changeOrderStatus(id, status);
+    // Al cancelar una orden pagada se reembolsa el pago
+    if (status === "cancelled" && order.status !== "cancelled") {
+      try {
+        await refundOrderPayment(updatedOrder);
+      } catch (error) {
+        console.error("Error al reembolsar el pago:", error);
+        ResponseAPI.msg =
+          "Orden cancelada, pero no se pudo reembolsar el pago. Revísalo en la pasarela de pagos";
+      }
+    }
     ResponseAPI.data = updatedOrder;
     res.status(200).json(ResponseAPI);
   } catch (error) {
+    // No se puede reactivar si ya no queda stock o usos del cupón
+    if (error.code === OUT_OF_STOCK || error.code === INVALID_COUPON) {
+      ResponseAPI.msg = error.message;
+      ResponseAPI.status = "error";
+      return res.status(409).json(ResponseAPI);
+    }
     next(error);
   }
 };
@@ -197,8 +416,34 @@ export const deleteOrder = async (req, res, next) => {
       ResponseAPI.status = "error";
       return res.status(404).json(ResponseAPI);
     }
-    // Eliminar la orden de la base de datos
-    await Order.findByIdAndDelete(id);
+    // Eliminar la orden y devolver su stock y el uso del cupón si no
+    // estaba cancelada
+    let isPaid = false;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const current = await Order.findById(id).session(session);
+        if (!current) return;
+        // Una orden cobrada se cancela antes (eso reembolsa el pago)
+        isPaid = current.payment?.status === "succeeded";
+        if (isPaid) return;
+        if (current.status !== "cancelled") {
+          await releaseStock(current.items, session);
+          if (current.discount?.coupon) {
+            await releaseCoupon(current.discount.coupon, session);
+          }
+        }
+        await Order.deleteOne({ _id: id }, { session });
+      });
+    } finally {
+      await session.endSession();
+    }
+    if (isPaid) {
+      ResponseAPI.msg =
+        "La orden tiene un pago cobrado. Cancélala para reembolsarlo antes de eliminarla";
+      ResponseAPI.status = "error";
+      return res.status(409).json(ResponseAPI);
+    }
     ResponseAPI.data = { _id: id };
     res.status(200).json(ResponseAPI);
   } catch (error) {
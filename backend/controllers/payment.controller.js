@@ -0,0 +1,106 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Controlador de Pagos
+ * ============================================
+ */
+
+import {
+  getPaymentProvider,
+  handlePaymentEvent,
+} from "../services/payment.service.js";
+import {
+  SIGNATURE_HEADER,
+  INVALID_WEBHOOK,
+} from "../services/paymentSignature.service.js";
+
+// Recibir los eventos del proveedor de pagos (Público, con firma)
+export const receivePaymentWebhook = async (req, res, next) => {
+  const ResponseAPI = {
+    msg: "Evento recibido",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // La firma se calcula sobre el cuerpo original, no sobre el JSON
+    // ya interpretado
+    const event = getPaymentProvider().verifyWebhook(
+      req.rawBody?.toString("utf8") || "",
+      req.get(SIGNATURE_HEADER)
+    );
+    const order = await handlePaymentEvent(event);
+    ResponseAPI.data = {
+      event: event.id,
+      order: order?._id || null,
+      status: order?.status || null,
+    };
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    if (error.code === INVALID_WEBHOOK) {
+      ResponseAPI.msg = error.message;
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    next(error);
+  }
+};
+
+/** -------------------------------------------------------------------
+ * Página de pago de la pasarela simulada (PAYMENT_PROVIDER=mock)
+ */
+
+// Proveedor simulado activo, o null con otro proveedor
+const getMockProvider = () => {
+  const provider = getPaymentProvider();
+  return provider.name === "mock" ? provider : null;
+};
+
+// Responder a los errores de la pasarela simulada (pago no encontrado o
+// ya no pendiente)
+const sendMockError = (res, next, error) => {
+  if (!error.statusCode) return next(error);
+  res.status(error.statusCode).json({
+    msg: error.message,
+    data: null,
+    status: "error",
+  });
+};
+
+// Mostrar la página de pago
+export const showMockCheckout = (req, res, next) => {
+  const provider = getMockProvider();
+  if (!provider) return next();
+  try {
+    res
+      .status(200)
+      .type("html")
+      .send(provider.renderCheckoutPage(req.params.intentId));
+  } catch (error) {
+    sendMockError(res, next, error);
+  }
+};
+
+// Pagar: envía el webhook payment.succeeded y vuelve a la tienda
+export const confirmMockCheckout = async (req, res, next) => {
+  const provider = getMockProvider();
+  if (!provider) return next();
+  try {
+    const { intentId } = req.params;
+    await provider.confirmIntent(intentId);
+    res.redirect(303, provider.getIntent(intentId).successUrl);
+  } catch (error) {
+    sendMockError(res, next, error);
+  }
+};
+
+// Cancelar: envía el webhook payment.failed y vuelve a la tienda
+export const cancelMockCheckout = async (req, res, next) => {
+  const provider = getMockProvider();
+  if (!provider) return next();
+  try {
+    const intent = await provider.cancelIntent(req.params.intentId);
+    res.redirect(303, intent.cancelUrl);
+  } catch (error) {
+    sendMockError(res, next, error);
+  }
+};
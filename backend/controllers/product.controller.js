@@ -4,16 +4,47 @@
  * ============================================
  */
 
-import Product from "../db/models/Product.model.js";
-import { mockData } from "../db/data.mock.js";
+import Product, { PRODUCT_STATUSES } from "../db/models/Product.model.js";
+import Category from "../db/models/Category.model.js";
+import Order from "../db/models/Order.model.js";
+import {
+  parsePagination,
+  buildPagination,
+} from "../services/pagination.service.js";
+import { getLowStockItems } from "../services/inventory.service.js";
+import { slugify } from "../services/slug.service.js";
+import { LOW_STOCK_THRESHOLD } from "../config/config.js";
 
-// Obtener productos y galería por categoría
+// Campos por los que se puede ordenar el listado de productos
+const SORTABLE_FIELDS = ["price", "name", "createdAt"];
+// Filtro de los productos visibles en el catálogo
+const ACTIVE = { status: "active" };
+// Órdenes que todavía pueden devolver su stock al cancelarse
+const OPEN_ORDER_STATUSES = ["pending", "paid"];
+
+// Variantes enviadas al editar un producto, conservando el _id de las que
+// ya existían (por _id o por sku): los pedidos guardan ese id para
+// devolver su stock al cancelarse
+const mergeVariants = (current, incoming) =>
+  incoming.map((variant) => {
+    if (!variant || typeof variant !== "object") return variant;
+    const { _id, ...fields } = variant;
+    const existing = current.find(
+      (item) =>
+        (_id && item._id.toString() === String(_id)) ||
+        (fields.sku && item.sku === fields.sku)
+    );
+    return existing ? { ...fields, _id: existing._id } : fields;
+  });
+
+// Obtener una categoría con sus productos y su galería
 export const getProductsWithGallery = async (req, res, next) => {
-  // Extraer categoría
-  const { category } = req.params;
+  // Extraer el slug de la categoría
+  const { category: slug } = req.params;
   const ResponseAPI = {
     msg: "Datos obtenidos correctamente",
     data: {
+      category: null,
       products: [],
       gallery: [],
     },
@@ -21,29 +52,25 @@ export const getProductsWithGallery = async (req, res, next) => {
   };
 
   try {
-    // Obtener productos de la categoría
-    const products = await Product.find({ category });
-    // Obtener imágenes de galería según la categoría
-    let gallery = [];
-    // Mapeo entre nombres de categoría y mockData
-    const galleryMap = {
-      GraphicDesign: "graphicDesign",
-      CustomClothing: "customClothing",
-      Murals: "murals",
-    };
-    // Buscar la galería en mockData
-    const galleryKey = galleryMap[category];
-    if (galleryKey && mockData.galleryImages[galleryKey]) {
-      gallery = mockData.galleryImages[galleryKey];
+    // Solo las categorías visibles tienen página
+    const category = await Category.findOne({ slug, visible: true });
+    if (!category) {
+      ResponseAPI.msg = `No existe la categoría '${slug}'`;
+      ResponseAPI.status = "error";
+      return res.status(404).json(ResponseAPI);
     }
-    // Productos y galería en la respuesta
+    // Obtener productos de la categoría
+    const products = await Product.find({ category: slug, ...ACTIVE });
+    // Categoría, productos y galería en la respuesta
+    const { gallery, ...categoryData } = category.toObject();
     ResponseAPI.data = {
+      category: categoryData,
       products,
       gallery,
     };
     // Si no hay datos disponibles
     if (products.length === 0 && gallery.length === 0) {
-      ResponseAPI.msg = `No se encontraron datos para la categoría '${category}'`;
+      ResponseAPI.msg = `No se encontraron datos para la categoría '${slug}'`;
     }
     res.status(200).json(ResponseAPI);
   } catch (error) {
@@ -51,12 +78,12 @@ export const getProductsWithGallery = async (req, res, next) => {
   }
 };
 
-// Obtener todos los productos o filtrados por categoría
-export const getProducts = async (req, res, next) => {
-  // Extraer parámetro
-  const { category } = req.query;
-  // Filtro para la consulta si hay filtra, si no todos
-  const filter = category ? { category } : {};
+// Listar productos con filtros, orden y paginación.
+// Query: category (una o varias separadas por comas), minPrice, maxPrice,
+// sort (price, name o createdAt; con "-" delante para descendente),
+// page y limit. statuses: estados de los productos que se listan.
+const listProducts = async (req, res, next, statuses) => {
+  const { category, minPrice, maxPrice, sort = "createdAt" } = req.query;
   const ResponseAPI = {
     msg: "Productos obtenidos correctamente",
     data: [],
@@ -64,19 +91,99 @@ export const getProducts = async (req, res, next) => {
   };
 
   try {
-    // Buscar productos con el filtro o todos
-    const products = await Product.find(filter);
-    if (products.length === 0) {
-      ResponseAPI.msg = "No se encontraron productos para esta categoría";
-    } else {
-      ResponseAPI.data = products;
+    // Los parámetros repetidos llegan como arrays: solo la categoría admite
+    // varios valores, el resto deben ser un único texto
+    const isText = (value) => value === undefined || typeof value === "string";
+    if (
+      ![sort, minPrice, maxPrice].every(isText) ||
+      ![category].flat().every(isText)
+    ) {
+      ResponseAPI.msg =
+        "Parámetros no válidos: category debe ser texto y sort, minPrice y maxPrice un único valor";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    // Filtro para la consulta, sin filtros se devuelven todos los del estado
+    const filter = { status: { $in: statuses } };
+    // Varias categorías: ?category=murals,graphic-design o repitiendo el parámetro
+    const categories = [category]
+      .flat()
+      .filter(Boolean)
+      .flatMap((value) => value.split(","))
+      .map((value) => value.trim())
+      .filter(Boolean);
+    if (categories.length > 0) {
+      filter.category = { $in: categories };
+    }
+    // Rango de precios
+    const priceRange = {};
+    if (minPrice !== undefined) priceRange.$gte = Number(minPrice);
+    if (maxPrice !== undefined) priceRange.$lte = Number(maxPrice);
+    if (Object.values(priceRange).some((price) => isNaN(price))) {
+      ResponseAPI.msg = "minPrice y maxPrice deben ser números";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    if (Object.keys(priceRange).length > 0) {
+      filter.price = priceRange;
+    }
+    // Orden, con el _id para que la paginación sea estable
+    const sortField = sort.replace(/^-/, "");
+    if (!SORTABLE_FIELDS.includes(sortField)) {
+      ResponseAPI.msg = `Solo se puede ordenar por ${SORTABLE_FIELDS.join(
+        ", "
+      )}`;
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    const direction = sort.startsWith("-") ? -1 : 1;
+    // Paginación
+    const pagination = parsePagination(req.query, {
+      defaultLimit: 12,
+      maxLimit: 100,
+    });
+    // Buscar productos con el filtro y contar el total
+    const [products, total] = await Promise.all([
+      Product.find(filter)
+        .sort({ [sortField]: direction, _id: direction })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Product.countDocuments(filter),
+    ]);
+    if (total === 0) {
+      ResponseAPI.msg = "No se encontraron productos con estos filtros";
     }
+    ResponseAPI.data = products;
+    ResponseAPI.pagination = buildPagination(pagination, total);
     res.status(200).json(ResponseAPI);
   } catch (error) {
     next(error);
   }
 };
 
+// Obtener los productos del catálogo (solo los activos)
+export const getProducts = (req, res, next) =>
+  listProducts(req, res, next, ["active"]);
+
+// Obtener productos de cualquier estado (Admin). Mismos filtros que el
+// catálogo más status: active, archived, deleted o all (por defecto active)
+export const getAdminProducts = (req, res, next) => {
+  const { status = "active" } = req.query;
+  if (status !== "all" && !PRODUCT_STATUSES.includes(status)) {
+    return res.status(400).json({
+      msg: `El estado debe ser all, ${PRODUCT_STATUSES.join(", ")}`,
+      data: null,
+      status: "error",
+    });
+  }
+  return listProducts(
+    req,
+    res,
+    next,
+    status === "all" ? PRODUCT_STATUSES : [status]
+  );
+};
+
 // Obtener un producto por su ID
 export const getProductById = async (req, res, next) => {
   // Extraer ID del producto
@@ -88,8 +195,8 @@ export const getProductById = async (req, res, next) => {
   };
 
   try {
-    // Buscar producto por ID
-    const product = await Product.findById(id);
+    // Buscar producto por ID, los archivados o eliminados no se muestran
+    const product = await Product.findOne({ _id: id, ...ACTIVE });
     if (product) {
       ResponseAPI.data = product;
       res.status(200).json(ResponseAPI);
@@ -104,10 +211,56 @@ export const getProductById = async (req, res, next) => {
   }
 };
 
+// Obtener un producto por su slug con su categoría y las imágenes de la
+// galería en las que aparece
+export const getProductBySlug = async (req, res, next) => {
+  const { slug } = req.params;
+  const ResponseAPI = {
+    msg: "Producto encontrado",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    const product = await Product.findOne({
+      slug: slug.toLowerCase(),
+      ...ACTIVE,
+    });
+    // Los productos de categorías ocultas no tienen página
+    const category = product
+      ? await Category.findOne({ slug: product.category, visible: true })
+      : null;
+    if (!product || !category) {
+      ResponseAPI.msg = "Producto no encontrado";
+      ResponseAPI.status = "error";
+      return res.status(404).json(ResponseAPI);
+    }
+    const { gallery, ...categoryData } = category.toObject();
+    ResponseAPI.data = {
+      product,
+      category: categoryData,
+      gallery: gallery.filter((image) => image.products.includes(product.slug)),
+    };
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Crear un nuevo producto
 export const createProduct = async (req, res, next) => {
   // Extraer campos
-  const { name, category, price, imageUrl, description, details } = req.body;
+  const {
+    name,
+    slug,
+    category,
+    price,
+    imageUrl,
+    description,
+    details,
+    stock,
+    variants,
+  } = req.body;
   const ResponseAPI = {
     msg: "Producto creado con éxito",
     data: null,
@@ -121,14 +274,23 @@ export const createProduct = async (req, res, next) => {
       ResponseAPI.status = "error";
       return res.status(400).json(ResponseAPI);
     }
+    // El slug no puede repetirse, si no se indica se genera del nombre
+    if (slug && (await Product.exists({ slug: slugify(slug) }))) {
+      ResponseAPI.msg = `Ya existe un producto con el slug '${slugify(slug)}'`;
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
     // Crear nuevo producto en la base de datos
     const newProduct = await Product.create({
       name,
+      slug,
       category,
       price,
       imageUrl: imageUrl || "",
       description: description || "",
       details: details || [],
+      stock: stock ?? null,
+      variants: variants || [],
     });
     ResponseAPI.data = newProduct;
     res.status(201).json(ResponseAPI);
@@ -142,7 +304,17 @@ export const updateProduct = async (req, res, next) => {
   // Extraer ID del producto
   const { id } = req.params;
   // Extraer campos
-  const { name, category, price, imageUrl, description, details } = req.body;
+  const {
+    name,
+    slug,
+    category,
+    price,
+    imageUrl,
+    description,
+    details,
+    stock,
+    variants,
+  } = req.body;
   const ResponseAPI = {
     msg: "Producto actualizado con éxito",
     data: null,
@@ -157,15 +329,59 @@ export const updateProduct = async (req, res, next) => {
       ResponseAPI.status = "error";
       return res.status(404).json(ResponseAPI);
     }
+    const previousSlug = product.slug;
     // Actualización, solo los campos proporcionados se modificaran
     if (name !== undefined) product.name = name;
+    if (slug !== undefined) product.slug = slugify(slug);
     if (category !== undefined) product.category = category;
     if (price !== undefined) product.price = price;
     if (imageUrl !== undefined) product.imageUrl = imageUrl;
     if (description !== undefined) product.description = description;
     if (details !== undefined) product.details = details;
+    if (stock !== undefined) product.stock = stock;
+    if (Array.isArray(variants)) {
+      const merged = mergeVariants(product.variants, variants);
+      // No se pueden quitar variantes que tienen pedidos abiertos
+      const kept = new Set(merged.map((variant) => String(variant?._id)));
+      const removed = product.variants
+        .filter((variant) => !kept.has(variant._id.toString()))
+        .map((variant) => variant._id);
+      if (
+        removed.length > 0 &&
+        (await Order.exists({
+          status: { $in: OPEN_ORDER_STATUSES },
+          "items.variant.variantId": { $in: removed },
+        }))
+      ) {
+        ResponseAPI.msg =
+          "No se pueden eliminar variantes con pedidos pendientes o pagados";
+        ResponseAPI.status = "error";
+        return res.status(409).json(ResponseAPI);
+      }
+      product.variants = merged;
+    } else if (variants !== undefined) {
+      product.variants = variants;
+    }
+    // El nuevo slug no puede ser el de otro producto
+    if (
+      product.slug &&
+      product.slug !== previousSlug &&
+      (await Product.exists({ slug: product.slug }))
+    ) {
+      ResponseAPI.msg = `Ya existe un producto con el slug '${product.slug}'`;
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
     // Guardar los cambios en la base de datos
     const updatedProduct = await product.save();
+    // Las imágenes de galería enlazadas pasan al nuevo slug
+    if (previousSlug && updatedProduct.slug !== previousSlug) {
+      await Category.updateMany(
+        { "gallery.products": previousSlug },
+        { $set: { "gallery.$[].products.$[linked]": updatedProduct.slug } },
+        { arrayFilters: [{ linked: previousSlug }] }
+      );
+    }
     ResponseAPI.data = updatedProduct;
     res.status(200).json(ResponseAPI);
   } catch (error) {
@@ -173,27 +389,70 @@ export const updateProduct = async (req, res, next) => {
   }
 };
 
-// Eliminar producto por su ID
-export const deleteProduct = async (req, res, next) => {
-  // Extraer ID del producto
+// Cambiar el estado de un producto. Los pedidos siguen enlazando al
+// producto, así conservan su nombre e imagen en el historial.
+const setProductStatus = async (req, res, next, status, msg) => {
   const { id } = req.params;
   const ResponseAPI = {
-    msg: "Producto eliminado con éxito",
+    msg,
     data: null,
     status: "ok",
   };
 
   try {
-    // Verificar que el producto existe
+    // Buscar el producto
     const product = await Product.findById(id);
     if (!product) {
       ResponseAPI.msg = "Producto no encontrado";
       ResponseAPI.status = "error";
       return res.status(404).json(ResponseAPI);
     }
-    // Eliminar el producto de la base de datos
-    await Product.findByIdAndDelete(id);
-    ResponseAPI.data = { _id: id };
+    if (product.status !== status) {
+      product.status = status;
+      product.statusChangedAt = status === "active" ? null : new Date();
+      await product.save();
+    }
+    ResponseAPI.data = product;
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Eliminar producto por su ID. Deja de mostrarse en el catálogo y en el
+// listado de administración por defecto, pero se puede restaurar
+export const deleteProduct = (req, res, next) =>
+  setProductStatus(req, res, next, "deleted", "Producto eliminado con éxito");
+
+// Archivar un producto: se retira del catálogo sin eliminarlo
+export const archiveProduct = (req, res, next) =>
+  setProductStatus(req, res, next, "archived", "Producto archivado con éxito");
+
+// Restaurar un producto archivado o eliminado al catálogo
+export const restoreProduct = (req, res, next) =>
+  setProductStatus(req, res, next, "active", "Producto restaurado con éxito");
+
+// Informe de productos y variantes con poco stock
+export const getLowStockReport = async (req, res, next) => {
+  const ResponseAPI = {
+    msg: "Informe de stock bajo obtenido",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // Umbral opcional en la query, por defecto el de la configuración
+    const threshold =
+      req.query.threshold === undefined
+        ? LOW_STOCK_THRESHOLD
+        : Number(req.query.threshold);
+    if (!Number.isInteger(threshold) || threshold < 0) {
+      ResponseAPI.msg = "El umbral debe ser un número entero positivo";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    const items = await getLowStockItems(threshold);
+    ResponseAPI.data = { threshold, items };
     res.status(200).json(ResponseAPI);
   } catch (error) {
     next(error);
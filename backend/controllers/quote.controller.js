@@ -0,0 +1,31 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Controlador de Presupuestos
+ * ============================================
+ */
+
+import { quoteMural, INVALID_QUOTE } from "../services/quote.service.js";
+
+// Calcular el presupuesto desglosado de un mural.
+// Body: width y height (m), location (interior o exterior),
+// surface (ready, clean o repair) y distanceKm
+export const createMuralQuote = async (req, res, next) => {
+  const ResponseAPI = {
+    msg: "Presupuesto calculado",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    ResponseAPI.data = quoteMural(req.body);
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    // Medidas u opciones inválidas
+    if (error.code === INVALID_QUOTE) {
+      ResponseAPI.msg = error.message;
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    next(error);
+  }
+};
@@ -0,0 +1,43 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Controlador de Búsqueda
+ * ============================================
+ */
+
+import { searchAll } from "../services/search.service.js";
+
+// Longitud mínima de la búsqueda y número de resultados
+const MIN_QUERY_LENGTH = 2;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Buscar en productos, categorías, galerías y secciones de contenido
+export const search = async (req, res, next) => {
+  const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  const ResponseAPI = {
+    msg: "Resultados de la búsqueda",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // Validar la búsqueda
+    if (q.length < MIN_QUERY_LENGTH) {
+      ResponseAPI.msg = `La búsqueda debe tener al menos ${MIN_QUERY_LENGTH} caracteres`;
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    const limit = Math.min(
+      MAX_LIMIT,
+      Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_LIMIT)
+    );
+    const results = await searchAll(q, limit);
+    ResponseAPI.data = { query: q, results };
+    if (results.length === 0) {
+      ResponseAPI.msg = `No se encontraron resultados para '${q}'`;
+    }
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,57 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Controlador de Sesiones Activas
+ * ============================================
+ */
+
+import {
+  listActiveSessions,
+  revokeSession,
+} from "../services/session.service.js";
+
+// Listar las sesiones activas del usuario autenticado
+export const getSessions = async (req, res, next) => {
+  const ResponseAPI = {
+    msg: "Sesiones activas obtenidas",
+    data: [],
+    status: "ok",
+  };
+
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+    // Marcar la sesión desde la que se hace la petición
+    ResponseAPI.data = sessions.map((session) => ({
+      _id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      current: session._id.toString() === String(req.auth.sid),
+    }));
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Cerrar una sesión concreta (dispositivo) del usuario autenticado
+export const deleteSession = async (req, res, next) => {
+  const { id } = req.params;
+  const ResponseAPI = {
+    msg: "Sesión cerrada con éxito",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // Solo puede cerrar sus propias sesiones
+    if (!(await revokeSession(id, req.user._id))) {
+      ResponseAPI.msg = "Sesión no encontrada";
+      ResponseAPI.status = "error";
+      return res.status(404).json(ResponseAPI);
+    }
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
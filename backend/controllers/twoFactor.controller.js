@@ -0,0 +1,161 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Controlador de Verificación en Dos Pasos
+ * ============================================
+ */
+
+import bcrypt from "bcrypt";
+import User from "../db/models/User.model.js";
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  findTotpStep,
+  verifyUserTotp,
+  generateRecoveryCodes,
+  verifyUserSecondFactor,
+} from "../services/totp.service.js";
+import {
+  issueAuthTokens,
+  revokeAllUserTokens,
+} from "../services/token.service.js";
+import { getSessionContext } from "../services/session.service.js";
+
+// Iniciar el alta de 2FA: genera un secreto pendiente de confirmar
+export const setupTwoFactor = async (req, res, next) => {
+  const ResponseAPI = {
+    msg: "Escanea el código con tu app de autenticación",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    if (req.user.twoFactorEnabled) {
+      ResponseAPI.msg = "La verificación en dos pasos ya está activada";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    // Guardar el secreto como pendiente hasta que se confirme
+    const secret = generateTotpSecret();
+    await User.updateOne(
+      { _id: req.user._id },
+      { twoFactorPendingSecret: secret }
+    );
+    ResponseAPI.data = {
+      secret,
+      otpauthUri: buildOtpauthUri(secret, req.user.email),
+    };
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Confirmar el alta de 2FA con un código de la app
+export const enableTwoFactor = async (req, res, next) => {
+  const { code } = req.body;
+  const ResponseAPI = {
+    msg: "Verificación en dos pasos activada",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+twoFactorPendingSecret"
+    );
+    if (!user.twoFactorPendingSecret) {
+      ResponseAPI.msg = "Primero debes iniciar la configuración";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    const step = findTotpStep(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      ResponseAPI.msg = "Código de verificación incorrecto";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    // Activar con el secreto confirmado y nuevos códigos de recuperación
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = hashes;
+    // El código de la activación no sirve después para iniciar sesión
+    user.twoFactorLastStep = step;
+    user.twoFactorEnabled = true;
+    await user.save();
+    // Las sesiones abiertas sin 2FA se cierran, esta continúa con tokens nuevos
+    const updatedUser = await revokeAllUserTokens(user._id);
+    ResponseAPI.data = {
+      // Los códigos solo se muestran esta vez
+      recoveryCodes: codes,
+      ...(await issueAuthTokens(updatedUser, getSessionContext(req))),
+    };
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Desactivar 2FA: requiere la contraseña y un código válido
+export const disableTwoFactor = async (req, res, next) => {
+  const { password, code } = req.body;
+  const ResponseAPI = {
+    msg: "Verificación en dos pasos desactivada",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+twoFactorSecret +twoFactorRecoveryCodes"
+    );
+    if (!user.twoFactorEnabled) {
+      ResponseAPI.msg = "La verificación en dos pasos no está activada";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    if (
+      !password ||
+      !(await bcrypt.compare(password, user.password)) ||
+      !(await verifyUserSecondFactor(user, code))
+    ) {
+      ResponseAPI.msg = "Contraseña o código de verificación incorrectos";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorLastStep = undefined;
+    user.twoFactorRecoveryCodes = [];
+    await user.save();
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Generar nuevos códigos de recuperación (invalida los anteriores)
+export const regenerateRecoveryCodes = async (req, res, next) => {
+  const { code } = req.body;
+  const ResponseAPI = {
+    msg: "Nuevos códigos de recuperación generados",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    const user = await User.findById(req.user._id).select("+twoFactorSecret");
+    if (!user.twoFactorEnabled || !(await verifyUserTotp(user, code))) {
+      ResponseAPI.msg = "Código de verificación incorrecto";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save();
+    ResponseAPI.data = { recoveryCodes: codes };
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
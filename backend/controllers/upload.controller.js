@@ -0,0 +1,54 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Controlador de Subida de Imágenes
+ * ============================================
+ */
+
+import { saveImage } from "../services/image.service.js";
+import { PUBLIC_URL } from "../config/config.js";
+
+// Subir una imagen y generar sus versiones WebP (thumb, card y full)
+export const uploadImage = async (req, res, next) => {
+  const ResponseAPI = {
+    msg: "Imagen subida con éxito",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // Verificar que se ha enviado un archivo
+    if (!req.file) {
+      ResponseAPI.msg = "Envía la imagen en el campo 'image'";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    const image = await saveImage(req.file.buffer);
+    // URLs absolutas del backend, válidas para Product.imageUrl o las
+    // imágenes de la galería
+    const baseUrl = PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+    const urls = Object.fromEntries(
+      Object.entries(image.paths).map(([name, filePath]) => [
+        name,
+        `${baseUrl}${filePath}`,
+      ])
+    );
+    ResponseAPI.data = {
+      id: image.id,
+      width: image.width,
+      height: image.height,
+      format: image.format,
+      urls,
+      // Tamaño recomendado para las tarjetas de producto y galería
+      imageUrl: urls.card,
+    };
+    res.status(201).json(ResponseAPI);
+  } catch (error) {
+    // Archivo que no es una imagen válida
+    if (error.statusCode === 400) {
+      ResponseAPI.msg = error.message;
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    next(error);
+  }
+};
@@ -6,6 +6,17 @@
 
 import User from "../db/models/User.model.js";
 import bcrypt from "bcrypt";
+import {
+  issueAuthTokens,
+  revokeAllUserTokens,
+} from "../services/token.service.js";
+import { getSessionContext } from "../services/session.service.js";
+import { sendVerificationEmail } from "../services/verification.service.js";
+import { clearLoginFailures } from "../services/loginThrottle.service.js";
+import { hasPermission } from "../config/roles.js";
+import { verifyUserSecondFactor } from "../services/totp.service.js";
+import { buildUserExport, anonymizeUser } from "../services/account.service.js";
+import { recordAudit } from "../services/audit.service.js";
 
 // Obtener todos los usuarios (Admin)
 export const getAllUsers = async (req, res, next) => {
@@ -73,30 +84,61 @@ export const updateUser = async (req, res, next) => {
       ResponseAPI.status = "error";
       return res.status(404).json(ResponseAPI);
     }
-    // Verificar que el usuario solo pueda modificarse a sí mismo, a menos que sea admin
-    if (req.user.role !== "admin" && req.user._id.toString() !== id) {
+    // Verificar que el usuario solo pueda modificarse a sí mismo, a menos que
+    // tenga permiso para gestionar usuarios
+    if (
+      !hasPermission(req.user.role, "users:update") &&
+      req.user._id.toString() !== id
+    ) {
       ResponseAPI.msg = "No tienes permiso para modificar este usuario";
       ResponseAPI.status = "error";
       return res.status(403).json(ResponseAPI);
     }
+    if (email !== undefined && typeof email !== "string") {
+      ResponseAPI.msg = "El email debe ser un texto";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
     // Actualizar solo los campos proporcionados
     if (username !== undefined) user.username = username;
-    if (email !== undefined) user.email = email;
+    // Un email nuevo tiene que volver a verificarse
+    const emailChanged =
+      email !== undefined && email.toLowerCase().trim() !== user.email;
+    if (emailChanged) {
+      user.email = email;
+      user.emailVerified = false;
+    }
     // Si se proporciona una nueva contraseña, hashearla
-    if (password !== undefined && password.trim() !== "") {
+    const passwordChanged = password !== undefined && password.trim() !== "";
+    if (passwordChanged) {
       const salt = await bcrypt.genSalt(10); // Generar salt para el hash
       user.password = await bcrypt.hash(password, salt); // Hashear la contraseña
     }
-    // Solo admin puede cambiar roles de usuarios
-    if (role !== undefined && req.user.role === "admin") {
+    // Solo quien tiene permiso puede cambiar roles de usuarios
+    if (role !== undefined && hasPermission(req.user.role, "users:roles")) {
       user.role = role;
     }
     // Guardar los cambios en la base de datos
-    const updatedUser = await user.save();
+    let updatedUser = await user.save();
+    // Enviar el enlace de verificación al nuevo email
+    if (emailChanged) {
+      await sendVerificationEmail(updatedUser);
+    }
+    // Un cambio de contraseña cierra la sesión en todos los dispositivos
+    let newTokens = null;
+    if (passwordChanged) {
+      updatedUser = await revokeAllUserTokens(updatedUser._id);
+      // Si el usuario cambió su propia contraseña, mantiene esta sesión
+      if (req.user._id.toString() === id) {
+        newTokens = await issueAuthTokens(updatedUser, getSessionContext(req));
+      }
+    }
     // Excluir la contraseña por seguridad
     const userResponse = updatedUser.toObject();
     delete userResponse.password;
-    ResponseAPI.data = userResponse;
+    ResponseAPI.data = newTokens
+      ? { ...userResponse, ...newTokens }
+      : userResponse;
     res.status(200).json(ResponseAPI);
   } catch (error) {
     next(error);
@@ -116,7 +158,7 @@ export const deleteUser = async (req, res, next) => {
   try {
     // Buscar el usuario
     const user = await User.findById(id);
-    if (!user) {
+    if (!user || user.deletedAt) {
       ResponseAPI.msg = "Usuario no encontrado";
       ResponseAPI.status = "error";
       return res.status(404).json(ResponseAPI);
@@ -127,11 +169,96 @@ export const deleteUser = async (req, res, next) => {
       ResponseAPI.status = "error";
       return res.status(400).json(ResponseAPI);
     }
-    // Eliminar el usuario de la base de datos
-    await User.findByIdAndDelete(id);
+    // Anonimizar en lugar de borrar, sus órdenes deben seguir siendo válidas
+    await anonymizeUser(id);
     ResponseAPI.data = { _id: id };
     res.status(200).json(ResponseAPI);
   } catch (error) {
     next(error);
   }
 };
+
+// Desbloquear el login de un usuario tras intentos fallidos (Admin)
+export const unlockUser = async (req, res, next) => {
+  // Extraer ID del usuario
+  const { id } = req.params;
+  const ResponseAPI = {
+    msg: "Cuenta desbloqueada con éxito",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    // Buscar el usuario
+    const user = await User.findById(id);
+    if (!user) {
+      ResponseAPI.msg = "Usuario no encontrado";
+      ResponseAPI.status = "error";
+      return res.status(404).json(ResponseAPI);
+    }
+    // Reiniciar el contador de intentos fallidos de su email
+    await clearLoginFailures(user.email);
+    ResponseAPI.data = { _id: user._id, email: user.email };
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Descargar todos los datos personales del usuario autenticado (RGPD)
+export const exportMyData = async (req, res, next) => {
+  const ResponseAPI = {
+    msg: "Datos de la cuenta exportados",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    ResponseAPI.data = await buildUserExport(req.user._id);
+    await recordAudit(req, "account.export");
+    // Se descarga como fichero si se abre directamente
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`negromate-datos-${date}.json`);
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Dar de baja la cuenta del usuario autenticado: requiere la contraseña
+// (y el código si tiene 2FA). Sus datos personales se anonimizan.
+export const deleteMyAccount = async (req, res, next) => {
+  const { password, code } = req.body || {};
+  const ResponseAPI = {
+    msg: "Tu cuenta ha sido eliminada",
+    data: null,
+    status: "ok",
+  };
+
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+twoFactorSecret +twoFactorRecoveryCodes"
+    );
+    // Igual que en la ruta de admin, un administrador no puede eliminarse
+    if (user.role === "admin") {
+      ResponseAPI.msg = "No puedes eliminar tu propia cuenta de administrador";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    // Confirmar la identidad antes de una acción irreversible
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+      ResponseAPI.msg = "Contraseña incorrecta";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    if (user.twoFactorEnabled && !(await verifyUserSecondFactor(user, code))) {
+      ResponseAPI.msg = "Código de verificación incorrecto";
+      ResponseAPI.status = "error";
+      return res.status(400).json(ResponseAPI);
+    }
+    await anonymizeUser(user._id);
+    res.status(200).json(ResponseAPI);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -54,8 +54,9 @@ export const mockData = {
     // CATEGORÍA: DISEÑO GRÁFICO
     // ============================================
     {
-      category: "GraphicDesign",
+      category: "graphic-design",
       name: "Paquete Esencial de Marca",
+      slug: "paquete-esencial-de-marca",
       price: 250,
       imageUrl: "/images/santoku.webp",
       description: "Ideal para startups y pequeños proyectos.",
@@ -67,8 +68,9 @@ export const mockData = {
       ],
     },
     {
-      category: "GraphicDesign",
+      category: "graphic-design",
       name: "Paquete Identidad Corporativa",
+      slug: "paquete-identidad-corporativa",
       price: 500,
       imageUrl: "/images/rayolab-bg.webp",
       description: "La solución completa para establecer tu marca.",
@@ -81,8 +83,9 @@ export const mockData = {
       ],
     },
     {
-      category: "GraphicDesign",
+      category: "graphic-design",
       name: "Paquete Premium Total",
+      slug: "paquete-premium-total",
       price: 750,
       imageUrl: "/images/ivy-bg.webp",
       description: "Para marcas que buscan un impacto total y versatilidad.",
@@ -98,8 +101,9 @@ export const mockData = {
     // CATEGORÍA: ROPA PERSONALIZADA
     // ============================================
     {
-      category: "CustomClothing",
+      category: "custom-clothing",
       name: "Prenda Única",
+      slug: "prenda-unica",
       price: 50,
       imageUrl: "/images/clothes.webp",
       description: "Una camiseta o sudadera con un diseño exclusivo para ti.",
@@ -109,10 +113,93 @@ export const mockData = {
         "Técnica de serigrafía o vinilo textil",
         "Asesoría de diseño incluida",
       ],
+      // Capacidad de producción mensual
+      stock: 30,
+      variants: [
+        {
+          sku: "PU-CAM-NEG-S",
+          garment: "Camiseta",
+          size: "S",
+          color: "Negro",
+          priceModifier: 0,
+        },
+        {
+          sku: "PU-CAM-NEG-M",
+          garment: "Camiseta",
+          size: "M",
+          color: "Negro",
+          priceModifier: 0,
+        },
+        {
+          sku: "PU-CAM-NEG-L",
+          garment: "Camiseta",
+          size: "L",
+          color: "Negro",
+          priceModifier: 0,
+        },
+        {
+          sku: "PU-CAM-NEG-XL",
+          garment: "Camiseta",
+          size: "XL",
+          color: "Negro",
+          priceModifier: 0,
+        },
+        {
+          sku: "PU-CAM-BLA-S",
+          garment: "Camiseta",
+          size: "S",
+          color: "Blanco",
+          priceModifier: 0,
+        },
+        {
+          sku: "PU-CAM-BLA-M",
+          garment: "Camiseta",
+          size: "M",
+          color: "Blanco",
+          priceModifier: 0,
+        },
+        {
+          sku: "PU-CAM-BLA-L",
+          garment: "Camiseta",
+          size: "L",
+          color: "Blanco",
+          priceModifier: 0,
+        },
+        {
+          sku: "PU-CAM-BLA-XL",
+          garment: "Camiseta",
+          size: "XL",
+          color: "Blanco",
+          priceModifier: 0,
+        },
+        {
+          sku: "PU-SUD-NEG-M",
+          garment: "Sudadera",
+          size: "M",
+          color: "Negro",
+          priceModifier: 20,
+        },
+        {
+          sku: "PU-SUD-NEG-L",
+          garment: "Sudadera",
+          size: "L",
+          color: "Negro",
+          priceModifier: 20,
+        },
+        {
+          sku: "PU-SUD-NEG-XL",
+          garment: "Sudadera",
+          size: "XL",
+          color: "Negro",
+          priceModifier: 20,
+          available: false,
+        },
+      ],
     },
     {
-      category: "CustomClothing",
+      category: "custom-clothing",
       name: "Pack Dúo Creativo",
+      slug: "pack-duo-creativo",
       price: 100,
       imageUrl: "/images/clothes-graff.webp",
       description:
@@ -123,10 +210,29 @@ export const mockData = {
         "Técnicas mixtas (aerografía, serigrafía)",
         "Proceso colaborativo de diseño",
       ],
+      stock: 15,
+      variants: [
+        {
+          sku: "PD-2CAM",
+          garment: "2 camisetas",
+          priceModifier: 0,
+        },
+        {
+          sku: "PD-CAM-SUD",
+          garment: "Camiseta + sudadera",
+          priceModifier: 20,
+        },
+        {
+          sku: "PD-2SUD",
+          garment: "2 sudaderas",
+          priceModifier: 40,
+        },
+      ],
     },
     {
-      category: "CustomClothing",
+      category: "custom-clothing",
       name: "Colección Cápsula",
+      slug: "coleccion-capsula",
       price: 150,
       imageUrl: "/images/clothes-wall.webp",
       description: "Lanza tu propia mini-colección con nuestra ayuda.",
@@ -136,13 +242,32 @@ export const mockData = {
         "Diseños cohesivos para todas las prendas",
         "Etiquetado personalizado de la marca",
       ],
+      stock: 5,
+      variants: [
+        {
+          sku: "CC-NEG",
+          color: "Negro",
+          priceModifier: 0,
+        },
+        {
+          sku: "CC-BLA",
+          color: "Blanco",
+          priceModifier: 0,
+        },
+        {
+          sku: "CC-MIX",
+          color: "Mix negro y blanco",
+          priceModifier: 15,
+        },
+      ],
     },
     // ============================================
     // CATEGORÍA: MURALES
     // ============================================
     {
-      category: "Murals",
+      category: "murals",
       name: "Mural Interior Pequeño",
+      slug: "mural-interior-pequeno",
       price: 600,
       imageUrl: "/images/manos-pizza.webp",
       description: "Dale vida a una pared de tu local u hogar (hasta 4m²).",
@@ -154,8 +279,9 @@ export const mockData = {
       ],
     },
     {
-      category: "Murals",
+      category: "murals",
       name: "Mural Mediano Impacto Visual",
+      slug: "mural-mediano-impacto-visual",
       price: 850,
       imageUrl: "/images/el-refugio.webp",
       description:
@@ -168,8 +294,9 @@ export const mockData = {
       ],
     },
     {
-      category: "Murals",
+      category: "murals",
       name: "Gran Formato Exterior",
+      slug: "gran-formato-exterior",
       price: 1200,
       imageUrl: "/images/sancho-abarca.webp",
       description:
@@ -181,125 +308,165 @@ export const mockData = {
         "Posibilidad de uso de andamios o elevador (coste extra a evaluar)",
       ],
     },
+    {
+      category: "murals",
+      name: "Mural a Medida",
+      slug: "mural-a-medida",
+      price: 450,
+      quoteType: "mural",
+      imageUrl: "/images/goiko.webp",
+      description:
+        "Calcula el precio de tu mural según sus medidas, la altura, la ubicación y el estado de la pared.",
+      details: [
+        "Diseño y boceto digital incluidos",
+        "Precio por metro cuadrado, interior o exterior",
+        "Andamio o elevador incluido en el presupuesto",
+        "Desplazamiento incluido hasta 20 km",
+      ],
+    },
   ],
   /** -------------------------------------------------------------------
    * ============================================
-   * IMÁGENES DE GALERÍAS
+   * CATEGORÍAS DE SERVICIOS Y SUS GALERÍAS
    * ============================================
    */
-  galleryImages: {
-    graphicDesign: [
-      {
-        id: 1,
-        brand: "Rayo Lab",
-        imageUrl: "/images/rayolab-bg.webp",
-        description:
-          "Nuestra marca es la base de todo lo que hacemos, definiendo quiénes somos y por qué existimos...",
-      },
-      {
-        id: 2,
-        brand: "Ivy",
-        imageUrl: "/images/ivy-bg.webp",
-        description:
-          "Con este símbolo representamos nuestra singularidad, nuestro carácter, cultura y estilo como marca...",
-      },
-      {
-        id: 3,
-        brand: "Caribes",
-        imageUrl: "/images/caribes-bg.webp",
-        description:
-          "Inspirados en las calles de Caracas. Observamos la sinergia entre el ciudadano y su transporte diario...",
-      },
-      {
-        id: 4,
-        brand: "Yujushapes",
-        imageUrl: "/images/yujushapes-bg.webp",
-        description:
-          "Personaje que encarna la alegría y la pasión por el movimiento. Testigo silencioso de cada truco...",
-      },
-      {
-        id: 5,
-        brand: "Santoku",
-        imageUrl: "/images/santoku.webp",
-        description:
-          "El logotipo del restaurante Santoku está inspirado en la icónica estampa japonesa La Gran Ola de Kanagawa...",
-      },
-    ],
-    customClothing: [
-      {
-        id: 1,
-        title: "Graffiti Wear",
-        imageUrl: "/images/clothes-graff.webp",
-        description: "Personalización con spray sobre tela.",
-      },
-      {
-        id: 2,
-        title: "Diseño en Muro",
-        imageUrl: "/images/clothes-wall.webp",
-        description: "El arte de la pared a tu ropa.",
-      },
-      {
-        id: 3,
-        title: "Texturas Urbanas",
-        imageUrl: "/images/clothes.webp",
-        description: "Capas de arte y moda.",
-      },
-      {
-        id: 4,
-        title: "Rayo Lab Merch",
-        imageUrl: "/images/rayolab-gorra.webp",
-        description: "Gorras con estilo.",
-      },
-      {
-        id: 5,
-        title: "Bolsa Rayo Lab",
-        imageUrl: "/images/rayolab-bolsa.webp",
-        description: "Lleva el arte contigo.",
-      },
-      {
-        id: 6,
-        title: "Copa Rayo Lab",
-        imageUrl: "/images/rayolab-copa.webp",
-        description: "Hasta en tu café.",
-      },
-    ],
-    murals: [
-      {
-        id: 1,
-        title: "This is Goiko",
-        imageUrl: "/images/goiko.webp",
-        description: "Un mural vibrante para un restaurante icónico.",
-      },
-      {
-        id: 2,
-        title: "Chavela Taco Masters",
-        imageUrl: "/images/chavela.webp",
-        description: "Arte que abre el apetito.",
-      },
-      {
-        id: 3,
-        title: "Con Las Manos",
-        imageUrl: "/images/manos-pizza.webp",
-        description: "Pizzería con un toque radical.",
-      },
-      {
-        id: 4,
-        title: "Media Luna",
-        imageUrl: "/images/media-luna.webp",
-        description: "Decoración navideña en cristalera.",
-      },
-      {
-        id: 5,
-        title: "El Refugio, Madrid",
-        imageUrl: "/images/el-refugio.webp",
-        description: "La mirada del lobo en un refugio de montaña.",
-      },
-      {
-        id: 6,
-        title: "Sancho Abarca, Zaragoza",
-        imageUrl: "/images/sancho-abarca.webp",
-        description: "Un zorro lleno de color en el paisaje de Zaragoza.",
-      },
-    ],
-  },
-}; 
+  categories: [
+    {
+      slug: "graphic-design",
+      name: "Diseño Gráfico",
+      description: "Identidades de marca, logotipos e ilustraciones.",
+      coverImage: "/images/ivy-bg.webp",
+      order: 1,
+      taxRate: 21,
+      gallery: [
+        {
+          brand: "Rayo Lab",
+          imageUrl: "/images/rayolab-bg.webp",
+          description:
+            "Nuestra marca es la base de todo lo que hacemos, definiendo quiénes somos y por qué existimos...",
+          products: ["paquete-identidad-corporativa"],
+        },
+        {
+          brand: "Ivy",
+          imageUrl: "/images/ivy-bg.webp",
+          description:
+            "Con este símbolo representamos nuestra singularidad, nuestro carácter, cultura y estilo como marca...",
+          products: ["paquete-premium-total"],
+        },
+        {
+          brand: "Caribes",
+          imageUrl: "/images/caribes-bg.webp",
+          description:
+            "Inspirados en las calles de Caracas. Observamos la sinergia entre el ciudadano y su transporte diario...",
+          products: ["paquete-identidad-corporativa"],
+        },
+        {
+          brand: "Yujushapes",
+          imageUrl: "/images/yujushapes-bg.webp",
+          description:
+            "Personaje que encarna la alegría y la pasión por el movimiento. Testigo silencioso de cada truco...",
+          products: ["paquete-esencial-de-marca"],
+        },
+        {
+          brand: "Santoku",
+          imageUrl: "/images/santoku.webp",
+          description:
+            "El logotipo del restaurante Santoku está inspirado en la icónica estampa japonesa La Gran Ola de Kanagawa...",
+          products: ["paquete-esencial-de-marca"],
+        },
+      ],
+    },
+    {
+      slug: "custom-clothing",
+      name: "Ropa Personalizada",
+      description: "Prendas únicas con serigrafía, vinilo y aerografía.",
+      coverImage: "/images/clothes.webp",
+      order: 2,
+      taxRate: 21,
+      gallery: [
+        {
+          title: "Graffiti Wear",
+          imageUrl: "/images/clothes-graff.webp",
+          description: "Personalización con spray sobre tela.",
+          products: ["prenda-unica"],
+        },
+        {
+          title: "Diseño en Muro",
+          imageUrl: "/images/clothes-wall.webp",
+          description: "El arte de la pared a tu ropa.",
+          products: ["prenda-unica"],
+        },
+        {
+          title: "Texturas Urbanas",
+          imageUrl: "/images/clothes.webp",
+          description: "Capas de arte y moda.",
+          products: ["pack-duo-creativo"],
+        },
+        {
+          title: "Rayo Lab Merch",
+          imageUrl: "/images/rayolab-gorra.webp",
+          description: "Gorras con estilo.",
+          products: ["coleccion-capsula"],
+        },
+        {
+          title: "Bolsa Rayo Lab",
+          imageUrl: "/images/rayolab-bolsa.webp",
+          description: "Lleva el arte contigo.",
+          products: ["coleccion-capsula"],
+        },
+        {
+          title: "Copa Rayo Lab",
+          imageUrl: "/images/rayolab-copa.webp",
+          description: "Hasta en tu café.",
+          products: ["coleccion-capsula"],
+        },
+      ],
+    },
+    {
+      slug: "murals",
+      name: "Murales",
+      description: "Murales para locales, fachadas y espacios urbanos.",
+      coverImage: "/images/goiko.webp",
+      order: 3,
+      taxRate: 21,
+      gallery: [
+        {
+          title: "This is Goiko",
+          imageUrl: "/images/goiko.webp",
+          description: "Un mural vibrante para un restaurante icónico.",
+          products: ["gran-formato-exterior"],
+        },
+        {
+          title: "Chavela Taco Masters",
+          imageUrl: "/images/chavela.webp",
+          description: "Arte que abre el apetito.",
+          products: ["mural-mediano-impacto-visual"],
+        },
+        {
+          title: "Con Las Manos",
+          imageUrl: "/images/manos-pizza.webp",
+          description: "Pizzería con un toque radical.",
+          products: ["mural-interior-pequeno"],
+        },
+        {
+          title: "Media Luna",
+          imageUrl: "/images/media-luna.webp",
+          description: "Decoración navideña en cristalera.",
+          products: ["mural-interior-pequeno"],
+        },
+        {
+          title: "El Refugio, Madrid",
+          imageUrl: "/images/el-refugio.webp",
+          description: "La mirada del lobo en un refugio de montaña.",
+          products: ["mural-mediano-impacto-visual"],
+        },
+        {
+          title: "Sancho Abarca, Zaragoza",
+          imageUrl: "/images/sancho-abarca.webp",
+          description: "Un zorro lleno de color en el paisaje de Zaragoza.",
+          products: ["gran-formato-exterior"],
+        },
+      ],
+    },
+  ],
+};
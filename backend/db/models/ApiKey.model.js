@@ -0,0 +1,64 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Esquema de API Key personal
+ * ============================================
+ */
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+const apiKeySchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Nombre para reconocer la integración que la usa
+    name: {
+      type: String,
+      required: [true, "El nombre de la API key es obligatorio"],
+      trim: true,
+      maxlength: 100,
+    },
+    // Primeros caracteres de la key, para identificarla en el listado
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // Hash SHA-256 de la key, nunca se guarda el valor original
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Permisos concedidos a la key (subconjunto de los del rol)
+    scopes: {
+      type: [String],
+      default: [],
+    },
+    // Última vez que se usó
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    // Caducidad opcional
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Fecha en la que se revocó
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+// Crear el modelo ApiKey
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,69 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Esquema de Registro de Auditoría
+ * ============================================
+ */
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+const auditLogSchema = new Schema(
+  {
+    // Usuario que realizó la acción
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    // API key con la que se autenticó, si no fue una sesión
+    apiKey: {
+      type: Schema.Types.ObjectId,
+      ref: "ApiKey",
+      default: null,
+      index: true,
+    },
+    // Acción registrada, p. ej. "apiKey.use" o "DELETE /products/:id"
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Petición que originó la acción
+    method: String,
+    path: String,
+    ip: String,
+    // Código de estado de la respuesta
+    statusCode: Number,
+    // Documento afectado (p. ej. "Product" y su _id)
+    targetType: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    targetId: {
+      type: Schema.Types.ObjectId,
+      default: null,
+      index: true,
+    },
+    // Campos modificados: { campo: { before, after } }
+    changes: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    // Datos adicionales de la acción
+    details: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+// Consultas por fecha, más recientes primero
+auditLogSchema.index({ createdAt: -1 });
+// Crear el modelo AuditLog
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,98 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Esquema de Categoría de servicios
+ * ============================================
+ */
+
+import mongoose from "mongoose";
+import { DEFAULT_TAX_RATE } from "../../config/config.js";
+
+const { Schema } = mongoose;
+// Imagen de la galería de trabajos de la categoría
+const galleryItemSchema = new Schema({
+  title: {
+    type: String,
+    trim: true,
+  },
+  // Marca del cliente (proyectos de diseño gráfico)
+  brand: {
+    type: String,
+    trim: true,
+  },
+  imageUrl: {
+    type: String,
+    required: true,
+  },
+  description: {
+    type: String,
+  },
+  // Slugs de los productos que aparecen en la imagen (Product.slug),
+  // se muestra en la página de cada uno
+  products: {
+    type: [String],
+    default: [],
+  },
+});
+
+const categorySchema = new Schema(
+  {
+    // Identificador en las URLs (/services/:slug) y en Product.category
+    slug: {
+      type: String,
+      required: [true, "El slug de la categoría es obligatorio"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [
+        /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+        "El slug solo admite letras, números y guiones",
+      ],
+    },
+    // Nombre que se muestra en la web
+    name: {
+      type: String,
+      required: [true, "El nombre de la categoría es obligatorio"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    // Imagen de la tarjeta en la página de inicio
+    coverImage: {
+      type: String,
+      default: "",
+    },
+    // Posición en la página de inicio (de menor a mayor)
+    order: {
+      type: Number,
+      default: 0,
+    },
+    // Tipo de IVA en % de los productos de la categoría (21 general,
+    // 10 reducido, 4 superreducido o 0 exento)
+    taxRate: {
+      type: Number,
+      default: DEFAULT_TAX_RATE,
+      min: 0,
+      max: 100,
+    },
+    // Las categorías ocultas no aparecen en la web
+    visible: {
+      type: Boolean,
+      default: true,
+    },
+    gallery: {
+      type: [galleryItemSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+// Índice para el listado ordenado de la página de inicio
+categorySchema.index({ visible: 1, order: 1 });
+// Crear el modelo Category
+const Category = mongoose.model("Category", categorySchema);
+
+export default Category;
@@ -0,0 +1,28 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Esquema de Contador
+ * ============================================
+ */
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+// Secuencias numéricas, p. ej. la de facturas de cada año. El valor solo
+// aumenta: borrar lo numerado no libera el número.
+const counterSchema = new Schema({
+  // Nombre de la secuencia, p. ej. "invoice-2026"
+  _id: {
+    type: String,
+    required: true,
+  },
+  // Último número asignado
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+// Crear el modelo Counter
+const Counter = mongoose.model("Counter", counterSchema);
+
+export default Counter;
@@ -0,0 +1,104 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Esquema de Cupón de descuento
+ * ============================================
+ */
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+// Tipos de descuento: porcentaje de los productos o importe fijo
+export const COUPON_TYPES = ["percentage", "fixed"];
+
+const couponSchema = new Schema(
+  {
+    // Código que escribe el cliente, p. ej. "VERANO25"
+    code: {
+      type: String,
+      required: [true, "El código del cupón es obligatorio"],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      match: [
+        /^[A-Z0-9_-]{3,30}$/,
+        "El código solo admite de 3 a 30 letras, números, guiones y guiones bajos",
+      ],
+    },
+    // Texto de la promoción que ve el cliente
+    description: {
+      type: String,
+      default: "",
+    },
+    type: {
+      type: String,
+      enum: COUPON_TYPES,
+      required: true,
+    },
+    // Porcentaje (1-100) o importe en euros según el tipo
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+      validate: {
+        validator(value) {
+          return this.type !== "percentage" || value <= 100;
+        },
+        message: "Un descuento porcentual no puede superar el 100%",
+      },
+    },
+    // Alcance: slugs de categorías y productos a los que se aplica.
+    // Sin ninguno se aplica a toda la orden.
+    categories: {
+      type: [String],
+      default: [],
+    },
+    products: {
+      type: [{ type: Schema.Types.ObjectId, ref: "Product" }],
+      default: [],
+    },
+    // Importe mínimo de la orden (antes del descuento)
+    minOrderAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Usos totales permitidos y usos por usuario (null = sin límite)
+    maxUses: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    maxUsesPerUser: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    // Órdenes no canceladas que lo usan
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Periodo de validez (null = sin fecha de inicio o de fin)
+    validFrom: {
+      type: Date,
+      default: null,
+    },
+    validUntil: {
+      type: Date,
+      default: null,
+    },
+    // Los cupones desactivados no se pueden usar
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+// Crear el modelo Coupon
+const Coupon = mongoose.model("Coupon", couponSchema);
+
+export default Coupon;
@@ -0,0 +1,167 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Esquema de Factura
+ * ============================================
+ */
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+// Datos fiscales del emisor o del cliente en la fecha de la factura
+const invoicePartySchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    taxId: {
+      type: String,
+      default: "",
+    },
+    address: {
+      type: String,
+      default: "",
+    },
+    email: {
+      type: String,
+      default: "",
+    },
+  },
+  { _id: false }
+);
+// Línea de la factura
+const invoiceLineSchema = new Schema(
+  {
+    description: {
+      type: String,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+    },
+    // Descuento del cupón de la línea
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    taxRate: {
+      type: Number,
+      required: true,
+    },
+    netAmount: {
+      type: Number,
+      required: true,
+    },
+    taxAmount: {
+      type: Number,
+      required: true,
+    },
+    grossAmount: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+/** -------------------------------------------------------------------
+ * ============================================
+ * Esquema de la Factura
+ * ============================================
+ */
+// Copia de los datos de la orden al emitirla: la factura no cambia
+// aunque después se modifique o se elimine la orden
+const invoiceSchema = new Schema(
+  {
+    // Número completo, p. ej. "NC-2026-00001"
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Serie (año de emisión) y número correlativo dentro de la serie
+    series: {
+      type: Number,
+      required: true,
+    },
+    sequence: {
+      type: Number,
+      required: true,
+    },
+    order: {
+      type: Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    issuer: {
+      type: invoicePartySchema,
+      required: true,
+    },
+    customer: {
+      type: invoicePartySchema,
+      required: true,
+    },
+    lines: [invoiceLineSchema],
+    pricesIncludeTax: {
+      type: Boolean,
+      default: true,
+    },
+    subtotal: {
+      type: Number,
+      required: true,
+    },
+    // Código del cupón e importe descontado
+    couponCode: {
+      type: String,
+      default: null,
+    },
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    netAmount: {
+      type: Number,
+      required: true,
+    },
+    taxAmount: {
+      type: Number,
+      required: true,
+    },
+    taxBreakdown: [
+      {
+        _id: false,
+        rate: Number,
+        net: Number,
+        tax: Number,
+      },
+    ],
+    totalAmount: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+// Un número correlativo por serie
+invoiceSchema.index({ series: 1, sequence: 1 }, { unique: true });
+// Crear el modelo Invoice
+const Invoice = mongoose.model("Invoice", invoiceSchema);
+
+export default Invoice;
@@ -0,0 +1,41 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Esquema de Intentos de Login Fallidos
+ * ============================================
+ */
+
+import mongoose from "mongoose";
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // Clave del contador: "email:<email>" o "ip:<ip>"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Intentos fallidos consecutivos
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    // No se admite otro intento hasta esta fecha (retraso o bloqueo)
+    blockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // El contador se olvida automáticamente pasado un tiempo sin fallos
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+// Crear el modelo LoginAttempt
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
@@ -7,12 +7,70 @@
 import mongoose from "mongoose";
 
 const { Schema } = mongoose;
+// Estados de una orden: pendiente de pago, pagada, completada (servicio
+// entregado y facturado) o cancelada
+export const ORDER_STATUSES = ["pending", "paid", "completed", "cancelled"];
+// Copia de la variante elegida en el momento de la compra
+const orderItemVariantSchema = new Schema(
+  {
+    variantId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    sku: {
+      type: String,
+      required: true,
+    },
+    garment: String,
+    size: String,
+    color: String,
+    priceModifier: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+// Copia del presupuesto de un producto a medida en el momento de la compra
+const orderItemQuoteSchema = new Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    summary: String,
+    // Opciones elegidas por el cliente (medidas, ubicación...)
+    options: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    // Superficie en m² (murales)
+    area: Number,
+    lines: [
+      {
+        _id: false,
+        concept: String,
+        quantity: Number,
+        unit: String,
+        unitPrice: Number,
+        amount: Number,
+      },
+    ],
+    total: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
 const orderItemSchema = new Schema({
   product: {
     type: Schema.Types.ObjectId,
     ref: "Product",
     required: true,
   },
+  // Categoría del producto en el momento de la compra
+  category: String,
   quantity: {
     type: Number,
     required: true,
@@ -22,7 +80,146 @@ const orderItemSchema = new Schema({
     type: Number,
     required: true,
   },
+  variant: {
+    type: orderItemVariantSchema,
+    default: null,
+  },
+  quote: {
+    type: orderItemQuoteSchema,
+    default: null,
+  },
+  // Parte del descuento del cupón que corresponde al item (total de la línea)
+  discount: {
+    type: Number,
+    default: 0,
+  },
+  // IVA de la línea ya descontada: tipo en %, base imponible, cuota y total
+  taxRate: {
+    type: Number,
+  },
+  netAmount: {
+    type: Number,
+  },
+  taxAmount: {
+    type: Number,
+  },
+  grossAmount: {
+    type: Number,
+  },
+  // Stock descontado al crear la orden, para devolverlo si se cancela
+  stockReserved: {
+    product: {
+      type: Boolean,
+      default: false,
+    },
+    variant: {
+      type: Boolean,
+      default: false,
+    },
+  },
 });
+// Cupón aplicado a la orden
+const orderDiscountSchema = new Schema(
+  {
+    coupon: {
+      type: Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+    },
+    // Importe descontado del subtotal
+    amount: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+// Datos de facturación que da el cliente al hacer el pedido
+const orderBillingSchema = new Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 120,
+    },
+    // NIF, NIE o CIF
+    taxId: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      maxlength: 20,
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: 250,
+    },
+  },
+  { _id: false }
+);
+// Pago de la orden en la pasarela
+const orderPaymentSchema = new Schema(
+  {
+    // Proveedor e id del pago en el proveedor
+    provider: {
+      type: String,
+      required: true,
+    },
+    intentId: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed", "refunded"],
+      default: "pending",
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+    },
+    paidAt: {
+      type: Date,
+    },
+    refundedAt: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+// Base imponible y cuota de IVA de los items con el mismo tipo
+const orderTaxBreakdownSchema = new Schema(
+  {
+    rate: {
+      type: Number,
+      required: true,
+    },
+    net: {
+      type: Number,
+      required: true,
+    },
+    tax: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
 /** -------------------------------------------------------------------
  * ============================================
  * Esquema del Orden
@@ -36,20 +233,57 @@ const orderSchema = new Schema(
       required: true,
     },
     items: [orderItemSchema],
+    // Importe de los items antes del descuento
+    subtotal: {
+      type: Number,
+    },
+    discount: {
+      type: orderDiscountSchema,
+      default: null,
+    },
+    // Si los precios de los items ya incluían el IVA al crear la orden
+    pricesIncludeTax: {
+      type: Boolean,
+    },
+    // Base imponible y cuota de IVA de la orden con el descuento aplicado
+    netAmount: {
+      type: Number,
+    },
+    taxAmount: {
+      type: Number,
+    },
+    taxBreakdown: [orderTaxBreakdownSchema],
+    // Importe a pagar: base imponible más IVA
     totalAmount: {
       type: Number,
       required: true,
     },
     status: {
       type: String,
-      enum: ["pending", "completed", "cancelled"],
+      enum: ORDER_STATUSES,
       default: "pending",
     },
+    payment: {
+      type: orderPaymentSchema,
+      default: null,
+    },
+    billing: {
+      type: orderBillingSchema,
+      default: null,
+    },
+    // Factura emitida al completar la orden
+    invoice: {
+      type: Schema.Types.ObjectId,
+      ref: "Invoice",
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
+// Buscar la orden de un pago al recibir los webhooks
+orderSchema.index({ "payment.intentId": 1 });
 // Crear el modelo Order
 const Order = mongoose.model("Order", orderSchema);
 
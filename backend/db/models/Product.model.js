@@ -5,6 +5,49 @@
  */
 
 import mongoose from "mongoose";
+import Category from "./Category.model.js";
+import { slugify, uniqueSlug } from "../../services/slug.service.js";
+
+// Variante de un producto (p. ej. talla, color y tipo de prenda)
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  garment: {
+    type: String,
+    trim: true,
+  },
+  size: {
+    type: String,
+    trim: true,
+  },
+  color: {
+    type: String,
+    trim: true,
+  },
+  // Importe que se suma (o resta) al precio base del producto
+  priceModifier: {
+    type: Number,
+    default: 0,
+  },
+  available: {
+    type: Boolean,
+    default: true,
+  },
+  // Unidades disponibles de la variante (null = sin límite)
+  stock: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
+});
+
+// Estados de un producto en el catálogo. Los archivados y eliminados no se
+// muestran ni se venden, pero se conservan para el historial de pedidos.
+export const PRODUCT_STATUSES = ["active", "archived", "deleted"];
 
 const productSchema = new mongoose.Schema(
   {
@@ -13,10 +56,27 @@ const productSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Identificador en la URL de su página (/services/:category/:slug).
+    // Si no se indica se genera a partir del nombre
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+      lowercase: true,
+      match: [
+        /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+        "El slug solo admite letras, números y guiones",
+      ],
+    },
+    // Slug de una categoría existente (Category)
     category: {
       type: String,
       required: true,
-      enum: ["GraphicDesign", "CustomClothing", "Murals"],
+      validate: {
+        validator: (slug) => Category.exists({ slug }),
+        message: (props) => `La categoría '${props.value}' no existe`,
+      },
     },
     price: {
       type: Number,
@@ -34,11 +94,67 @@ const productSchema = new mongoose.Schema(
       type: [String],
       default: [],
     },
+    // Unidades o capacidad disponible del producto, incluidas todas sus
+    // variantes (null = sin límite)
+    stock: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    // Si tiene variantes, el cliente debe elegir una al comprar
+    variants: {
+      type: [variantSchema],
+      default: [],
+      validate: {
+        validator: (variants) =>
+          new Set(variants.map((variant) => variant.sku)).size ===
+          variants.length,
+        message: "Los SKU de las variantes no pueden repetirse",
+      },
+    },
+    // Productos a medida cuyo precio se calcula con un presupuesto
+    // (services/quote.service.js). price es el importe mínimo.
+    quoteType: {
+      type: String,
+      enum: ["mural"],
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: PRODUCT_STATUSES,
+      default: "active",
+    },
+    // Fecha en la que se archivó o eliminó (null si está activo)
+    statusChangedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
+// Índices para los filtros y el orden del listado
+productSchema.index({ status: 1, category: 1, price: 1 });
+productSchema.index({ createdAt: 1 });
+// Un SKU identifica una única variante en todo el catálogo
+productSchema.index(
+  { "variants.sku": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "variants.sku": { $exists: true } },
+  }
+);
+// Generar el slug a partir del nombre si no tiene uno. Un slug ya
+// asignado no cambia al renombrar el producto para no romper los enlaces.
+productSchema.pre("validate", async function () {
+  if (this.slug && this.isModified("slug")) this.slug = slugify(this.slug);
+  if (this.slug) return;
+  const base = slugify(this.name) || "producto";
+  this.slug = await uniqueSlug(base, (slug) =>
+    this.constructor.exists({ slug, _id: { $ne: this._id } })
+  );
+});
 // Crear el modelo Product
 const Product = mongoose.model("Product", productSchema);
 
@@ -0,0 +1,51 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Esquema de Refresh Token
+ * ============================================
+ */
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+const refreshTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Hash SHA-256 del token, nunca se guarda el valor original
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Sesión a la que pertenece: todos los tokens rotados desde el mismo
+    // login comparten sesión
+    session: {
+      type: Schema.Types.ObjectId,
+      ref: "Session",
+      required: true,
+      index: true,
+    },
+    // MongoDB elimina el documento automáticamente al expirar
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0,
+    },
+    // Fecha en la que el token se usó o se revocó
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+// Crear el modelo RefreshToken
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+export default RefreshToken;
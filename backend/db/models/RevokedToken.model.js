@@ -0,0 +1,31 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Esquema de Token Revocado (denylist)
+ * ============================================
+ */
+
+import mongoose from "mongoose";
+
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    // Identificador único (jti) del token de acceso revocado
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Se elimina cuando el token habría expirado de todas formas
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+// Crear el modelo RevokedToken
+const RevokedToken = mongoose.model("RevokedToken", revokedTokenSchema);
+
+export default RevokedToken;
@@ -0,0 +1,52 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Esquema de Sesión (dispositivo con login)
+ * ============================================
+ */
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Navegador o aplicación desde el que se inició sesión
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    // IP del login y de la última actividad
+    ip: {
+      type: String,
+      default: "",
+    },
+    // Última vez que se usó la sesión
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Fecha en la que se cerró la sesión
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // Caduca con su último refresh token, MongoDB la elimina al expirar
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+// Crear el modelo Session
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -5,6 +5,7 @@
  */
 
 import mongoose from "mongoose";
+import { ROLES } from "../../config/roles.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -25,11 +26,62 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: [true, "La contraseña es obligatoria"],
     },
+    // Rol del usuario, determina sus permisos (ver config/roles.js)
     role: {
       type: String,
-      enum: ["user", "admin"],
+      enum: ROLES,
       default: "user",
     },
+    // El email se confirma con el enlace enviado al registrarse
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // Verificación en dos pasos (TOTP)
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    // Secreto generado durante el alta, pendiente de confirmar con un código
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // Último paso de tiempo TOTP aceptado, para no admitir el mismo
+    // código dos veces
+    twoFactorLastStep: {
+      type: Number,
+      select: false,
+    },
+    // Hashes de los códigos de recuperación no usados
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Versión de los tokens, al incrementarla se invalidan todas las sesiones
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    // Recuperación de contraseña (hash del token de un solo uso)
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    // Fecha de baja: los datos personales se anonimizan pero el usuario
+    // se conserva para que sus órdenes sigan siendo válidas
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
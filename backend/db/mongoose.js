@@ -8,7 +8,16 @@ import mongoose from "mongoose";
 import { DB_USER, DB_PASS, CLUSTER, DATABASE } from "../config/config.js";
 import { mockData } from "./data.mock.js";
 import Content from "./models/Content.model.js";
+import User from "./models/User.model.js";
 import Product from "./models/Product.model.js";
+import Category from "./models/Category.model.js";
+
+// Categorías de los productos anteriores al modelo Category
+const LEGACY_CATEGORIES = {
+  GraphicDesign: "graphic-design",
+  CustomClothing: "custom-clothing",
+  Murals: "murals",
+};
 
 // Conecta la app a MongoDB
 export const connectDB = async () => {
@@ -38,6 +47,17 @@ const populateDatabase = async () => {
       await Content.insertMany(mockData.content);
       console.log("📚 Contenido inicial insertado en la base de datos.");
     }
+    // Verificar si ya existen categorías en Category
+    const categoryCount = await Category.countDocuments();
+    if (categoryCount === 0) {
+      // Si no hay categorías, insertar las de mockData con sus galerías
+      await Category.insertMany(mockData.categories);
+      console.log("🗂️ Categorías iniciales insertadas en la base de datos.");
+    }
+    // Pasar los productos con categorías antiguas a su slug
+    for (const [legacy, slug] of Object.entries(LEGACY_CATEGORIES)) {
+      await Product.updateMany({ category: legacy }, { category: slug });
+    }
     // Verificar si ya existen productos en Product
     const productCount = await Product.countDocuments();
     if (productCount === 0) {
@@ -45,6 +65,30 @@ const populateDatabase = async () => {
       await Product.insertMany(mockData.products);
       console.log("🛍️ Productos iniciales insertados en la base de datos.");
     }
+    // Añadir los productos a medida que falten en la base de datos
+    for (const product of mockData.products.filter((p) => p.quoteType)) {
+      if (!(await Product.exists({ slug: product.slug }))) {
+        await Product.create(product);
+      }
+    }
+    // Los productos anteriores a los estados del catálogo están activos
+    await Product.updateMany(
+      { status: { $exists: false } },
+      { status: "active", statusChangedAt: null }
+    );
+    // Las cuentas anteriores a la verificación de email se dan por
+    // verificadas para no bloquear sus pedidos
+    await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { emailVerified: true }
+    );
+    // Generar el slug de los productos anteriores a las páginas de producto
+    const productsWithoutSlug = await Product.find({
+      slug: { $exists: false },
+    });
+    for (const product of productsWithoutSlug) {
+      await product.save();
+    }
   } catch (error) {
     // Si hay un error al insertar info, error
     console.error("🔥 Error al poblar la base de datos:", error);
@@ -6,13 +6,18 @@
 
 import express from "express";
 import cors from "cors";
-import { PORT } from "./config/config.js";
+import { PORT, UPLOADS_DIR, UPLOADS_URL_PATH } from "./config/config.js";
 import { connectDB } from "./db/mongoose.js";
+import { assertPaymentConfig } from "./services/payment.service.js";
 import errorMiddleware from "./middlewares/error.middleware.js";
+import auditMiddleware from "./middlewares/audit.middleware.js";
+import orderExpiryMiddleware from "./middlewares/orderExpiry.middleware.js";
 import apiRoutes from "./routes/index.routes.js";
 
 // Iniciar Express
 const app = express();
+// Confiar en el proxy (Vercel) para obtener la IP real del cliente
+app.set("trust proxy", 1);
 
 /** -------------------------------------------------------------------
  * ============================================
@@ -21,12 +26,21 @@ const app = express();
  */
 // Permite que el frontend pueda hacer peticiones a la API
 app.use(cors());
-// Parser de JSON
-app.use(express.json());
+// Parser de JSON. Guarda el cuerpo original para comprobar la firma de
+// los webhooks de pago.
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 // Parser de URL encoded
 app.use(express.urlencoded({ extended: true }));
 // Archivos estáticos
 app.use(express.static("public"));
+// Imágenes subidas, aunque UPLOADS_DIR esté fuera de public
+app.use(UPLOADS_URL_PATH, express.static(UPLOADS_DIR));
 
 /** -------------------------------------------------------------------
  * ============================================
@@ -37,8 +51,9 @@ app.use(express.static("public"));
 app.get("/", (req, res) => {
   res.json({ message: "API de Negromate Creatives funcionando correctamente" });
 });
-// Rutas de la API
-app.use("/api", apiRoutes);
+// Rutas de la API, con registro de auditoría de cada POST/PUT/DELETE.
+// Antes se cancelan las órdenes pendientes de pago caducadas.
+app.use("/api", orderExpiryMiddleware, auditMiddleware, apiRoutes);
 
 /** -------------------------------------------------------------------
  * ============================================
@@ -48,6 +63,13 @@ app.use("/api", apiRoutes);
 app.use(errorMiddleware);
 // Función para iniciar el servidor
 const startServer = async () => {
+  // No arrancar con una configuración de pagos insegura
+  try {
+    assertPaymentConfig();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
   // Conectar a MongoDB Atlas
   await connectDB();
   app.listen(PORT, () => {
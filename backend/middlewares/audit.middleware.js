@@ -0,0 +1,119 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Middleware de Auditoría
+ * ============================================
+ */
+
+import mongoose from "mongoose";
+import User from "../db/models/User.model.js";
+import Product from "../db/models/Product.model.js";
+import Category from "../db/models/Category.model.js";
+import Order from "../db/models/Order.model.js";
+import Coupon from "../db/models/Coupon.model.js";
+import Content from "../db/models/Content.model.js";
+import ApiKey from "../db/models/ApiKey.model.js";
+import {
+  MUTATING_METHODS,
+  recordAudit,
+  diffDocuments,
+} from "../services/audit.service.js";
+
+// Recursos cuyos documentos se comparan antes y después de la petición.
+// redact: campos personales o secretos que no se guardan en el registro.
+const AUDITED_RESOURCES = [
+  {
+    prefix: "/users",
+    type: "User",
+    model: User,
+    redact: ["password", "email", "username"],
+  },
+  { prefix: "/products", type: "Product", model: Product },
+  { prefix: "/categories", type: "Category", model: Category },
+  { prefix: "/orders", type: "Order", model: Order, redact: ["billing"] },
+  { prefix: "/coupons", type: "Coupon", model: Coupon },
+  { prefix: "/content", type: "Content", model: Content },
+  {
+    prefix: "/auth/api-keys",
+    type: "ApiKey",
+    model: ApiKey,
+    redact: ["keyHash"],
+  },
+];
+
+// Recurso e id del documento al que apunta una ruta, p. ej. /products/:id
+const resolveTarget = (path) => {
+  const resource = AUDITED_RESOURCES.find(
+    ({ prefix }) => path === prefix || path.startsWith(`${prefix}/`)
+  );
+  if (!resource) return { resource: null, id: null };
+  const [segment] = path.slice(resource.prefix.length + 1).split("/");
+  return {
+    resource,
+    id: mongoose.isValidObjectId(segment) ? segment : null,
+  };
+};
+
+// Cargar un documento como objeto plano, o null si no existe
+const loadSnapshot = async (resource, id) =>
+  resource && id ? resource.model.findById(id).lean() : null;
+
+// Middleware de Auditoría: registra cada POST/PUT/DELETE de la API con
+// quién lo hizo, la ruta, el documento afectado y los cambios realizados
+const auditMiddleware = async (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) return next();
+
+  try {
+    // Ruta relativa a /api, p. ej. /products/123
+    const { path } = req;
+    const { resource, id } = resolveTarget(path);
+    // Estado del documento antes de la petición
+    const before = await loadSnapshot(resource, id);
+    // Guardar el cuerpo de la respuesta para conocer el id de lo creado
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    // Al terminar la respuesta se compara con el estado final
+    res.on("finish", async () => {
+      try {
+        // Documento afectado: el de la ruta, el recién creado o, en las
+        // rutas /users/me, el usuario autenticado
+        const createdId = responseBody?.data?._id;
+        let targetId = id;
+        if (!targetId && resource && mongoose.isValidObjectId(createdId)) {
+          targetId = createdId;
+        }
+        if (!targetId && path.startsWith("/users/me")) {
+          targetId = req.user?._id || null;
+        }
+        const after =
+          res.statusCode < 400
+            ? await loadSnapshot(resource, targetId)
+            : before;
+        // Ruta con sus parámetros, p. ej. "PUT /orders/:id"
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : path;
+        await recordAudit(
+          req,
+          `${req.method} ${route.replace(/^\/api/, "")}`,
+          {},
+          {
+            statusCode: res.statusCode,
+            targetType: resource?.type || null,
+            targetId,
+            changes: diffDocuments(before, after, resource?.redact),
+          }
+        );
+      } catch (error) {
+        console.error("Error al registrar la auditoría:", error);
+      }
+    });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default auditMiddleware;
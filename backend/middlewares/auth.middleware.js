@@ -5,11 +5,58 @@
  */
 
 import jwt from "jsonwebtoken";
-import { JWT_SECRET } from "../config/config.js";
+import { JWT_SECRET, REQUIRE_STAFF_2FA } from "../config/config.js";
+import { hasPermission, isStaffPermission } from "../config/roles.js";
 import User from "../db/models/User.model.js";
+import { isAccessTokenRevoked } from "../services/token.service.js";
+import { touchSession } from "../services/session.service.js";
+import {
+  findActiveApiKey,
+  markApiKeyUsed,
+} from "../services/apiKey.service.js";
+import {
+  MUTATING_METHODS,
+  recordAudit,
+} from "../services/audit.service.js";
 
-// Middleware de Autenticación
+// Autenticación con una API key personal (header X-API-Key)
+const apiKeyAuth = async (req, res, next, key) => {
+  try {
+    // Buscar la key activa por su hash
+    const apiKey = await findActiveApiKey(key);
+    if (!apiKey) {
+      return res
+        .status(401)
+        .json({ msg: "No autorizado, API key inválida o revocada." });
+    }
+    // Buscar el usuario propietario de la key
+    req.user = await User.findById(apiKey.user).select("-password");
+    if (!req.user) {
+      return res
+        .status(401)
+        .json({ msg: "No autorizado, usuario no encontrado." });
+    }
+    req.apiKey = apiKey;
+    // Registrar el uso de la key. Las modificaciones ya quedan en su
+    // propio registro de auditoría con la key; las lecturas, aquí.
+    await markApiKeyUsed(apiKey);
+    if (!MUTATING_METHODS.includes(req.method)) {
+      await recordAudit(req, "apiKey.use", { name: apiKey.name });
+    }
+    // El usuario está autenticado, continuar
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Middleware de Autenticación (Bearer JWT o X-API-Key)
 export const authMiddleware = async (req, res, next) => {
+  // Las integraciones se autentican con una API key
+  const apiKey = req.get("x-api-key");
+  if (apiKey) {
+    return apiKeyAuth(req, res, next, apiKey);
+  }
   // Extraer el header de autorización
   const { authorization } = req.headers;
   // Verificar que el header exista con Bearer token
@@ -34,25 +81,65 @@ export const authMiddleware = async (req, res, next) => {
         .status(401)
         .json({ msg: "No autorizado, usuario no encontrado." });
     }
+    // El token fue revocado (logout, sesión cerrada desde otro dispositivo
+    // o cierre de todas las sesiones)
+    if (
+      (decoded.tv || 0) !== (req.user.tokenVersion || 0) ||
+      (await isAccessTokenRevoked(decoded.jti)) ||
+      !(await touchSession(decoded.sid, req.user._id, req.ip))
+    ) {
+      return res.status(401).json({ msg: "No autorizado, token revocado." });
+    }
+    // Datos del token para poder revocarlo en el logout
+    req.auth = decoded;
     // El usuario está autenticado, continuar
     next();
   } catch (error) {
+    // El token de acceso expiró, el cliente debe renovarlo
+    if (error.name === "TokenExpiredError") {
+      return res.status(401).json({ msg: "No autorizado, token expirado." });
+    }
     // El token es inválido
     console.error("Error de autenticación:", error);
     res.status(401).json({ msg: "No autorizado, token inválido." });
   }
 };
 
-// Middleware de Verificación de Admin
-export const adminMiddleware = (req, res, next) => {
-  // Verificar que existe y que tiene rol admin
-  if (req.user && req.user.role === "admin") {
-    // Es admin, continuar
-    next();
-  } else {
-    // No es admin, denegar
-    res
+// Middleware de Autorización por permisos, p. ej. requirePermission("orders:update")
+export const requirePermission = (permission) => (req, res, next) => {
+  // Verificar que el rol del usuario concede el permiso
+  if (!req.user || !hasPermission(req.user.role, permission)) {
+    return res
       .status(403)
-      .json({ msg: "Acceso denegado, requiere rol de administrador." });
+      .json({ msg: "Acceso denegado, no tienes permiso para esta acción." });
+  }
+  // Con API key, el permiso también debe estar entre los de la key
+  if (req.apiKey && !req.apiKey.scopes.includes(permission)) {
+    return res.status(403).json({
+      msg: `Acceso denegado, la API key no tiene el permiso "${permission}".`,
+    });
+  }
+  // La política puede exigir 2FA activo al personal para las tareas de gestión
+  if (
+    REQUIRE_STAFF_2FA &&
+    isStaffPermission(permission) &&
+    !req.user.twoFactorEnabled
+  ) {
+    return res.status(403).json({
+      msg: "Acceso denegado, debes activar la verificación en dos pasos.",
+    });
+  }
+  // Tiene permiso, continuar
+  next();
+};
+
+// Middleware para acciones que requieren una sesión iniciada con la
+// cuenta (gestión de sesiones, 2FA, API keys...), no una API key
+export const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      msg: "Acceso denegado, esta acción requiere iniciar sesión con tu cuenta.",
+    });
   }
+  next();
 };
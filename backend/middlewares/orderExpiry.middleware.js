@@ -0,0 +1,44 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Middleware de Caducidad de Órdenes
+ * ============================================
+ */
+
+import { expirePendingOrders } from "../services/order.service.js";
+
+// Tiempo mínimo entre dos comprobaciones de las órdenes caducadas
+const EXPIRY_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+let nextCheckAt = 0;
+// Comprobación en curso, compartida por las peticiones simultáneas
+let runningCheck = null;
+
+// Cancelar las órdenes caducadas sin interrumpir la petición si falla
+const runOrderExpiry = async () => {
+  try {
+    const expired = await expirePendingOrders();
+    if (expired > 0) {
+      console.log(`⏱️ Órdenes caducadas canceladas: ${expired}`);
+    }
+  } catch (error) {
+    console.error("Error al cancelar las órdenes caducadas:", error);
+  }
+};
+
+// Middleware de Caducidad: cancela las órdenes pendientes de pago
+// caducadas como mucho una vez cada EXPIRY_CHECK_INTERVAL_MS, al llegar
+// las peticiones. No depende de un temporizador, que no sobrevive en el
+// despliegue serverless de Vercel.
+const orderExpiryMiddleware = async (req, res, next) => {
+  if (!runningCheck && Date.now() >= nextCheckAt) {
+    nextCheckAt = Date.now() + EXPIRY_CHECK_INTERVAL_MS;
+    runningCheck = runOrderExpiry().finally(() => {
+      runningCheck = null;
+    });
+  }
+  // Se espera para que la petición vea el stock ya liberado
+  if (runningCheck) await runningCheck;
+  next();
+};
+
+export default orderExpiryMiddleware;
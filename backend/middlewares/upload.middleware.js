@@ -0,0 +1,34 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Middleware de Subida de Archivos
+ * ============================================
+ */
+
+import multer from "multer";
+import { UPLOAD_MAX_SIZE_MB } from "../config/config.js";
+
+// El archivo se guarda en memoria: el servicio de imágenes decide qué se
+// escribe en disco después de validarlo
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: UPLOAD_MAX_SIZE_MB * 1024 * 1024,
+    files: 1,
+  },
+});
+
+// Recibir una imagen en el campo "image" de un formulario multipart
+export const uploadImageFile = (req, res, next) => {
+  upload.single("image")(req, res, (err) => {
+    if (!err) return next();
+    // Errores del cliente (archivo muy grande, campo incorrecto...)
+    if (err instanceof multer.MulterError) {
+      const msg =
+        err.code === "LIMIT_FILE_SIZE"
+          ? `La imagen no puede superar ${UPLOAD_MAX_SIZE_MB} MB`
+          : `Error al subir el archivo: ${err.message}`;
+      return res.status(400).json({ msg, data: null, status: "error" });
+    }
+    next(err);
+  });
+};
@@ -5,34 +5,75 @@
  */
 
 import express from "express";
+import { IS_PRODUCTION } from "../config/config.js";
 // Importar controladores
 import {
   registerUser,
   loginUser,
+  loginTwoFactor,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllDevices,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   getUserProfile,
 } from "../controllers/auth.controller.js";
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "../controllers/twoFactor.controller.js";
+import {
+  getSessions,
+  deleteSession,
+} from "../controllers/session.controller.js";
+import {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+} from "../controllers/apiKey.controller.js";
 import {
   getAllUsers,
   getUserById,
   updateUser,
   deleteUser,
+  unlockUser,
+  exportMyData,
+  deleteMyAccount,
 } from "../controllers/user.controller.js";
 import {
   getProducts,
   getProductById,
+  getProductBySlug,
+  getAdminProducts,
+  archiveProduct,
+  restoreProduct,
   createProduct,
   updateProduct,
   deleteProduct,
   getProductsWithGallery,
+  getLowStockReport,
 } from "../controllers/product.controller.js";
 import {
   getAllOrders,
   getUserOrders,
   getOrderById,
   createOrder,
+  previewOrder,
+  getOrderInvoice,
+  checkoutOrder,
   updateOrderStatus,
   deleteOrder,
 } from "../controllers/order.controller.js";
+import {
+  receivePaymentWebhook,
+  showMockCheckout,
+  confirmMockCheckout,
+  cancelMockCheckout,
+} from "../controllers/payment.controller.js";
 import {
   getAllContent,
   getContentBySection,
@@ -40,11 +81,32 @@ import {
   updateContent,
   deleteContent,
 } from "../controllers/content.controller.js";
+import {
+  getCategories,
+  getAllCategories,
+  getCategoryBySlug,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} from "../controllers/category.controller.js";
+import {
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  validateCoupon,
+} from "../controllers/coupon.controller.js";
+import { getAuditLogs } from "../controllers/audit.controller.js";
+import { search } from "../controllers/search.controller.js";
+import { createMuralQuote } from "../controllers/quote.controller.js";
+import { uploadImage } from "../controllers/upload.controller.js";
 // Importar middlewares
 import {
   authMiddleware,
-  adminMiddleware,
+  requirePermission,
+  requireSession,
 } from "../middlewares/auth.middleware.js";
+import { uploadImageFile } from "../middlewares/upload.middleware.js";
 
 // Crear el router principal de Express
 const router = express.Router();
@@ -58,8 +120,77 @@ const router = express.Router();
 router.post("/auth/register", registerUser);
 // Inicio de sesión
 router.post("/auth/login", loginUser);
+// Segundo paso del login con verificación en dos pasos
+router.post("/auth/login/2fa", loginTwoFactor);
+// Renovar el token de acceso (rota el refresh token)
+router.post("/auth/refresh", refreshAccessToken);
+// Cerrar sesión en el dispositivo actual
+router.post("/auth/logout", authMiddleware, requireSession, logoutUser);
+// Cerrar sesión en todos los dispositivos
+router.post(
+  "/auth/logout-all",
+  authMiddleware,
+  requireSession,
+  logoutAllDevices
+);
+// Solicitar enlace de recuperación de contraseña
+router.post("/auth/forgot-password", forgotPassword);
+// Restablecer la contraseña con el token del email
+router.post("/auth/reset-password", resetPassword);
+// Verificar el email con el enlace recibido
+router.post("/auth/verify-email", verifyEmail);
+// Reenviar el email de verificación
+router.post(
+  "/auth/verify-email/resend",
+  authMiddleware,
+  requireSession,
+  resendVerificationEmail
+);
 // Obtener perfil del usuario autenticado
 router.get("/auth/profile", authMiddleware, getUserProfile);
+// Listar las sesiones activas del usuario
+router.get("/auth/sessions", authMiddleware, requireSession, getSessions);
+// Cerrar la sesión de un dispositivo concreto
+router.delete(
+  "/auth/sessions/:id",
+  authMiddleware,
+  requireSession,
+  deleteSession
+);
+// Listar las API keys personales del usuario
+router.get("/auth/api-keys", authMiddleware, requireSession, getApiKeys);
+// Crear una API key personal
+router.post("/auth/api-keys", authMiddleware, requireSession, createApiKey);
+// Revocar una API key personal
+router.delete(
+  "/auth/api-keys/:id",
+  authMiddleware,
+  requireSession,
+  revokeApiKey
+);
+// Iniciar la configuración de la verificación en dos pasos
+router.post("/auth/2fa/setup", authMiddleware, requireSession, setupTwoFactor);
+// Confirmar y activar la verificación en dos pasos
+router.post(
+  "/auth/2fa/enable",
+  authMiddleware,
+  requireSession,
+  enableTwoFactor
+);
+// Desactivar la verificación en dos pasos
+router.post(
+  "/auth/2fa/disable",
+  authMiddleware,
+  requireSession,
+  disableTwoFactor
+);
+// Generar nuevos códigos de recuperación
+router.post(
+  "/auth/2fa/recovery-codes",
+  authMiddleware,
+  requireSession,
+  regenerateRecoveryCodes
+);
 
 /** -------------------------------------------------------------------
  * ========================================
@@ -67,13 +198,54 @@ router.get("/auth/profile", authMiddleware, getUserProfile);
  * ========================================
  */
 // Obtener todos los usuarios
-router.get("/users", authMiddleware, adminMiddleware, getAllUsers);
+router.get(
+  "/users",
+  authMiddleware,
+  requirePermission("users:read"),
+  getAllUsers
+);
+// Descargar los datos personales del usuario autenticado
+router.get(
+  "/users/me/export",
+  authMiddleware,
+  requirePermission("account:export"),
+  exportMyData
+);
+// Dar de baja la cuenta del usuario autenticado
+router.delete(
+  "/users/me",
+  authMiddleware,
+  requirePermission("account:delete"),
+  deleteMyAccount
+);
 // Obtener un usuario específico por ID
-router.get("/users/:id", authMiddleware, adminMiddleware, getUserById);
+router.get(
+  "/users/:id",
+  authMiddleware,
+  requirePermission("users:read"),
+  getUserById
+);
 // Actualizar información de un usuario
-router.put("/users/:id", authMiddleware, updateUser);
+router.put(
+  "/users/:id",
+  authMiddleware,
+  requirePermission("account:update"),
+  updateUser
+);
 // Eliminar un usuario
-router.delete("/users/:id", authMiddleware, adminMiddleware, deleteUser);
+router.delete(
+  "/users/:id",
+  authMiddleware,
+  requirePermission("users:delete"),
+  deleteUser
+);
+// Desbloquear el login de un usuario tras intentos fallidos
+router.post(
+  "/users/:id/unlock",
+  authMiddleware,
+  requirePermission("users:unlock"),
+  unlockUser
+);
 
 /** -------------------------------------------------------------------
  * ========================================
@@ -84,14 +256,97 @@ router.delete("/users/:id", authMiddleware, adminMiddleware, deleteUser);
 router.get("/products", getProducts);
 // Obtener productos por categoría con galería
 router.get("/products/category/:category", getProductsWithGallery);
+// Informe de productos y variantes con poco stock
+router.get(
+  "/products/low-stock",
+  authMiddleware,
+  requirePermission("inventory:read"),
+  getLowStockReport
+);
+// Listar productos de cualquier estado, incluidos archivados y eliminados
+router.get(
+  "/products/admin",
+  authMiddleware,
+  requirePermission("products:update"),
+  getAdminProducts
+);
+// Obtener un producto por su slug para su página de detalle
+router.get("/products/slug/:slug", getProductBySlug);
 // Obtener detalles de un producto específico
 router.get("/products/:id", getProductById);
 // Crear un nuevo producto
-router.post("/products", authMiddleware, adminMiddleware, createProduct);
+router.post(
+  "/products",
+  authMiddleware,
+  requirePermission("products:create"),
+  createProduct
+);
 // Actualizar un producto existente
-router.put("/products/:id", authMiddleware, adminMiddleware, updateProduct);
-// Eliminar un producto
-router.delete("/products/:id", authMiddleware, adminMiddleware, deleteProduct);
+router.put(
+  "/products/:id",
+  authMiddleware,
+  requirePermission("products:update"),
+  updateProduct
+);
+// Archivar un producto (sale del catálogo sin eliminarse)
+router.put(
+  "/products/:id/archive",
+  authMiddleware,
+  requirePermission("products:update"),
+  archiveProduct
+);
+// Restaurar un producto archivado o eliminado
+router.put(
+  "/products/:id/restore",
+  authMiddleware,
+  requirePermission("products:update"),
+  restoreProduct
+);
+// Eliminar un producto (se conserva para el historial de pedidos)
+router.delete(
+  "/products/:id",
+  authMiddleware,
+  requirePermission("products:delete"),
+  deleteProduct
+);
+
+/** -------------------------------------------------------------------
+ * ========================================
+ * RUTAS DE CATEGORÍAS
+ * ========================================
+ */
+// Obtener las categorías visibles
+router.get("/categories", getCategories);
+// Obtener todas las categorías, también las ocultas
+router.get(
+  "/categories/all",
+  authMiddleware,
+  requirePermission("categories:read"),
+  getAllCategories
+);
+// Obtener una categoría por su slug
+router.get("/categories/:slug", getCategoryBySlug);
+// Crear una nueva categoría
+router.post(
+  "/categories",
+  authMiddleware,
+  requirePermission("categories:create"),
+  createCategory
+);
+// Actualizar una categoría existente
+router.put(
+  "/categories/:id",
+  authMiddleware,
+  requirePermission("categories:update"),
+  updateCategory
+);
+// Eliminar una categoría sin productos
+router.delete(
+  "/categories/:id",
+  authMiddleware,
+  requirePermission("categories:delete"),
+  deleteCategory
+);
 
 /** -------------------------------------------------------------------
  * ========================================
@@ -99,17 +354,124 @@ router.delete("/products/:id", authMiddleware, adminMiddleware, deleteProduct);
  * ========================================
  */
 // Obtener todas las órdenes del sistema
-router.get("/orders", authMiddleware, adminMiddleware, getAllOrders);
+router.get(
+  "/orders",
+  authMiddleware,
+  requirePermission("orders:read"),
+  getAllOrders
+);
 // Obtener órdenes del usuario autenticado
-router.get("/orders/myorders", authMiddleware, getUserOrders);
+router.get(
+  "/orders/myorders",
+  authMiddleware,
+  requirePermission("orders:read:own"),
+  getUserOrders
+);
 // Obtener detalles de una orden específica
-router.get("/orders/:id", authMiddleware, getOrderById);
+router.get(
+  "/orders/:id",
+  authMiddleware,
+  requirePermission("orders:read:own"),
+  getOrderById
+);
+// Descargar la factura en PDF de una orden
+router.get(
+  "/orders/:id/invoice",
+  authMiddleware,
+  requirePermission("orders:read:own"),
+  getOrderInvoice
+);
 // Crear una nueva orden
-router.post("/orders", authMiddleware, createOrder);
+router.post(
+  "/orders",
+  authMiddleware,
+  requirePermission("orders:create"),
+  createOrder
+);
+// Calcular el resumen de una orden (descuento e IVA) sin crearla
+router.post(
+  "/orders/preview",
+  authMiddleware,
+  requirePermission("orders:create"),
+  previewOrder
+);
+// Iniciar el pago de una orden pendiente en la pasarela
+router.post(
+  "/orders/:id/checkout",
+  authMiddleware,
+  requirePermission("orders:create"),
+  checkoutOrder
+);
 // Actualizar el estado de una orden
-router.put("/orders/:id", authMiddleware, adminMiddleware, updateOrderStatus);
+router.put(
+  "/orders/:id",
+  authMiddleware,
+  requirePermission("orders:update"),
+  updateOrderStatus
+);
 // Eliminar una orden
-router.delete("/orders/:id", authMiddleware, adminMiddleware, deleteOrder);
+router.delete(
+  "/orders/:id",
+  authMiddleware,
+  requirePermission("orders:delete"),
+  deleteOrder
+);
+
+/** -------------------------------------------------------------------
+ * ========================================
+ * RUTAS DE PAGOS
+ * ========================================
+ */
+// Eventos firmados del proveedor de pagos
+router.post("/payments/webhook", receivePaymentWebhook);
+// Página de pago de la pasarela simulada (solo con PAYMENT_PROVIDER=mock).
+// No existe en producción.
+if (!IS_PRODUCTION) {
+  router.get("/payments/mock/:intentId", showMockCheckout);
+  router.post("/payments/mock/:intentId/confirm", confirmMockCheckout);
+  router.post("/payments/mock/:intentId/cancel", cancelMockCheckout);
+}
+
+/** -------------------------------------------------------------------
+ * ========================================
+ * RUTAS DE CUPONES
+ * ========================================
+ */
+// Comprobar un cupón con los artículos del carrito
+router.post(
+  "/coupons/validate",
+  authMiddleware,
+  requirePermission("orders:create"),
+  validateCoupon
+);
+// Obtener todos los cupones
+router.get(
+  "/coupons",
+  authMiddleware,
+  requirePermission("coupons:read"),
+  getCoupons
+);
+// Crear un cupón
+router.post(
+  "/coupons",
+  authMiddleware,
+  requirePermission("coupons:create"),
+  createCoupon
+);
+// Actualizar un cupón
+router.put(
+  "/coupons/:id",
+  authMiddleware,
+  requirePermission("coupons:update"),
+  updateCoupon
+);
+// Eliminar un cupón sin usar
+router.delete(
+  "/coupons/:id",
+  authMiddleware,
+  requirePermission("coupons:delete"),
+  deleteCoupon
+);
 
 /** -------------------------------------------------------------------
  * ========================================
@@ -117,14 +479,77 @@ router.delete("/orders/:id", authMiddleware, adminMiddleware, deleteOrder);
  * ========================================
  */
 // Obtener todo el contenido del sistema
-router.get("/content", authMiddleware, adminMiddleware, getAllContent);
+router.get(
+  "/content",
+  authMiddleware,
+  requirePermission("content:read"),
+  getAllContent
+);
 // Obtener contenido de una sección específica
 router.get("/content/:sectionName", getContentBySection);
 // Crear una nueva sección de contenido
-router.post("/content", authMiddleware, adminMiddleware, createContent);
+router.post(
+  "/content",
+  authMiddleware,
+  requirePermission("content:create"),
+  createContent
+);
 // Actualizar contenido existente
-router.put("/content/:id", authMiddleware, adminMiddleware, updateContent);
+router.put(
+  "/content/:id",
+  authMiddleware,
+  requirePermission("content:update"),
+  updateContent
+);
 // Eliminar una sección de contenido
-router.delete("/content/:id", authMiddleware, adminMiddleware, deleteContent);
+router.delete(
+  "/content/:id",
+  authMiddleware,
+  requirePermission("content:delete"),
+  deleteContent
+);
+
+/** -------------------------------------------------------------------
+ * ========================================
+ * RUTAS DE IMÁGENES
+ * ========================================
+ */
+// Subir una imagen y generar sus versiones WebP
+router.post(
+  "/uploads/images",
+  authMiddleware,
+  requirePermission("media:upload"),
+  uploadImageFile,
+  uploadImage
+);
+
+/** -------------------------------------------------------------------
+ * ========================================
+ * RUTAS DE BÚSQUEDA
+ * ========================================
+ */
+// Buscar en productos, categorías, galerías y contenido (sin distinguir tildes)
+router.get("/search", search);
+
+/** -------------------------------------------------------------------
+ * ========================================
+ * RUTAS DE PRESUPUESTOS
+ * ========================================
+ */
+// Calcular el presupuesto desglosado de un mural a medida
+router.post("/quotes/mural", createMuralQuote);
+
+/** -------------------------------------------------------------------
+ * ========================================
+ * RUTAS DE AUDITORÍA
+ * ========================================
+ */
+// Consultar el registro de auditoría con filtros y paginación
+router.get(
+  "/audit-logs",
+  authMiddleware,
+  requirePermission("audit:read"),
+  getAuditLogs
+);
 
 export default router;
@@ -42,6 +42,7 @@ const createAdminUser = async () => {
       email: adminData.email,
       password: hashedPassword,
       role: "admin",
+      emailVerified: true,
     });
     // Confirmacion de admin creado
     console.log("✅ Usuario admin creado exitosamente!");
@@ -57,6 +58,9 @@ const createAdminUser = async () => {
     console.log(
       "\n⚠️ IMPORTANTE: Cambia la contraseña después del primer login"
     );
+    console.log(
+      "🔐 Activa la verificación en dos pasos desde 'Mi Cuenta' para usar las rutas de administración"
+    );
     // Salir del proceso
     process.exit(0);
   } catch (error) {
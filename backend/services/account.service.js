@@ -0,0 +1,124 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de Datos de la Cuenta (RGPD)
+ * ============================================
+ */
+
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import User from "../db/models/User.model.js";
+import Order from "../db/models/Order.model.js";
+import Session from "../db/models/Session.model.js";
+import ApiKey from "../db/models/ApiKey.model.js";
+import AuditLog from "../db/models/AuditLog.model.js";
+import { revokeAllUserTokens } from "./token.service.js";
+import { clearLoginFailures } from "./loginThrottle.service.js";
+
+// Reunir todos los datos personales de un usuario para su descarga
+export const buildUserExport = async (userId) => {
+  const user = await User.findById(userId).select("-password");
+  const [orders, sessions, apiKeys, activity] = await Promise.all([
+    Order.find({ user: userId })
+      .populate("items.product", "name category")
+      .sort({ createdAt: -1 }),
+    Session.find({ user: userId }).sort({ createdAt: -1 }),
+    ApiKey.find({ user: userId }).sort({ createdAt: -1 }),
+    AuditLog.find({ actor: userId }).sort({ createdAt: -1 }),
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      _id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactorEnabled,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+    },
+    orders: orders.map((order) => ({
+      _id: order._id,
+      status: order.status,
+      totalAmount: order.totalAmount,
+      createdAt: order.createdAt,
+      items: order.items.map((item) => ({
+        product: item.product?.name || null,
+        category: item.product?.category || null,
+        quantity: item.quantity,
+        price: item.price,
+      })),
+    })),
+    sessions: sessions.map((session) => ({
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      revokedAt: session.revokedAt,
+    })),
+    apiKeys: apiKeys.map((apiKey) => ({
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      createdAt: apiKey.createdAt,
+      lastUsedAt: apiKey.lastUsedAt,
+      revokedAt: apiKey.revokedAt,
+    })),
+    activity: activity.map((entry) => ({
+      action: entry.action,
+      method: entry.method,
+      path: entry.path,
+      ip: entry.ip,
+      createdAt: entry.createdAt,
+    })),
+  };
+};
+
+// Dar de baja una cuenta: se borran o anonimizan los datos personales y
+// se cierran todos sus accesos. El documento se conserva para que las
+// órdenes sigan apuntando a un usuario válido para la contabilidad.
+// Retención: las facturas ya emitidas conservan los datos fiscales del
+// cliente, que la normativa obliga a guardar; en las órdenes se borran.
+export const anonymizeUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+  const previousEmail = user.email;
+
+  // Contraseña aleatoria que nadie conoce: la cuenta queda inutilizable
+  const salt = await bcrypt.genSalt(10);
+  user.password = await bcrypt.hash(
+    crypto.randomBytes(32).toString("hex"),
+    salt
+  );
+  user.username = "Usuario eliminado";
+  user.email = `deleted-${user._id}@deleted.invalid`;
+  user.role = "user";
+  user.emailVerified = false;
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorRecoveryCodes = [];
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  user.deletedAt = new Date();
+  await user.save();
+
+  // Cerrar sesiones y revocar las API keys
+  await revokeAllUserTokens(user._id);
+  await ApiKey.updateMany(
+    { user: user._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  // Borrar los datos de facturación de sus órdenes
+  await Order.updateMany(
+    { user: user._id, billing: { $ne: null } },
+    { billing: null }
+  );
+  // Eliminar los datos de dispositivo y actividad asociados a la persona
+  await Session.updateMany({ user: user._id }, { userAgent: "", ip: "" });
+  await AuditLog.updateMany({ actor: user._id }, { ip: "" });
+  await clearLoginFailures(previousEmail);
+
+  return user;
+};
@@ -0,0 +1,36 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de API Keys
+ * ============================================
+ */
+
+import crypto from "crypto";
+import ApiKey from "../db/models/ApiKey.model.js";
+import { hashToken } from "./token.service.js";
+
+// Prefijo reconocible de las keys de Negromate
+const API_KEY_PREFIX = "nmk_";
+
+// Generar una key nueva. Devuelve el valor en claro (se muestra una sola
+// vez), su hash para guardarlo y el prefijo visible en el listado.
+export const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("hex")}`;
+  return {
+    key,
+    keyHash: hashToken(key),
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+  };
+};
+
+// Buscar la key activa (no revocada ni caducada) que corresponde a un valor
+export const findActiveApiKey = (key) =>
+  ApiKey.findOne({
+    keyHash: hashToken(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+
+// Anotar el uso de una key
+export const markApiKeyUsed = async (apiKey) => {
+  await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() });
+};
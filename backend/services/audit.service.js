@@ -0,0 +1,55 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de Auditoría
+ * ============================================
+ */
+
+import AuditLog from "../db/models/AuditLog.model.js";
+
+// Métodos que modifican datos: auditMiddleware registra cada uno
+export const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+// Campos internos que no aportan nada al comparar versiones
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+// Valor que sustituye a los datos personales o secretos en los cambios
+const REDACTED = "[oculto]";
+
+// Registrar una acción con los datos de la petición que la origina.
+// entry: datos del documento afectado (targetType, targetId, changes...).
+// Un fallo al auditar no debe interrumpir la petición.
+export const recordAudit = async (req, action, details = {}, entry = {}) => {
+  try {
+    await AuditLog.create({
+      actor: req.user?._id || null,
+      apiKey: req.apiKey?._id || null,
+      action,
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+      details,
+      ...entry,
+    });
+  } catch (error) {
+    console.error("Error al registrar la auditoría:", error);
+  }
+};
+
+// Comparar dos versiones de un documento (objetos planos).
+// Devuelve { campo: { before, after } } o null si no hay cambios.
+// Los campos de redact se registran como modificados pero sin su valor.
+export const diffDocuments = (before, after, redact = []) => {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  const changes = {};
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const oldValue = before?.[field];
+    const newValue = after?.[field];
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+    changes[field] = redact.includes(field)
+      ? { before: REDACTED, after: REDACTED }
+      : { before: oldValue ?? null, after: newValue ?? null };
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+};
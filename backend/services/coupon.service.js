@@ -0,0 +1,148 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de Cupones de descuento
+ * ============================================
+ */
+
+import Coupon from "../db/models/Coupon.model.js";
+import Order from "../db/models/Order.model.js";
+import { roundPrice } from "./price.service.js";
+
+// Código de los errores al aplicar un cupón
+export const INVALID_COUPON = "INVALID_COUPON";
+
+// Error con el mensaje que verá el cliente
+const couponError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = INVALID_COUPON;
+  return error;
+};
+
+// Indica si un item de la orden entra en el alcance del cupón
+const isEligible = (coupon, item) => {
+  const scoped = coupon.categories.length > 0 || coupon.products.length > 0;
+  return (
+    !scoped ||
+    coupon.categories.includes(item.category) ||
+    coupon.products.some((id) => id.toString() === item.product.toString())
+  );
+};
+
+// Repartir el descuento entre los items del alcance en proporción a su
+// importe. El último se queda con los céntimos del redondeo.
+const allocateDiscount = (items, eligible, amount, eligibleSubtotal) => {
+  let remaining = amount;
+  const lastIndex = eligible.at(-1);
+  return items.map((item, index) => {
+    if (!eligible.includes(index)) return 0;
+    if (index === lastIndex) return roundPrice(remaining);
+    const share = roundPrice(
+      (amount * item.price * item.quantity) / eligibleSubtotal
+    );
+    remaining -= share;
+    return share;
+  });
+};
+
+// Comprobar que el usuario no ha agotado sus usos del cupón. Con session,
+// cuenta dentro de la transacción de la orden.
+const checkUserUses = async (coupon, userId, session = null) => {
+  const userUses = await Order.countDocuments({
+    user: userId,
+    "discount.coupon": coupon._id,
+    status: { $ne: "cancelled" },
+  }).session(session);
+  if (userUses >= coupon.maxUsesPerUser) {
+    throw couponError("Ya has usado este cupón el máximo de veces");
+  }
+};
+
+// Validar un cupón para una orden y calcular su descuento.
+// items: los de priceOrderItems, subtotal: importe antes del descuento.
+// Devuelve el cupón, el descuento total y el de cada item.
+export const applyCoupon = async (code, user, items, subtotal) => {
+  const coupon = await Coupon.findOne({
+    code: String(code).trim().toUpperCase(),
+  });
+  if (!coupon || !coupon.active) {
+    throw couponError("El cupón no existe o no está activo");
+  }
+  // Periodo de validez
+  const now = new Date();
+  if (coupon.validFrom && now < coupon.validFrom) {
+    throw couponError("El cupón todavía no es válido");
+  }
+  if (coupon.validUntil && now > coupon.validUntil) {
+    throw couponError("El cupón ha caducado");
+  }
+  // Importe mínimo
+  if (subtotal < coupon.minOrderAmount) {
+    throw couponError(
+      `El cupón requiere un pedido mínimo de ${coupon.minOrderAmount}€`
+    );
+  }
+  // Usos totales y del usuario
+  if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) {
+    throw couponError("El cupón ya no tiene usos disponibles", 409);
+  }
+  if (coupon.maxUsesPerUser !== null) {
+    await checkUserUses(coupon, user._id);
+  }
+  // Productos a los que se aplica
+  const eligible = items
+    .map((item, index) => (isEligible(coupon, item) ? index : null))
+    .filter((index) => index !== null);
+  if (eligible.length === 0) {
+    throw couponError("El cupón no se aplica a ningún producto del carrito");
+  }
+  const eligibleSubtotal = eligible.reduce(
+    (sum, index) => sum + items[index].price * items[index].quantity,
+    0
+  );
+  // El descuento nunca supera el importe de los productos del alcance
+  const amount = roundPrice(
+    coupon.type === "percentage"
+      ? (eligibleSubtotal * coupon.value) / 100
+      : Math.min(coupon.value, eligibleSubtotal)
+  );
+  return {
+    coupon,
+    amount,
+    itemDiscounts: allocateDiscount(items, eligible, amount, eligibleSubtotal),
+  };
+};
+
+// Contar el uso del cupón dentro de la transacción de la orden. El $inc
+// solo se aplica si quedan usos, así dos pedidos simultáneos no superan
+// el límite. Los usos del usuario se cuentan después del $inc: dos
+// transacciones que escriben el mismo cupón entran en conflicto y la
+// segunda se repite viendo ya la orden de la primera.
+export const redeemCoupon = async (couponId, session, userId) => {
+  const { modifiedCount } = await Coupon.updateOne(
+    {
+      _id: couponId,
+      $or: [{ maxUses: null }, { $expr: { $lt: ["$usedCount", "$maxUses"] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+  if (modifiedCount === 0) {
+    throw couponError("El cupón ya no tiene usos disponibles", 409);
+  }
+  const coupon = await Coupon.findById(couponId)
+    .select("maxUsesPerUser")
+    .session(session);
+  if (coupon.maxUsesPerUser !== null) {
+    await checkUserUses(coupon, userId, session);
+  }
+};
+
+// Devolver el uso del cupón de una orden cancelada o eliminada
+export const releaseCoupon = async (couponId, session) => {
+  await Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+};
@@ -0,0 +1,86 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de Imágenes
+ * ============================================
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import sharp from "sharp";
+import { UPLOADS_DIR, UPLOADS_URL_PATH } from "../config/config.js";
+
+// Formatos de imagen que se aceptan como original
+export const IMAGE_FORMATS = {
+  jpeg: "jpg",
+  png: "png",
+  webp: "webp",
+  avif: "avif",
+};
+// Ancho máximo de cada derivado WebP (nunca se amplía la imagen)
+export const IMAGE_SIZES = {
+  thumb: 200,
+  card: 600,
+  full: 1600,
+};
+// Calidad de los derivados WebP
+const WEBP_QUALITY = 80;
+
+// Ruta pública de un archivo de UPLOADS_DIR, p. ej. /uploads/abc/card.webp.
+// express.static sirve UPLOADS_DIR desde UPLOADS_URL_PATH.
+const toPublicPath = (filePath) =>
+  `${UPLOADS_URL_PATH.replace(/\/$/, "")}/${path
+    .relative(UPLOADS_DIR, filePath)
+    .split(path.sep)
+    .join("/")}`;
+
+// Guardar el original y generar sus derivados WebP en UPLOADS_DIR/<id>/.
+// Devuelve las rutas públicas de cada versión o lanza un error si el
+// archivo no es una imagen válida.
+export const saveImage = async (buffer) => {
+  // Comprobar el formato real del archivo, no el que declara el cliente
+  const metadata = await sharp(buffer)
+    .metadata()
+    .catch(() => ({}));
+  const extension = IMAGE_FORMATS[metadata.format];
+  if (!extension) {
+    const error = new Error(
+      "El archivo no es una imagen válida (JPG, PNG, WebP o AVIF)"
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const id = `${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+  const dir = path.join(UPLOADS_DIR, id);
+  await fs.mkdir(dir, { recursive: true });
+
+  try {
+    // El original se vuelve a codificar en su formato para quitar los
+    // metadatos (EXIF con la ubicación GPS, cámara...) antes de publicarlo
+    const originalPath = path.join(dir, `original.${extension}`);
+    await sharp(buffer).rotate().toFormat(metadata.format).toFile(originalPath);
+    const paths = { original: toPublicPath(originalPath) };
+    // Derivados: se corrige la orientación EXIF y se eliminan los metadatos
+    for (const [name, width] of Object.entries(IMAGE_SIZES)) {
+      const filePath = path.join(dir, `${name}.webp`);
+      await sharp(buffer)
+        .rotate()
+        .resize({ width, withoutEnlargement: true })
+        .webp({ quality: WEBP_QUALITY })
+        .toFile(filePath);
+      paths[name] = toPublicPath(filePath);
+    }
+    return {
+      id,
+      width: metadata.width,
+      height: metadata.height,
+      format: metadata.format,
+      paths,
+    };
+  } catch (error) {
+    // No dejar carpetas a medias
+    await fs.rm(dir, { recursive: true, force: true });
+    throw error;
+  }
+};
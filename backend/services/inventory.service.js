@@ -0,0 +1,135 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de Inventario
+ * ============================================
+ */
+
+import Product from "../db/models/Product.model.js";
+
+// Código de los errores por falta de stock
+export const OUT_OF_STOCK = "OUT_OF_STOCK";
+
+// Un stock null significa que no se controla (servicios sin límite)
+const isTracked = (stock) => stock !== null && stock !== undefined;
+
+// Nombre del producto con su variante, p. ej. "Prenda Única (PU-CAM-NEG-M)"
+const describeItem = (product, variant) =>
+  variant ? `${product.name} (${variant.sku})` : product.name;
+
+// Error con el mensaje que verá el cliente
+const outOfStockError = (product, variant, available) => {
+  const label = describeItem(product, variant);
+  const error = new Error(
+    available > 0
+      ? `No hay stock suficiente de '${label}'. Quedan ${available} unidades`
+      : `'${label}' está agotado`
+  );
+  error.statusCode = 409;
+  error.code = OUT_OF_STOCK;
+  return error;
+};
+
+// Descontar el stock de los items de una orden dentro de la transacción.
+// El stock del producto limita todas sus unidades y el de la variante
+// solo las de esa variante. Cada $inc solo se aplica si queda stock, así
+// dos pedidos simultáneos nunca dejan el stock en negativo.
+// Marca en item.stockReserved lo que se ha descontado para devolverlo.
+export const reserveStock = async (items, session) => {
+  for (const item of items) {
+    const reserved = { product: false, variant: false };
+    const product = await Product.findById(item.product).session(session);
+    if (!product) {
+      item.stockReserved = reserved;
+      continue;
+    }
+    const variantId = item.variant?.variantId;
+    const variant = variantId ? product.variants.id(variantId) : null;
+
+    if (isTracked(product.stock)) {
+      const { modifiedCount } = await Product.updateOne(
+        { _id: product._id, stock: { $gte: item.quantity } },
+        { $inc: { stock: -item.quantity } },
+        { session }
+      );
+      if (modifiedCount === 0) {
+        throw outOfStockError(product, null, product.stock);
+      }
+      reserved.product = true;
+    }
+    if (variant && isTracked(variant.stock)) {
+      const { modifiedCount } = await Product.updateOne(
+        {
+          _id: product._id,
+          variants: {
+            $elemMatch: { _id: variant._id, stock: { $gte: item.quantity } },
+          },
+        },
+        { $inc: { "variants.$.stock": -item.quantity } },
+        { session }
+      );
+      if (modifiedCount === 0) {
+        throw outOfStockError(product, variant, variant.stock);
+      }
+      reserved.variant = true;
+    }
+    item.stockReserved = reserved;
+  }
+};
+
+// Devolver al inventario el stock reservado por los items de una orden
+export const releaseStock = async (items, session) => {
+  for (const item of items) {
+    const reserved = item.stockReserved || {};
+    if (reserved.product) {
+      await Product.updateOne(
+        { _id: item.product },
+        { $inc: { stock: item.quantity } },
+        { session }
+      );
+    }
+    if (reserved.variant && item.variant?.variantId) {
+      await Product.updateOne(
+        { _id: item.product, "variants._id": item.variant.variantId },
+        { $inc: { "variants.$.stock": item.quantity } },
+        { session }
+      );
+    }
+    item.stockReserved = { product: false, variant: false };
+  }
+};
+
+// Productos del catálogo y variantes con stock igual o inferior al
+// umbral, de menor a mayor stock
+export const getLowStockItems = async (threshold) => {
+  const low = { $ne: null, $lte: threshold };
+  const products = await Product.find({
+    status: "active",
+    $or: [{ stock: low }, { variants: { $elemMatch: { stock: low } } }],
+  }).lean();
+
+  const items = [];
+  for (const product of products) {
+    const base = {
+      product: product._id,
+      name: product.name,
+      category: product.category,
+    };
+    if (isTracked(product.stock) && product.stock <= threshold) {
+      items.push({ ...base, variant: null, sku: null, stock: product.stock });
+    }
+    for (const variant of product.variants || []) {
+      if (isTracked(variant.stock) && variant.stock <= threshold) {
+        items.push({
+          ...base,
+          variant: variant._id,
+          sku: variant.sku,
+          garment: variant.garment,
+          size: variant.size,
+          color: variant.color,
+          stock: variant.stock,
+        });
+      }
+    }
+  }
+  return items.sort((a, b) => a.stock - b.stock);
+};
@@ -0,0 +1,150 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Plantilla PDF de las Facturas
+ * ============================================
+ */
+
+import PDFDocument from "pdfkit";
+
+// Márgenes y columnas de la tabla de líneas (x y ancho en puntos, A4)
+const MARGIN = 50;
+const COLUMNS = [
+  { key: "description", label: "Concepto", x: 50, width: 190 },
+  { key: "quantity", label: "Uds.", x: 240, width: 35, align: "right" },
+  { key: "unitPrice", label: "Precio", x: 275, width: 60, align: "right" },
+  { key: "discount", label: "Dto.", x: 335, width: 50, align: "right" },
+  { key: "taxRate", label: "IVA", x: 385, width: 40, align: "right" },
+  { key: "netAmount", label: "Base", x: 425, width: 60, align: "right" },
+  { key: "grossAmount", label: "Total", x: 485, width: 60, align: "right" },
+];
+
+// Importe con formato español: 1.234,50 €
+const formatMoney = (amount) =>
+  `${new Intl.NumberFormat("es-ES", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }).format(amount)} €`;
+
+const formatDate = (date) =>
+  new Intl.DateTimeFormat("es-ES", { dateStyle: "long" }).format(date);
+
+// Bloque con los datos fiscales de una parte
+const drawParty = (doc, title, party, x, y) => {
+  doc.font("Helvetica-Bold").fontSize(10).text(title, x, y);
+  doc.font("Helvetica").fontSize(9);
+  [party.name, party.taxId && `NIF: ${party.taxId}`, party.address, party.email]
+    .filter(Boolean)
+    .forEach((text) => doc.text(text, x, doc.y, { width: 230 }));
+};
+
+// Fila de la tabla de líneas
+const drawRow = (doc, values, y, font = "Helvetica") => {
+  doc.font(font).fontSize(9);
+  const height = Math.max(
+    ...COLUMNS.map(({ key, width }) =>
+      doc.heightOfString(values[key], { width })
+    )
+  );
+  COLUMNS.forEach(({ key, x, width, align }) =>
+    doc.text(values[key], x, y, { width, align })
+  );
+  return y + height + 6;
+};
+
+// Fila de los totales, alineada a la derecha
+const drawTotal = (doc, label, value, y, font = "Helvetica") => {
+  doc.font(font).fontSize(10);
+  doc.text(label, 335, y, { width: 150, align: "right" });
+  doc.text(value, 485, y, { width: 60, align: "right" });
+  return y + 16;
+};
+
+// Generar el PDF de una factura. Devuelve un Buffer.
+export const renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: MARGIN,
+      info: { Title: `Factura ${invoice.number}`, Author: invoice.issuer.name },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    // Cabecera
+    doc.font("Helvetica-Bold").fontSize(20).text("FACTURA", MARGIN, MARGIN);
+    doc.font("Helvetica").fontSize(10);
+    doc.text(`Número: ${invoice.number}`, MARGIN, 80);
+    doc.text(`Fecha: ${formatDate(invoice.issuedAt)}`);
+
+    // Emisor y cliente
+    drawParty(doc, "Emisor", invoice.issuer, MARGIN, 120);
+    drawParty(doc, "Cliente", invoice.customer, 315, 120);
+
+    // Líneas
+    let y = 220;
+    y = drawRow(
+      doc,
+      Object.fromEntries(COLUMNS.map(({ key, label }) => [key, label])),
+      y,
+      "Helvetica-Bold"
+    );
+    doc
+      .moveTo(MARGIN, y - 3)
+      .lineTo(545, y - 3)
+      .stroke();
+    for (const line of invoice.lines) {
+      if (y > 720) {
+        doc.addPage();
+        y = MARGIN;
+      }
+      y = drawRow(
+        doc,
+        {
+          description: line.description,
+          quantity: String(line.quantity),
+          unitPrice: formatMoney(line.unitPrice),
+          discount: line.discount ? `-${formatMoney(line.discount)}` : "",
+          taxRate: `${line.taxRate}%`,
+          netAmount: formatMoney(line.netAmount),
+          grossAmount: formatMoney(line.grossAmount),
+        },
+        y
+      );
+    }
+    doc.moveTo(MARGIN, y).lineTo(545, y).stroke();
+
+    // Totales con el desglose del IVA por tipo
+    if (y > 640) {
+      doc.addPage();
+      y = MARGIN;
+    }
+    y += 10;
+    if (invoice.discount) {
+      y = drawTotal(
+        doc,
+        `Descuento (${invoice.couponCode})`,
+        `-${formatMoney(invoice.discount)}`,
+        y
+      );
+    }
+    y = drawTotal(doc, "Base imponible", formatMoney(invoice.netAmount), y);
+    for (const { rate, net, tax } of invoice.taxBreakdown) {
+      y = drawTotal(
+        doc,
+        `IVA ${rate}% sobre ${formatMoney(net)}`,
+        formatMoney(tax),
+        y
+      );
+    }
+    drawTotal(
+      doc,
+      "Total",
+      formatMoney(invoice.totalAmount),
+      y + 4,
+      "Helvetica-Bold"
+    );
+
+    doc.end();
+  });
@@ -0,0 +1,110 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de Facturas
+ * ============================================
+ */
+
+import Counter from "../db/models/Counter.model.js";
+import Invoice from "../db/models/Invoice.model.js";
+import Product from "../db/models/Product.model.js";
+import User from "../db/models/User.model.js";
+import { INVOICE_PREFIX, STUDIO_FISCAL_DATA } from "../config/config.js";
+import { applyTaxes } from "./tax.service.js";
+
+// Siguiente número de una secuencia. El $inc es atómico y dentro de la
+// transacción: si la emisión falla el número no se consume, y si después
+// se elimina la orden el contador no retrocede.
+const nextSequence = async (name, session) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+  return counter.seq;
+};
+
+// Número de factura: PREFIJO-AÑO-00001
+const formatInvoiceNumber = (series, sequence) =>
+  `${INVOICE_PREFIX}-${series}-${String(sequence).padStart(5, "0")}`;
+
+// Concepto de una línea: el producto con su variante o su presupuesto
+const describeLine = (item, product) => {
+  const name = product?.name || "Producto eliminado";
+  if (item.variant?.sku) return `${name} (${item.variant.sku})`;
+  if (item.quote?.summary) return `${name} - ${item.quote.summary}`;
+  return name;
+};
+
+// Datos del cliente: los de facturación de la orden o, si no los dio,
+// su nombre de usuario
+const buildCustomer = (order, user) => ({
+  name: order.billing?.name || user?.username || "Cliente",
+  taxId: order.billing?.taxId || "",
+  address: order.billing?.address || "",
+  email: user?.email || "",
+});
+
+// Emitir la factura de una orden completada dentro de su transacción.
+// Si la orden ya tenía factura (p. ej. se volvió a completar) se devuelve
+// esa, así una orden nunca tiene dos números.
+export const issueInvoice = async (order, session) => {
+  const existing = await Invoice.findOne({ order: order._id }).session(session);
+  if (existing) return existing;
+
+  // Consultas una a una: una sesión de transacción no admite operaciones
+  // en paralelo
+  const user = await User.findById(order.user)
+    .select("username email")
+    .session(session);
+  const products = await Product.find({
+    _id: { $in: order.items.map((item) => item.product) },
+  })
+    .select("name")
+    .session(session);
+  const items = order.items.map((item) => item.toObject());
+  // Las órdenes anteriores al IVA por categoría se calculan al emitir
+  const totals = items.every((item) => item.taxRate !== undefined)
+    ? order
+    : await applyTaxes(items);
+
+  const issuedAt = new Date();
+  const series = issuedAt.getFullYear();
+  const sequence = await nextSequence(`invoice-${series}`, session);
+  const [invoice] = await Invoice.create(
+    [
+      {
+        number: formatInvoiceNumber(series, sequence),
+        series,
+        sequence,
+        order: order._id,
+        user: order.user,
+        issuedAt,
+        issuer: STUDIO_FISCAL_DATA,
+        customer: buildCustomer(order, user),
+        lines: items.map((item) => ({
+          description: describeLine(
+            item,
+            products.find((p) => p._id.equals(item.product))
+          ),
+          quantity: item.quantity,
+          unitPrice: item.price,
+          discount: item.discount || 0,
+          taxRate: item.taxRate,
+          netAmount: item.netAmount,
+          taxAmount: item.taxAmount,
+          grossAmount: item.grossAmount,
+        })),
+        pricesIncludeTax: totals.pricesIncludeTax ?? true,
+        subtotal: order.subtotal ?? order.totalAmount,
+        couponCode: order.discount?.code || null,
+        discount: order.discount?.amount || 0,
+        netAmount: totals.netAmount,
+        taxAmount: totals.taxAmount,
+        taxBreakdown: totals.taxBreakdown,
+        totalAmount: totals.totalAmount,
+      },
+    ],
+    { session }
+  );
+  return invoice;
+};
@@ -0,0 +1,128 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de Protección del Login
+ * ============================================
+ */
+
+import LoginAttempt from "../db/models/LoginAttempt.model.js";
+import {
+  LOGIN_MAX_ATTEMPTS,
+  LOGIN_MAX_ATTEMPTS_PER_IP,
+  LOGIN_LOCKOUT_MINUTES,
+} from "../config/config.js";
+
+const LOCKOUT_SECONDS = LOGIN_LOCKOUT_MINUTES * 60;
+
+// Clave del contador por email
+const emailKey = (email) => `email:${String(email).toLowerCase().trim()}`;
+
+// Clave del contador por IP
+const ipKey = (ip) => `ip:${ip}`;
+
+// Contadores que se aplican a un intento: por email y por IP
+const countersFor = ({ email, ip }) => [emailKey(email), ipKey(ip)];
+
+// Retraso progresivo del contador por email: los dos primeros fallos son
+// libres, después 2s, 4s, 8s... y al llegar al máximo se bloquea
+// LOGIN_LOCKOUT_MINUTES
+const getDelaySeconds = (failures, max) => {
+  if (failures >= max) return LOCKOUT_SECONDS;
+  if (failures <= 2) return 0;
+  return Math.min(2 ** (failures - 2), LOCKOUT_SECONDS);
+};
+
+// Segundos que faltan hasta una fecha
+const secondsUntil = (date, now) =>
+  date && date > now ? Math.ceil((date - now) / 1000) : 0;
+
+// Comprobar si el email o la IP deben esperar antes de otro intento.
+// Devuelve los segundos de espera (0 si puede intentarlo).
+export const getLoginRetryAfter = async ({ email, ip }) => {
+  const now = new Date();
+  const attempts = await LoginAttempt.find({
+    key: { $in: countersFor({ email, ip }) },
+  });
+  return Math.max(
+    0,
+    ...attempts.map((attempt) => secondsUntil(attempt.blockedUntil, now))
+  );
+};
+
+// Fallo en el contador del email: retraso progresivo y bloqueo al
+// llegar a LOGIN_MAX_ATTEMPTS. Devuelve los segundos de espera.
+const registerEmailFailure = async (email, now) => {
+  // Incremento atómico, válido con varias instancias del servidor
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key: emailKey(email) },
+    {
+      $inc: { failures: 1 },
+      $setOnInsert: { expiresAt: now },
+    },
+    { upsert: true, new: true }
+  );
+  const delay = getDelaySeconds(attempt.failures, LOGIN_MAX_ATTEMPTS);
+  const blockedUntil = new Date(now.getTime() + delay * 1000);
+  await LoginAttempt.updateOne(
+    { _id: attempt._id },
+    {
+      blockedUntil,
+      // El contador se reinicia tras un bloqueo completo sin fallos
+      expiresAt: new Date(blockedUntil.getTime() + LOCKOUT_SECONDS * 1000),
+    }
+  );
+  return delay;
+};
+
+// Fallo en el contador de la IP: ventana fija de LOGIN_LOCKOUT_MINUTES
+// sin retrasos, para no frenar a las redes compartidas (oficinas, NAT),
+// y bloqueo al llegar a LOGIN_MAX_ATTEMPTS_PER_IP fallos en la ventana.
+// Devuelve los segundos de espera.
+const registerIpFailure = async (ip, now) => {
+  const key = ipKey(ip);
+  const windowEnd = new Date(now.getTime() + LOCKOUT_SECONDS * 1000);
+  // Empezar una ventana nueva si la anterior ya terminó (el TTL de
+  // MongoDB puede tardar en borrarla)
+  await LoginAttempt.updateOne(
+    { key, expiresAt: { $lte: now } },
+    { failures: 0, blockedUntil: null, expiresAt: windowEnd }
+  );
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $setOnInsert: { expiresAt: windowEnd },
+    },
+    { upsert: true, new: true }
+  );
+  if (attempt.failures < LOGIN_MAX_ATTEMPTS_PER_IP) return 0;
+  // El bloqueo dura LOGIN_LOCKOUT_MINUTES desde el último fallo
+  await LoginAttempt.updateOne(
+    { _id: attempt._id },
+    { blockedUntil: windowEnd, expiresAt: windowEnd }
+  );
+  return LOCKOUT_SECONDS;
+};
+
+// Registrar un intento fallido en ambos contadores.
+// Devuelve los segundos de espera antes del siguiente intento.
+export const registerLoginFailure = async ({ email, ip }) => {
+  const now = new Date();
+  const emailDelay = await registerEmailFailure(email, now);
+  const ipDelay = await registerIpFailure(ip, now);
+  return Math.max(emailDelay, ipDelay);
+};
+
+// Reiniciar el contador del email tras un login correcto o un desbloqueo.
+// El contador por IP se mantiene para no premiar a quien prueba cuentas.
+export const clearLoginFailures = async (email) => {
+  await LoginAttempt.deleteOne({ key: emailKey(email) });
+};
+
+// Texto legible para la espera
+export const formatRetryAfter = (seconds) => {
+  if (seconds < 60) {
+    return `${seconds} segundo${seconds === 1 ? "" : "s"}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minuto${minutes === 1 ? "" : "s"}`;
+};
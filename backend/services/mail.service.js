@@ -0,0 +1,73 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de Correo Electrónico
+ * ============================================
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import {
+  MAIL_TRANSPORT,
+  MAIL_OUTBOX_DIR,
+  MAIL_FROM,
+} from "../config/config.js";
+
+// Transporte por defecto: guarda cada email como un archivo .eml en una
+// carpeta local para poder revisarlo durante el desarrollo
+export const createOutboxTransport = (dir = MAIL_OUTBOX_DIR) => ({
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    // Nombre único y legible: fecha + destinatario
+    const safeTo = message.to.replace(/[^a-z0-9@._-]/gi, "_");
+    const fileName = `${message.date.getTime()}-${safeTo}.eml`;
+    const content = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${message.date.toUTCString()}`,
+      "Content-Type: text/plain; charset=utf-8",
+      "",
+      message.text,
+    ].join("\n");
+    await fs.writeFile(path.join(dir, fileName), content, "utf8");
+    console.log(`📧 Email guardado en ${path.join(dir, fileName)}`);
+  },
+});
+
+// Transportes disponibles según la variable MAIL_TRANSPORT
+const transportFactories = {
+  outbox: createOutboxTransport,
+};
+
+let activeTransport = null;
+
+// Permite conectar otro transporte (SMTP, API externa...) con un
+// objeto que implemente send(message)
+export const setMailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+// Devuelve el transporte activo, creándolo la primera vez
+const getTransport = () => {
+  if (!activeTransport) {
+    const factory = transportFactories[MAIL_TRANSPORT];
+    if (!factory) {
+      throw new Error(`Transporte de correo desconocido: '${MAIL_TRANSPORT}'`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+// Enviar un email de texto plano
+export const sendMail = async ({ to, subject, text }) => {
+  const message = {
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    date: new Date(),
+  };
+  await getTransport().send(message);
+  return message;
+};
@@ -0,0 +1,40 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Plantillas de Correo Electrónico
+ * ============================================
+ */
+
+// Email con el enlace para restablecer la contraseña
+export const passwordResetEmail = ({ username, url, minutes }) => ({
+  subject: "Restablece tu contraseña - Negromate Creatives",
+  text: [
+    `Hola ${username},`,
+    "",
+    "Hemos recibido una solicitud para restablecer tu contraseña.",
+    "Abre este enlace para elegir una nueva:",
+    "",
+    url,
+    "",
+    `El enlace caduca en ${minutes} minutos y solo se puede usar una vez.`,
+    "Si no has sido tú, ignora este mensaje: tu contraseña no cambiará.",
+    "",
+    "El equipo de Negromate Creatives",
+  ].join("\n"),
+});
+
+// Email con el enlace para verificar la dirección de correo
+export const emailVerificationEmail = ({ username, url }) => ({
+  subject: "Confirma tu email - Negromate Creatives",
+  text: [
+    `Hola ${username},`,
+    "",
+    "Gracias por crear tu cuenta en Negromate Creatives.",
+    "Confirma tu dirección de email abriendo este enlace:",
+    "",
+    url,
+    "",
+    "Necesitarás un email confirmado para poder realizar pedidos.",
+    "",
+    "El equipo de Negromate Creatives",
+  ].join("\n"),
+});
@@ -0,0 +1,190 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Pasarela de Pago Simulada (desarrollo)
+ * ============================================
+ */
+
+import crypto from "crypto";
+import { PORT, PUBLIC_URL } from "../config/config.js";
+import {
+  SIGNATURE_HEADER,
+  signWebhookPayload,
+  verifyWebhookSignature,
+} from "./paymentSignature.service.js";
+
+// Error con el código de estado que verá el cliente
+const intentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Escapar texto para la página HTML
+const escapeHtml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        char
+      ])
+  );
+
+// Proveedor que simula una pasarela sin servicios externos: guarda los
+// pagos en memoria, ofrece una página de pago propia en
+// /api/payments/mock/:intentId y envía los webhooks firmados a
+// /api/payments/webhook como haría un proveedor real.
+// Los pagos se pierden al reiniciar el servidor: solo para desarrollo.
+export const createMockPaymentProvider = ({
+  baseUrl = PUBLIC_URL || `http://localhost:${PORT}`,
+} = {}) => {
+  const intents = new Map();
+
+  const findIntent = (intentId) => {
+    const intent = intents.get(intentId);
+    if (!intent) throw intentError("Pago no encontrado", 404);
+    return intent;
+  };
+
+  // Enviar un evento firmado al webhook de la API. Un fallo en el envío
+  // no interrumpe el pago, igual que en una pasarela real.
+  const sendEvent = async (type, intent) => {
+    const payload = JSON.stringify({
+      id: `evt_mock_${crypto.randomBytes(8).toString("hex")}`,
+      type,
+      intentId: intent.id,
+      orderId: intent.orderId,
+      amount: intent.amount,
+      currency: intent.currency,
+      created: Math.floor(Date.now() / 1000),
+    });
+    try {
+      const response = await fetch(`${baseUrl}/api/payments/webhook`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          [SIGNATURE_HEADER]: signWebhookPayload(payload),
+        },
+        body: payload,
+      });
+      if (!response.ok) {
+        console.error(`Webhook ${type} rechazado: ${response.status}`);
+      }
+    } catch (error) {
+      console.error(`Error al enviar el webhook ${type}:`, error);
+    }
+  };
+
+  // Datos de un pago con la URL de su página de pago
+  const toIntentResponse = ({ id, status, amount, currency }) => ({
+    id,
+    status,
+    amount,
+    currency,
+    checkoutUrl: `${baseUrl}/api/payments/mock/${id}`,
+  });
+
+  // Cambiar el estado de un pago pendiente y avisar con su evento
+  const settleIntent = async (intentId, status, eventType) => {
+    const intent = findIntent(intentId);
+    if (intent.status !== "requires_payment") {
+      throw intentError("El pago ya no está pendiente", 409);
+    }
+    intent.status = status;
+    await sendEvent(eventType, intent);
+    return intent;
+  };
+
+  return {
+    name: "mock",
+
+    createIntent: async ({
+      orderId,
+      amount,
+      currency,
+      successUrl,
+      cancelUrl,
+    }) => {
+      const id = `pi_mock_${crypto.randomBytes(12).toString("hex")}`;
+      const intent = {
+        id,
+        orderId,
+        amount,
+        currency,
+        successUrl,
+        cancelUrl,
+        status: "requires_payment",
+      };
+      intents.set(id, intent);
+      return toIntentResponse(intent);
+    },
+
+    retrieveIntent: async (intentId) => toIntentResponse(findIntent(intentId)),
+
+    confirmIntent: async (intentId) => {
+      const { id, status } = await settleIntent(
+        intentId,
+        "succeeded",
+        "payment.succeeded"
+      );
+      return { id, status };
+    },
+
+    refund: async (intentId, amount) => {
+      const intent = findIntent(intentId);
+      if (intent.status !== "succeeded") {
+        throw intentError("Solo se pueden reembolsar pagos cobrados", 409);
+      }
+      intent.status = "refunded";
+      await sendEvent("payment.refunded", intent);
+      return { id: intent.id, status: intent.status, amount };
+    },
+
+    verifyWebhook: (rawBody, signatureHeader) =>
+      verifyWebhookSignature(rawBody, signatureHeader),
+
+    // Solo de la pasarela simulada: datos y cancelación desde su página
+    getIntent: (intentId) => findIntent(intentId),
+
+    cancelIntent: (intentId) =>
+      settleIntent(intentId, "failed", "payment.failed"),
+
+    // Página de pago con los botones de pagar y cancelar
+    renderCheckoutPage: (intentId) => {
+      const intent = findIntent(intentId);
+      const amount = new Intl.NumberFormat("es-ES", {
+        style: "currency",
+        currency: intent.currency.toUpperCase(),
+      }).format(intent.amount);
+      const action = `${baseUrl}/api/payments/mock/${intent.id}`;
+      return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Pasarela de pago de pruebas</title>
+<style>
+  body { font-family: sans-serif; background: #111; color: #eee; display: grid; place-items: center; min-height: 100vh; margin: 0; }
+  main { background: #222; padding: 2rem; border-radius: 8px; max-width: 360px; width: 100%; text-align: center; }
+  .amount { font-size: 2rem; font-weight: 700; margin: 1rem 0; }
+  button { width: 100%; padding: 0.75rem; margin-top: 0.75rem; border: 0; border-radius: 4px; font-size: 1rem; cursor: pointer; }
+  .pay { background: #e0ff4f; color: #111; }
+  .cancel { background: transparent; color: #eee; border: 1px solid #555; }
+</style>
+</head>
+<body>
+<main>
+  <h1>Pasarela de pruebas</h1>
+  <p>Orden ${escapeHtml(intent.orderId)}</p>
+  <p class="amount">${escapeHtml(amount)}</p>
+  ${
+    intent.status === "requires_payment"
+      ? `<form method="post" action="${action}/confirm"><button class="pay">Pagar</button></form>
+  <form method="post" action="${action}/cancel"><button class="cancel">Cancelar</button></form>`
+      : `<p>Este pago ya no está pendiente (${escapeHtml(intent.status)}).</p>`
+  }
+</main>
+</body>
+</html>`;
+    },
+  };
+};
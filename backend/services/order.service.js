@@ -0,0 +1,239 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de Órdenes
+ * ============================================
+ */
+
+import mongoose from "mongoose";
+import Order from "../db/models/Order.model.js";
+import { buildQuote } from "./quote.service.js";
+import { applyCoupon, redeemCoupon, releaseCoupon } from "./coupon.service.js";
+import { applyTaxes } from "./tax.service.js";
+import { roundPrice } from "./price.service.js";
+import { reserveStock, releaseStock } from "./inventory.service.js";
+import { issueInvoice } from "./invoice.service.js";
+import { PENDING_ORDER_EXPIRES_MINUTES } from "../config/config.js";
+
+// Código de los errores por items de la orden inválidos
+export const INVALID_ORDER = "INVALID_ORDER";
+
+// Error con el mensaje que verá el cliente
+const orderError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = INVALID_ORDER;
+  return error;
+};
+
+// Longitud máxima de los datos de facturación
+const BILLING_FIELDS = { name: 120, taxId: 20, address: 250 };
+
+// Validar los datos de facturación opcionales de una orden.
+// Devuelve { name, taxId, address } o null si no se dan.
+export const parseBilling = (billing) => {
+  if (billing === undefined || billing === null) return null;
+  if (typeof billing !== "object" || Array.isArray(billing)) {
+    throw orderError("Los datos de facturación no son válidos");
+  }
+  const parsed = {};
+  for (const [field, maxLength] of Object.entries(BILLING_FIELDS)) {
+    const value = billing[field] ?? "";
+    if (typeof value !== "string" || value.trim().length > maxLength) {
+      throw orderError(
+        `El campo de facturación '${field}' admite hasta ${maxLength} caracteres`
+      );
+    }
+    parsed[field] = value.trim();
+  }
+  return Object.values(parsed).some(Boolean) ? parsed : null;
+};
+
+// Calcular los items de una orden con los precios de la base de datos.
+// orderItems: [{ product, quantity, variant, quote }] del carrito.
+// products: los productos de esos items.
+// Devuelve los items de la orden y su subtotal.
+export const priceOrderItems = (orderItems, products) => {
+  let subtotal = 0;
+  const items = [];
+  // Validar que existe y calcular precio
+  for (const item of orderItems) {
+    const dbProduct = products.find(
+      (p) => p._id.toString() === String(item.product)
+    );
+    if (!dbProduct) {
+      // Si algún producto no existe, error
+      throw new Error(`Producto con id ${item.product} no encontrado.`);
+    }
+    // Los productos archivados o eliminados ya no se venden
+    if (dbProduct.status !== "active") {
+      throw orderError(`'${dbProduct.name}' ya no está disponible`);
+    }
+    // La cantidad descuenta stock, debe ser un entero positivo
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      throw orderError(`Cantidad inválida para '${dbProduct.name}'`);
+    }
+    // Los productos con variantes necesitan una variante disponible
+    let variant = null;
+    if (dbProduct.variants.length > 0) {
+      variant = dbProduct.variants.find(
+        (v) => v._id.toString() === String(item.variant)
+      );
+      if (!variant || !variant.available) {
+        throw orderError(
+          variant
+            ? `La variante ${variant.sku} de '${dbProduct.name}' no está disponible`
+            : `Debes elegir una variante válida de '${dbProduct.name}'`
+        );
+      }
+    }
+    // Los productos a medida se cobran por su presupuesto, que se
+    // recalcula con las opciones del cliente
+    let quote = null;
+    if (dbProduct.quoteType) {
+      if (!item.quote) {
+        throw orderError(
+          `Calcula el presupuesto de '${dbProduct.name}' antes de comprarlo`
+        );
+      }
+      quote = buildQuote(dbProduct.quoteType, item.quote);
+    }
+    // Precio del presupuesto o precio base más el modificador de la variante
+    const price = quote
+      ? quote.total
+      : dbProduct.price + (variant?.priceModifier || 0);
+    // Calcular subtotal por la cantidad
+    subtotal += price * item.quantity;
+    items.push({
+      product: dbProduct._id,
+      category: dbProduct.category,
+      quantity: item.quantity,
+      price,
+      variant: variant && {
+        variantId: variant._id,
+        sku: variant.sku,
+        garment: variant.garment,
+        size: variant.size,
+        color: variant.color,
+        priceModifier: variant.priceModifier,
+      },
+      quote,
+    });
+  }
+  return { items, subtotal: roundPrice(subtotal) };
+};
+
+// Calcular una orden completa: precios de los items, descuento del cupón
+// (repartido entre los items) e IVA. Se usa al crear la orden y para
+// mostrar el resumen del carrito antes de pagar.
+// options: { couponCode, user } para aplicar un cupón.
+export const buildOrderSummary = async (
+  orderItems,
+  products,
+  { couponCode, user } = {}
+) => {
+  const { items, subtotal } = priceOrderItems(orderItems, products);
+  let discount = null;
+  if (couponCode) {
+    const { coupon, amount, itemDiscounts } = await applyCoupon(
+      couponCode,
+      user,
+      items,
+      subtotal
+    );
+    items.forEach((item, index) => {
+      item.discount = itemDiscounts[index];
+    });
+    discount = {
+      coupon: coupon._id,
+      code: coupon.code,
+      description: coupon.description,
+      type: coupon.type,
+      value: coupon.value,
+      amount,
+    };
+  }
+  const taxes = await applyTaxes(items);
+  return { items, subtotal, discount, ...taxes };
+};
+
+// Cambiar el estado de una orden con sus efectos en la misma transacción:
+// al cancelarla se devuelve el stock y el uso del cupón (y se vuelven a
+// reservar si se reactiva) y al completarla se emite su factura.
+// resolve(order) decide el cambio a partir de la orden releída en la
+// transacción: { status, changes } o null si no hay nada que cambiar.
+// changes: otros campos que se guardan a la vez, p. ej. el pago.
+// Devuelve la orden actualizada o null si no existe o no cambia.
+export const resolveOrderStatus = async (orderId, resolve) => {
+  let updatedOrder = null;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      updatedOrder = null;
+      // Releer la orden dentro de la transacción para que dos peticiones
+      // simultáneas no devuelvan el stock dos veces
+      const current = await Order.findById(orderId).session(session);
+      if (!current) return;
+      const update = resolve(current);
+      if (!update) return;
+      const { status, changes = {} } = update;
+      const wasCancelled = current.status === "cancelled";
+      // Actualizar el estado
+      if (status !== undefined) current.status = status;
+      current.set(changes);
+      const isCancelled = current.status === "cancelled";
+      const couponId = current.discount?.coupon;
+      if (!wasCancelled && isCancelled) {
+        await releaseStock(current.items, session);
+        if (couponId) await releaseCoupon(couponId, session);
+      } else if (wasCancelled && !isCancelled) {
+        await reserveStock(current.items, session);
+        if (couponId) await redeemCoupon(couponId, session, current.user);
+      }
+      // Al completarla se emite su factura con el siguiente número
+      if (current.status === "completed" && !current.invoice) {
+        const invoice = await issueInvoice(current, session);
+        current.invoice = invoice._id;
+      }
+      // Guardar los cambios en la base de datos
+      updatedOrder = await current.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+  return updatedOrder;
+};
+
+// Cambiar el estado de una orden (y otros campos) sin condiciones
+export const changeOrderStatus = (orderId, status, changes = {}) =>
+  resolveOrderStatus(orderId, () => ({ status, changes }));
+
+// Cancelar las órdenes cuyo pago sigue pendiente pasados
+// PENDING_ORDER_EXPIRES_MINUTES desde su último cambio, para que no
+// retengan stock ni usos de cupón. Si el pago llega después, la orden
+// cancelada se reembolsa. Las órdenes sin pago iniciado (p. ej. las
+// anteriores a la pasarela) no caducan.
+// Devuelve el número de órdenes canceladas.
+export const expirePendingOrders = async () => {
+  const cutoff = new Date(Date.now() - PENDING_ORDER_EXPIRES_MINUTES * 60000);
+  const orders = await Order.find({
+    status: "pending",
+    "payment.status": "pending",
+    updatedAt: { $lt: cutoff },
+  })
+    .select("_id")
+    .lean();
+  let expired = 0;
+  for (const { _id } of orders) {
+    // Se comprueba de nuevo en la transacción por si se pagó entretanto
+    const updated = await resolveOrderStatus(_id, (current) => {
+      if (current.status !== "pending") return null;
+      if (current.payment?.status !== "pending") return null;
+      return {
+        status: "cancelled",
+        changes: { "payment.status": "failed" },
+      };
+    });
+    if (updated) expired += 1;
+  }
+  return expired;
+};
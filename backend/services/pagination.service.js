@@ -0,0 +1,28 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de Paginación
+ * ============================================
+ */
+
+// Leer page y limit de la query con valores por defecto y un máximo
+export const parsePagination = (
+  query,
+  { defaultLimit = 20, maxLimit = 100 } = {}
+) => {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(
+    maxLimit,
+    Math.max(1, parseInt(query.limit, 10) || defaultLimit)
+  );
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Metadatos de paginación para el envelope ResponseAPI
+export const buildPagination = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit),
+  hasNextPage: page * limit < total,
+  hasPrevPage: page > 1,
+});
@@ -0,0 +1,244 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de Pagos
+ * ============================================
+ */
+
+import Order from "../db/models/Order.model.js";
+import {
+  IS_PRODUCTION,
+  PAYMENT_PROVIDER,
+  PAYMENT_CURRENCY,
+  PAYMENT_WEBHOOK_SECRET,
+  DEFAULT_WEBHOOK_SECRET,
+} from "../config/config.js";
+import { createMockPaymentProvider } from "./mockPayment.service.js";
+import { resolveOrderStatus } from "./order.service.js";
+
+// Código de los errores al iniciar el pago de una orden
+export const PAYMENT_CONFLICT = "PAYMENT_CONFLICT";
+
+// Error con el mensaje que verá el cliente
+const paymentError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 409;
+  error.code = PAYMENT_CONFLICT;
+  return error;
+};
+
+/** -------------------------------------------------------------------
+ * Proveedores de pago
+ *
+ * Un proveedor es un objeto con:
+ * - name
+ * - createIntent({ orderId, amount, currency, successUrl, cancelUrl })
+ *   -> { id, status, amount, currency, checkoutUrl } con la página de
+ *   pago del proveedor
+ * - retrieveIntent(intentId) -> igual que createIntent (error con
+ *   statusCode 404 si el proveedor no lo conoce)
+ * - confirmIntent(intentId) -> { id, status }
+ * - cancelIntent(intentId) -> anula un pago pendiente
+ * - refund(intentId, amount) -> { id, status, amount }
+ * - verifyWebhook(rawBody, signatureHeader) -> evento
+ *   { id, type, intentId, orderId, amount, currency }
+ * Estados de un intent: requires_payment, succeeded, failed y refunded.
+ * Tipos de evento: payment.succeeded, payment.failed y payment.refunded.
+ */
+const providerFactories = {
+  mock: createMockPaymentProvider,
+};
+
+let activeProvider = null;
+
+// Permite conectar otro proveedor (Stripe, Redsys...) con un objeto que
+// implemente la interfaz anterior
+export const setPaymentProvider = (provider) => {
+  activeProvider = provider;
+};
+
+// Devuelve el proveedor activo, creándolo la primera vez
+export const getPaymentProvider = () => {
+  if (!activeProvider) {
+    const factory = providerFactories[PAYMENT_PROVIDER];
+    if (!factory) {
+      throw new Error(`Proveedor de pagos desconocido: '${PAYMENT_PROVIDER}'`);
+    }
+    activeProvider = factory();
+  }
+  return activeProvider;
+};
+
+// Comprobar la configuración de pagos al arrancar: en producción no se
+// admite la pasarela simulada ni un secreto de webhooks por defecto
+export const assertPaymentConfig = () => {
+  if (!IS_PRODUCTION) return;
+  if (PAYMENT_PROVIDER === "mock") {
+    throw new Error("PAYMENT_PROVIDER=mock no se puede usar en producción");
+  }
+  if (
+    !PAYMENT_WEBHOOK_SECRET ||
+    PAYMENT_WEBHOOK_SECRET === DEFAULT_WEBHOOK_SECRET
+  ) {
+    throw new Error("Falta PAYMENT_WEBHOOK_SECRET para producción");
+  }
+};
+
+/** -------------------------------------------------------------------
+ * Pagos de las órdenes
+ */
+
+// Intent pendiente de la orden que el cliente todavía puede pagar, o
+// null si hay que crear otro (sin pago, fallido o desconocido para el
+// proveedor)
+const findPendingIntent = async (provider, order) => {
+  const { payment } = order;
+  if (payment?.status !== "pending" || payment.provider !== provider.name) {
+    return null;
+  }
+  let intent;
+  try {
+    intent = await provider.retrieveIntent(payment.intentId);
+  } catch (error) {
+    if (error.statusCode === 404) return null;
+    throw error;
+  }
+  // Cobrado, pero el webhook todavía no ha llegado
+  if (intent.status === "succeeded") {
+    throw paymentError("El pago de esta orden ya se está procesando");
+  }
+  return intent.status === "requires_payment" ? intent : null;
+};
+
+// Crear el pago de una orden pendiente y guardarlo en la orden.
+// Si la orden ya tiene un pago pendiente (doble clic, otra pestaña...) se
+// devuelve ese mismo, para que no quede un pago anterior que se pueda
+// cobrar sin que la orden lo registre.
+// urls: { successUrl, cancelUrl } a las que vuelve el cliente.
+// Devuelve el intent con la URL de la página de pago.
+export const startOrderPayment = async (order, urls) => {
+  const provider = getPaymentProvider();
+  const pendingIntent = await findPendingIntent(provider, order);
+  if (pendingIntent) return pendingIntent;
+
+  const intent = await provider.createIntent({
+    orderId: order._id.toString(),
+    amount: order.totalAmount,
+    currency: PAYMENT_CURRENCY,
+    ...urls,
+  });
+  // Solo se guarda si nadie ha iniciado otro pago entretanto
+  const { modifiedCount } = await Order.updateOne(
+    {
+      _id: order._id,
+      status: "pending",
+      "payment.intentId": order.payment?.intentId ?? null,
+    },
+    {
+      $set: {
+        payment: {
+          provider: provider.name,
+          intentId: intent.id,
+          status: "pending",
+          amount: order.totalAmount,
+          currency: PAYMENT_CURRENCY,
+        },
+      },
+    }
+  );
+  if (modifiedCount !== 1) {
+    await provider.cancelIntent(intent.id);
+    throw paymentError("Ya se ha iniciado otro pago de esta orden");
+  }
+  return intent;
+};
+
+// Reembolsar el pago cobrado de una orden. El proveedor confirma el
+// reembolso con un webhook payment.refunded.
+export const refundOrderPayment = async (order) => {
+  if (order.payment?.status !== "succeeded") return null;
+  return getPaymentProvider().refund(
+    order.payment.intentId,
+    order.payment.amount
+  );
+};
+
+// El importe y la moneda del evento son los del pago de la orden
+const matchesPayment = (event, payment) =>
+  event.amount === payment.amount &&
+  String(event.currency).toLowerCase() === payment.currency.toLowerCase();
+
+// Cambio que produce un evento del proveedor en su orden, o null si ya
+// se aplicó. Se decide con la orden releída dentro de la transacción.
+const resolvePaymentEvent = (event, order) => {
+  // Evento de un pago anterior de la orden
+  if (order.payment?.intentId !== event.intentId) return null;
+
+  switch (event.type) {
+    case "payment.succeeded": {
+      // Ya cobrado, o repetido tras el reembolso
+      if (["succeeded", "refunded"].includes(order.payment.status)) {
+        return null;
+      }
+      // Solo las pendientes pasan a pagadas, el resto conserva su estado
+      return {
+        status: order.status === "pending" ? "paid" : undefined,
+        changes: {
+          "payment.status": "succeeded",
+          "payment.paidAt": new Date(),
+        },
+      };
+    }
+    case "payment.failed": {
+      if (order.payment.status !== "pending") return null;
+      // El pago no se completó: la orden se cancela y libera su stock
+      return {
+        status: order.status === "pending" ? "cancelled" : undefined,
+        changes: { "payment.status": "failed" },
+      };
+    }
+    case "payment.refunded": {
+      if (order.payment.status === "refunded") return null;
+      return {
+        status: order.status === "paid" ? "cancelled" : undefined,
+        changes: {
+          "payment.status": "refunded",
+          "payment.refundedAt": new Date(),
+        },
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+// Aplicar un evento verificado del proveedor a su orden. Los webhooks se
+// pueden repetir (o llegar a la vez), así que el estado del pago se
+// comprueba y se cambia en la misma transacción: cada evento solo cambia
+// la orden una vez.
+// Devuelve la orden actualizada o null si no hay nada que cambiar.
+export const handlePaymentEvent = async (event) => {
+  const order = await Order.findOne({ "payment.intentId": event.intentId })
+    .select("payment")
+    .lean();
+  if (event.type === "payment.succeeded") {
+    // Cobro de un pago que ninguna orden reconoce (sustituido o de una
+    // orden eliminada) o por otro importe: se devuelve el dinero
+    if (!order || !matchesPayment(event, order.payment)) {
+      console.error(
+        `Pago ${event.intentId} sin orden o con otro importe: se reembolsa`
+      );
+      await getPaymentProvider().refund(event.intentId, event.amount);
+      return null;
+    }
+  }
+  if (!order) return null;
+
+  const updated = await resolveOrderStatus(order._id, (current) =>
+    resolvePaymentEvent(event, current)
+  );
+  // Cobrada una orden que ya se canceló: se reembolsa
+  if (event.type === "payment.succeeded" && updated?.status === "cancelled") {
+    await refundOrderPayment(updated);
+  }
+  return updated;
+};
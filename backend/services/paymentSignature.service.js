@@ -0,0 +1,70 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Firma de los Webhooks de Pago
+ * ============================================
+ */
+
+import crypto from "crypto";
+import { PAYMENT_WEBHOOK_SECRET } from "../config/config.js";
+
+// Código de los errores de firma de los webhooks
+export const INVALID_WEBHOOK = "INVALID_WEBHOOK";
+// Cabecera con la firma de los webhooks: "t=<timestamp>,v1=<hmac>"
+export const SIGNATURE_HEADER = "x-payment-signature";
+// Antigüedad máxima de un webhook firmado, contra reenvíos
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Firma HMAC-SHA256 de "timestamp.cuerpo"
+const computeSignature = (payload, timestamp, secret) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${payload}`)
+    .digest("hex");
+
+// Cabecera de firma de un cuerpo, para los proveedores que envían webhooks
+export const signWebhookPayload = (
+  payload,
+  secret = PAYMENT_WEBHOOK_SECRET,
+  timestamp = Math.floor(Date.now() / 1000)
+) => `t=${timestamp},v1=${computeSignature(payload, timestamp, secret)}`;
+
+const webhookError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = INVALID_WEBHOOK;
+  return error;
+};
+
+// Comprobar la firma de un webhook y devolver su evento
+export const verifyWebhookSignature = (
+  rawBody,
+  header,
+  secret = PAYMENT_WEBHOOK_SECRET
+) => {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("="))
+  );
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) throw webhookError("Firma del webhook ausente");
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw webhookError("Firma del webhook caducada");
+  }
+  const expected = Buffer.from(
+    computeSignature(rawBody, timestamp, secret),
+    "hex"
+  );
+  const received = Buffer.from(parts.v1, "hex");
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    throw webhookError("Firma del webhook no válida");
+  }
+  try {
+    return JSON.parse(rawBody);
+  } catch {
+    throw webhookError("Cuerpo del webhook no válido");
+  }
+};
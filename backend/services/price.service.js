@@ -0,0 +1,8 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de Precios
+ * ============================================
+ */
+
+// Redondear un importe a céntimos
+export const roundPrice = (amount) => Math.round(amount * 100) / 100;
@@ -0,0 +1,194 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de Presupuestos a medida
+ * ============================================
+ */
+
+import { MURAL_PRICING } from "../config/pricing.js";
+import { roundPrice } from "./price.service.js";
+
+// Código de los errores por datos del presupuesto inválidos
+export const INVALID_QUOTE = "INVALID_QUOTE";
+
+// Nombre de cada opción en el desglose
+const LOCATION_LABELS = {
+  interior: "interior",
+  exterior: "exterior",
+};
+const SURFACE_LABELS = {
+  ready: "Superficie lista para pintar",
+  clean: "Limpieza e imprimación",
+  repair: "Reparación y preparación",
+};
+
+// Error con el mensaje que verá el cliente
+const quoteError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = INVALID_QUOTE;
+  return error;
+};
+
+// Número positivo hasta max, o error con el nombre del campo
+const parseMeasure = (value, label, max, { allowZero = false } = {}) => {
+  const number = Number(value);
+  if (
+    value === null ||
+    value === "" ||
+    !Number.isFinite(number) ||
+    number < 0 ||
+    (!allowZero && number === 0) ||
+    number > max
+  ) {
+    throw quoteError(
+      `${label} debe ser un número ${
+        allowZero ? "entre 0" : "mayor que 0"
+      } y ${max}`
+    );
+  }
+  return roundPrice(number);
+};
+
+// Si una opción es una de las claves de una tarifa (sin las heredadas
+// del prototipo, como "constructor" o "toString")
+const isOption = (rates, value) =>
+  typeof value === "string" && Object.hasOwn(rates, value);
+
+// Validar y normalizar las opciones de un mural
+const parseMuralOptions = (options = {}) => {
+  const { limits, ratePerM2, surfacePerM2 } = MURAL_PRICING;
+  const location = options.location || "interior";
+  const surface = options.surface || "ready";
+  if (!isOption(ratePerM2, location)) {
+    throw quoteError(
+      `La ubicación debe ser ${Object.keys(ratePerM2).join(" o ")}`
+    );
+  }
+  if (!isOption(surfacePerM2, surface)) {
+    throw quoteError(
+      `La superficie debe ser ${Object.keys(surfacePerM2).join(", ")}`
+    );
+  }
+  return {
+    width: parseMeasure(options.width, "El ancho", limits.maxWidth),
+    height: parseMeasure(options.height, "El alto", limits.maxHeight),
+    location,
+    surface,
+    distanceKm: parseMeasure(
+      options.distanceKm ?? 0,
+      "La distancia",
+      limits.maxDistanceKm,
+      { allowZero: true }
+    ),
+  };
+};
+
+// Línea del desglose
+const line = (concept, quantity, unit, unitPrice) => ({
+  concept,
+  quantity,
+  unit,
+  unitPrice,
+  amount: roundPrice(quantity * unitPrice),
+});
+
+// Presupuesto de un mural: diseño, pintura por m², preparación, recargo
+// por altura, andamio y desplazamiento. Devuelve las opciones normalizadas, el
+// desglose y el total.
+export const quoteMural = (rawOptions) => {
+  const {
+    designFee,
+    ratePerM2,
+    surfacePerM2,
+    heightTiers,
+    travel,
+    minimumTotal,
+  } = MURAL_PRICING;
+  const options = parseMuralOptions(rawOptions);
+  const area = roundPrice(options.width * options.height);
+  const lines = [line("Diseño y boceto digital", 1, "ud", designFee)];
+
+  // Pintura según la ubicación
+  const painting = line(
+    `Mural ${LOCATION_LABELS[options.location]}`,
+    area,
+    "m²",
+    ratePerM2[options.location]
+  );
+  lines.push(painting);
+  // Preparación de la superficie
+  if (surfacePerM2[options.surface] > 0) {
+    lines.push(
+      line(
+        SURFACE_LABELS[options.surface],
+        area,
+        "m²",
+        surfacePerM2[options.surface]
+      )
+    );
+  }
+  // Trabajo en altura: recargo sobre la pintura y andamio
+  const tier = heightTiers.find(({ above }) => options.height > above);
+  if (tier) {
+    lines.push(
+      line(
+        `Recargo por altura (${tier.label})`,
+        1,
+        "ud",
+        roundPrice(painting.amount * tier.surcharge)
+      )
+    );
+    lines.push(
+      line("Andamio o plataforma elevadora", 1, "ud", tier.scaffolding)
+    );
+  }
+  // Desplazamiento de ida y vuelta a partir de los km incluidos
+  const extraKm = Math.max(0, options.distanceKm - travel.includedKm);
+  if (extraKm > 0) {
+    lines.push(
+      line(
+        `Desplazamiento (más de ${travel.includedKm} km)`,
+        roundPrice(extraKm * 2),
+        "km",
+        travel.perKm
+      )
+    );
+  }
+  // Importe mínimo de un mural
+  const subtotal = roundPrice(
+    lines.reduce((sum, { amount }) => sum + amount, 0)
+  );
+  if (subtotal < minimumTotal) {
+    lines.push(
+      line(
+        "Ajuste al importe mínimo",
+        1,
+        "ud",
+        roundPrice(minimumTotal - subtotal)
+      )
+    );
+  }
+
+  return {
+    type: "mural",
+    summary: `Mural ${LOCATION_LABELS[options.location]} de ${
+      options.width
+    } × ${options.height} m (${area} m²)`,
+    options,
+    area,
+    lines,
+    total: roundPrice(lines.reduce((sum, { amount }) => sum + amount, 0)),
+  };
+};
+
+// Calculadoras de cada tipo de presupuesto (Product.quoteType)
+const QUOTE_BUILDERS = {
+  mural: quoteMural,
+};
+
+// Calcular el presupuesto de un tipo con las opciones del cliente
+export const buildQuote = (type, options) => {
+  const builder = QUOTE_BUILDERS[type];
+  if (!builder) throw quoteError(`No hay presupuestos de tipo '${type}'`);
+  return builder(options);
+};
@@ -0,0 +1,237 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de Búsqueda
+ * ============================================
+ */
+
+import Product from "../db/models/Product.model.js";
+import Content from "../db/models/Content.model.js";
+import Category from "../db/models/Category.model.js";
+
+// Página del frontend de una categoría
+const categoryPath = (slug) => `/services/${slug}`;
+// Página del frontend de un producto
+const productPath = (product) =>
+  `${categoryPath(product.category)}/${product.slug}`;
+// Página del frontend de cada sección de contenido
+const SECTION_PATHS = {
+  aboutUs: "/about",
+};
+// Variantes con tilde de cada letra para buscar en MongoDB
+const ACCENT_CLASSES = {
+  a: "[aáàäâ]",
+  e: "[eéèëê]",
+  i: "[iíìïî]",
+  o: "[oóòöô]",
+  u: "[uúùüû]",
+  n: "[nñ]",
+  c: "[cç]",
+};
+// Caracteres de contexto a cada lado de la coincidencia en el extracto
+const EXCERPT_CONTEXT = 60;
+
+// Texto sin tildes ni mayúsculas: "Diseño" -> "diseno"
+export const normalize = (text = "") =>
+  String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+// Quitar las etiquetas HTML del contenido de las páginas
+const stripHtml = (text = "") =>
+  String(text)
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Separar la consulta en términos normalizados y sin repetir
+export const parseTerms = (query) => [
+  ...new Set(normalize(query).split(/\s+/).filter(Boolean)),
+];
+
+// Expresión regular que encuentra un término con o sin tildes
+const buildAccentInsensitiveRegex = (term) =>
+  new RegExp(
+    term
+      .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+      .replace(/[aeiounc]/g, (letter) => ACCENT_CLASSES[letter]),
+    "i"
+  );
+
+// Filtro de MongoDB: cada término debe aparecer en alguno de los campos
+const buildFilter = (terms, paths) => ({
+  $and: terms.map((term) => {
+    const regex = buildAccentInsensitiveRegex(term);
+    return { $or: paths.map((path) => ({ [path]: regex })) };
+  }),
+});
+
+// Puntuar un documento. fields: [{ text, normalized, weight }].
+// Cada término suma el peso del mejor campo donde aparece (el doble si
+// empieza una palabra). Devuelve 0 si algún término no aparece.
+const scoreFields = (fields, terms) => {
+  let score = 0;
+  for (const term of terms) {
+    const wordStart = new RegExp(
+      `(^|[^a-z0-9])${term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`
+    );
+    let termScore = 0;
+    for (const { normalized, weight } of fields) {
+      if (!normalized.includes(term)) continue;
+      termScore = Math.max(
+        termScore,
+        wordStart.test(normalized) ? weight * 2 : weight
+      );
+    }
+    if (termScore === 0) return 0;
+    score += termScore;
+  }
+  return score;
+};
+
+// Fragmento del primer campo donde aparece algún término
+const buildExcerpt = (fields, terms) => {
+  for (const { text, normalized } of fields) {
+    const index = Math.min(
+      ...terms.map((term) => normalized.indexOf(term)).filter((i) => i >= 0)
+    );
+    if (!Number.isFinite(index)) continue;
+    const start = Math.max(0, index - EXCERPT_CONTEXT);
+    const end = Math.min(text.length, index + EXCERPT_CONTEXT);
+    return `${start > 0 ? "..." : ""}${text.slice(start, end)}${
+      end < text.length ? "..." : ""
+    }`;
+  }
+  return fields[0]?.text || "";
+};
+
+// Preparar los campos de un documento para puntuarlos
+const toFields = (entries) =>
+  entries
+    .filter(([text]) => text)
+    .map(([text, weight]) => {
+      const clean = stripHtml(text);
+      return { text: clean, normalized: normalize(clean), weight };
+    });
+
+// Crear un resultado si el documento coincide con la búsqueda
+const buildResult = (terms, entries, result) => {
+  const fields = toFields(entries);
+  const score = scoreFields(fields, terms);
+  if (score === 0) return null;
+  // El extracto sale de los campos que no son el título
+  return { ...result, excerpt: buildExcerpt(fields.slice(1), terms), score };
+};
+
+// Buscar en productos activos de categorías visibles: nombre x3,
+// descripción x2, detalles x1
+const searchProducts = async (terms, slugs) => {
+  const products = await Product.find({
+    status: "active",
+    category: { $in: slugs },
+    ...buildFilter(terms, ["name", "description", "details"]),
+  }).lean();
+  return products.map((product) =>
+    buildResult(
+      terms,
+      [
+        [product.name, 3],
+        [product.description, 2],
+        ...(product.details || []).map((detail) => [detail, 1]),
+      ],
+      {
+        type: "product",
+        id: product._id,
+        title: product.name,
+        imageUrl: product.imageUrl,
+        price: product.price,
+        link: product.slug
+          ? productPath(product)
+          : categoryPath(product.category),
+      }
+    )
+  );
+};
+
+// Buscar en las categorías (nombre x3, descripción x2) y en sus galerías
+// (título o marca x3, descripción x2)
+const searchCategories = (terms, categories) =>
+  categories.flatMap((category) => [
+    buildResult(
+      terms,
+      [
+        [category.name, 3],
+        [category.description, 2],
+      ],
+      {
+        type: "category",
+        id: category._id,
+        title: category.name,
+        imageUrl: category.coverImage || null,
+        link: categoryPath(category.slug),
+      }
+    ),
+    ...(category.gallery || []).map((image) =>
+      buildResult(
+        terms,
+        [
+          [image.title || image.brand, 3],
+          [image.description, 2],
+        ],
+        {
+          type: "gallery",
+          id: image._id,
+          title: image.title || image.brand,
+          imageUrl: image.imageUrl,
+          link: categoryPath(category.slug),
+        }
+      )
+    ),
+  ]);
+
+// Buscar en las secciones de contenido: título x3, textos x2, artistas x1
+const searchContent = async (terms) => {
+  const sections = await Content.find(
+    buildFilter(terms, [
+      "title",
+      "mainParagraph",
+      "artists.title",
+      "artists.paragraphs",
+    ])
+  ).lean();
+  return sections.map((section) =>
+    buildResult(
+      terms,
+      [
+        [section.title, 3],
+        [section.mainParagraph, 2],
+        [section.artists?.title, 1],
+        ...(section.artists?.paragraphs || []).map((text) => [text, 1]),
+      ],
+      {
+        type: "content",
+        id: section._id,
+        title: section.title,
+        imageUrl: section.artists?.imageUrl || null,
+        link: SECTION_PATHS[section.section] || "/",
+      }
+    )
+  );
+};
+
+// Buscar en productos, categorías, galerías y contenido, ordenado por
+// relevancia. Lo que pertenece a categorías ocultas no aparece.
+export const searchAll = async (query, limit) => {
+  const terms = parseTerms(query);
+  if (terms.length === 0) return [];
+  const categories = await Category.find({ visible: true }).lean();
+  const slugs = categories.map((category) => category.slug);
+  const [products, contents] = await Promise.all([
+    searchProducts(terms, slugs),
+    searchContent(terms),
+  ]);
+  return [...products, ...searchCategories(terms, categories), ...contents]
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+    .slice(0, limit);
+};
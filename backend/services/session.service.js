@@ -0,0 +1,103 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de Sesiones (dispositivos)
+ * ============================================
+ */
+
+import Session from "../db/models/Session.model.js";
+import RefreshToken from "../db/models/RefreshToken.model.js";
+import { REFRESH_TOKEN_EXPIRES_DAYS } from "../config/config.js";
+
+// La última actividad se guarda como mucho una vez por este intervalo
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+// Fecha de caducidad de una sesión sin actividad
+const sessionExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+// Datos del dispositivo que hace la petición
+export const getSessionContext = (req) => ({
+  userAgent: (req.get("user-agent") || "").slice(0, 512),
+  ip: req.ip || "",
+});
+
+// Registrar una sesión nueva al iniciar sesión o registrarse
+export const createSession = (userId, { userAgent = "", ip = "" } = {}) =>
+  Session.create({
+    user: userId,
+    userAgent,
+    ip,
+    expiresAt: sessionExpiry(),
+  });
+
+// Buscar una sesión activa (no revocada ni caducada) de un usuario
+export const findActiveSession = async (sessionId, userId) => {
+  // Los tokens sin sesión no son válidos
+  if (!sessionId) return null;
+  return Session.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Comprobar que la sesión de un token sigue activa y anotar su actividad.
+// Devuelve la sesión o null si fue revocada.
+export const touchSession = async (sessionId, userId, ip) => {
+  const session = await findActiveSession(sessionId, userId);
+  if (!session) return null;
+  // Evitar una escritura en cada petición
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+    await Session.updateOne(
+      { _id: session._id },
+      { lastSeenAt: new Date(), ...(ip && { ip }) }
+    );
+  }
+  return session;
+};
+
+// Prolongar una sesión al rotar su refresh token
+export const extendSession = async (sessionId, ip) => {
+  await Session.updateOne(
+    { _id: sessionId },
+    { lastSeenAt: new Date(), expiresAt: sessionExpiry(), ...(ip && { ip }) }
+  );
+};
+
+// Cerrar una sesión y revocar sus refresh tokens.
+// Devuelve false si la sesión no existe o ya estaba cerrada.
+export const revokeSession = async (sessionId, userId) => {
+  if (!sessionId) return false;
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  if (!session) return false;
+  await RefreshToken.updateMany(
+    { session: session._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return true;
+};
+
+// Cerrar todas las sesiones de un usuario
+export const revokeAllSessions = async (userId) => {
+  const now = new Date();
+  await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: now }
+  );
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: now }
+  );
+};
+
+// Sesiones activas de un usuario, la más reciente primero
+export const listActiveSessions = (userId) =>
+  Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
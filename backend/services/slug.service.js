@@ -0,0 +1,28 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de Slugs
+ * ============================================
+ */
+
+// Longitud máxima de un slug generado
+const MAX_SLUG_LENGTH = 80;
+
+// Slug para las URLs: "Diseño Gráfico" -> "diseno-grafico"
+export const slugify = (text = "") =>
+  String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, "");
+
+// Primer slug libre a partir de base: "mural", "mural-2", "mural-3"...
+// isTaken(slug) indica si ya lo usa otro documento
+export const uniqueSlug = async (base, isTaken) => {
+  let slug = base;
+  for (let suffix = 2; await isTaken(slug); suffix++) {
+    slug = `${base}-${suffix}`;
+  }
+  return slug;
+};
@@ -0,0 +1,73 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de Impuestos (IVA)
+ * ============================================
+ */
+
+import Category from "../db/models/Category.model.js";
+import { PRICES_INCLUDE_TAX, DEFAULT_TAX_RATE } from "../config/config.js";
+import { roundPrice } from "./price.service.js";
+
+// Tipo de IVA de cada categoría: { slug: tipo }
+const getTaxRates = async (slugs) => {
+  const categories = await Category.find({ slug: { $in: slugs } })
+    .select("slug taxRate")
+    .lean();
+  return Object.fromEntries(
+    categories.map(({ slug, taxRate }) => [slug, taxRate ?? DEFAULT_TAX_RATE])
+  );
+};
+
+// Base imponible, cuota de IVA e importe total de un importe. Con precios
+// con IVA incluido el importe es el total, si no es la base.
+export const splitTax = (amount, rate, pricesIncludeTax) => {
+  if (pricesIncludeTax) {
+    const net = roundPrice(amount / (1 + rate / 100));
+    return { net, tax: roundPrice(amount - net), gross: roundPrice(amount) };
+  }
+  const tax = roundPrice((amount * rate) / 100);
+  return { net: roundPrice(amount), tax, gross: roundPrice(amount + tax) };
+};
+
+// Calcular el IVA de los items de una orden (con su descuento ya
+// repartido). Añade a cada item su tipo, base, cuota y total, y devuelve
+// los totales de la orden con el desglose por tipo de IVA.
+export const applyTaxes = async (items) => {
+  const rates = await getTaxRates([
+    ...new Set(items.map((item) => item.category)),
+  ]);
+  const totals = { netAmount: 0, taxAmount: 0, totalAmount: 0 };
+  const breakdown = new Map();
+
+  for (const item of items) {
+    const rate = rates[item.category] ?? DEFAULT_TAX_RATE;
+    const amount = item.price * item.quantity - (item.discount || 0);
+    const { net, tax, gross } = splitTax(amount, rate, PRICES_INCLUDE_TAX);
+    item.taxRate = rate;
+    item.netAmount = net;
+    item.taxAmount = tax;
+    item.grossAmount = gross;
+    totals.netAmount += net;
+    totals.taxAmount += tax;
+    totals.totalAmount += gross;
+    // Acumular por tipo de IVA para la factura
+    const group = breakdown.get(rate) || { rate, net: 0, tax: 0 };
+    group.net += net;
+    group.tax += tax;
+    breakdown.set(rate, group);
+  }
+
+  return {
+    pricesIncludeTax: PRICES_INCLUDE_TAX,
+    netAmount: roundPrice(totals.netAmount),
+    taxAmount: roundPrice(totals.taxAmount),
+    totalAmount: roundPrice(totals.totalAmount),
+    taxBreakdown: [...breakdown.values()]
+      .map(({ rate, net, tax }) => ({
+        rate,
+        net: roundPrice(net),
+        tax: roundPrice(tax),
+      }))
+      .sort((a, b) => b.rate - a.rate),
+  };
+};
@@ -0,0 +1,171 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de Tokens (acceso y refresco)
+ * ============================================
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import RefreshToken from "../db/models/RefreshToken.model.js";
+import RevokedToken from "../db/models/RevokedToken.model.js";
+import User from "../db/models/User.model.js";
+import {
+  JWT_SECRET,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_EXPIRES_DAYS,
+  EMAIL_VERIFICATION_EXPIRES_IN,
+} from "../config/config.js";
+import {
+  createSession,
+  findActiveSession,
+  extendSession,
+  revokeSession,
+  revokeAllSessions,
+} from "./session.service.js";
+
+// Hash SHA-256 de un token opaco
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Generar un token de acceso JWT de corta duración ligado a una sesión
+export const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user._id, tv: user.tokenVersion || 0, sid: sessionId },
+    JWT_SECRET,
+    {
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      // Identificador único para poder revocarlo individualmente
+      jwtid: crypto.randomUUID(),
+    }
+  );
+};
+
+// Crear y guardar un refresh token, devuelve el valor en claro
+export const createRefreshToken = async (userId, sessionId) => {
+  const token = crypto.randomBytes(48).toString("hex");
+  const expiresAt = new Date(
+    Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000
+  );
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    session: sessionId,
+    expiresAt,
+  });
+  return token;
+};
+
+// Abrir una sesión y emitir su par de tokens (login, registro...).
+// context: datos del dispositivo, ver getSessionContext
+export const issueAuthTokens = async (user, context) => {
+  const session = await createSession(user._id, context);
+  return {
+    token: generateAccessToken(user, session._id),
+    refreshToken: await createRefreshToken(user._id, session._id),
+  };
+};
+
+// Rotar un refresh token: lo invalida y emite un par nuevo.
+// Devuelve null si el token no es válido. Si el token ya había sido
+// usado se considera robado y se cierra toda su sesión.
+export const rotateRefreshToken = async (token, ip) => {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  const now = new Date();
+  // Marcar como usado de forma atómica para evitar dobles rotaciones
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now }
+  );
+
+  if (!stored) {
+    // Detección de reutilización
+    const reused = await RefreshToken.findOne({ tokenHash });
+    if (reused && reused.revokedAt && reused.session) {
+      console.warn(
+        `⚠️ Reutilización de refresh token detectada (usuario ${reused.user})`
+      );
+      await revokeSession(reused.session, reused.user);
+    }
+    return null;
+  }
+
+  // Tokens anteriores a las sesiones: se pide un nuevo login
+  if (!stored.session) return null;
+  // La sesión pudo cerrarse desde otro dispositivo
+  if (!(await findActiveSession(stored.session, stored.user))) return null;
+  // El usuario pudo haber sido eliminado
+  const user = await User.findById(stored.user);
+  if (!user) return null;
+
+  await extendSession(stored.session, ip);
+  return {
+    userId: user._id,
+    token: generateAccessToken(user, stored.session),
+    refreshToken: await createRefreshToken(user._id, stored.session),
+  };
+};
+
+// Añadir un token de acceso a la denylist hasta que expire
+export const revokeAccessToken = async ({ jti, exp }) => {
+  if (!jti) return;
+  await RevokedToken.updateOne(
+    { jti },
+    { jti, expiresAt: new Date(exp * 1000) },
+    { upsert: true }
+  );
+};
+
+// Comprobar si un token de acceso está en la denylist
+export const isAccessTokenRevoked = async (jti) => {
+  if (!jti) return false;
+  return Boolean(await RevokedToken.exists({ jti }));
+};
+
+// Cerrar sesión en todos los dispositivos: invalida todos los tokens
+// de acceso emitidos y cierra todas las sesiones del usuario.
+// Devuelve el usuario actualizado.
+export const revokeAllUserTokens = async (userId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { tokenVersion: 1 } },
+    { new: true }
+  );
+  await revokeAllSessions(userId);
+  return user;
+};
+
+// Firmar un token de un solo propósito (verificación de email, 2FA...)
+const signPurposeToken = (payload, purpose, expiresIn) =>
+  jwt.sign({ ...payload, purpose }, JWT_SECRET, { expiresIn });
+
+// Validar un token de un solo propósito, devuelve su contenido o null
+const verifyPurposeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+// Generar el token firmado del enlace de verificación de email.
+// Incluye el email para que un cambio de email invalide enlaces anteriores.
+export const generateEmailVerificationToken = (user) =>
+  signPurposeToken(
+    { id: user._id, email: user.email },
+    "verify-email",
+    EMAIL_VERIFICATION_EXPIRES_IN
+  );
+
+// Validar el token de verificación de email
+export const verifyEmailVerificationToken = (token) =>
+  verifyPurposeToken(token, "verify-email");
+
+// Token del reto de 2FA: prueba que la contraseña ya fue validada
+export const generateTwoFactorChallengeToken = (user) =>
+  signPurposeToken({ id: user._id }, "2fa-challenge", "5m");
+
+// Validar el token del reto de 2FA
+export const verifyTwoFactorChallengeToken = (token) =>
+  verifyPurposeToken(token, "2fa-challenge");
@@ -0,0 +1,145 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio TOTP (verificación en dos pasos)
+ * ============================================
+ */
+
+import crypto from "crypto";
+import User from "../db/models/User.model.js";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+// Parámetros estándar compatibles con Google Authenticator, Authy, etc.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = "Negromate Creatives";
+const RECOVERY_CODES_COUNT = 10;
+
+// Codificar bytes en base32 (RFC 4648, sin relleno)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// Decodificar un texto base32 a bytes
+const base32Decode = (text) => {
+  const clean = text.replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Secreto base32 inválido");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// Generar un secreto aleatorio de 160 bits en base32
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Calcular el código TOTP de un secreto para un contador de tiempo
+const generateCode = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(buffer)
+    .digest();
+  // Truncado dinámico (RFC 4226)
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+// Paso de tiempo en el que es válido un código TOTP, admitiendo un paso
+// de desfase de reloj. Devuelve null si el código no es válido.
+export const findTotpStep = (secret, code, window = 1) => {
+  if (!secret || !/^\d{6}$/.test(String(code || "").trim())) return null;
+  const counter = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  const expected = Buffer.from(String(code).trim());
+  for (let i = -window; i <= window; i++) {
+    const candidate = Buffer.from(generateCode(secret, counter + i));
+    if (crypto.timingSafeEqual(candidate, expected)) return counter + i;
+  }
+  return null;
+};
+
+// Verificar el código TOTP de un usuario. Cada código solo vale una vez:
+// se guarda el último paso aceptado y solo se admiten pasos posteriores.
+// La actualización es atómica para que dos peticiones simultáneas con el
+// mismo código no se acepten ambas.
+export const verifyUserTotp = async (user, code) => {
+  const step = findTotpStep(user.twoFactorSecret, code);
+  if (step === null) return false;
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }],
+    },
+    { twoFactorLastStep: step }
+  );
+  return modifiedCount === 1;
+};
+
+// URI otpauth:// para añadir la cuenta a una app de autenticación
+export const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Hash de un código de recuperación (se normaliza el formato)
+export const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+// Generar códigos de recuperación: devuelve los códigos en claro para
+// mostrarlos una sola vez y sus hashes para guardarlos
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Verificar el segundo factor de un usuario: código TOTP o código de
+// recuperación (que se consume). El usuario debe incluir el campo
+// twoFactorSecret.
+// El código de recuperación se retira de forma atómica: si dos inicios de
+// sesión lo usan a la vez, solo uno lo consigue.
+export const verifyUserSecondFactor = async (user, code) => {
+  if (await verifyUserTotp(user, code)) return true;
+  const hash = hashRecoveryCode(code || "");
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } }
+  );
+  return modifiedCount === 1;
+};
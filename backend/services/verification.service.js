@@ -0,0 +1,29 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Servicio de Verificación de Email
+ * ============================================
+ */
+
+import { FRONTEND_URL, VERIFIED_EMAIL_REQUIRED_FOR } from "../config/config.js";
+import { generateEmailVerificationToken } from "./token.service.js";
+import { sendMail } from "./mail.service.js";
+import { emailVerificationEmail } from "./mail.templates.js";
+
+// Enviar el enlace firmado de verificación al email del usuario
+export const sendVerificationEmail = async (user) => {
+  const token = generateEmailVerificationToken(user);
+  const url = `${FRONTEND_URL}/verify-email?token=${token}`;
+  await sendMail({
+    to: user.email,
+    ...emailVerificationEmail({ username: user.username, url }),
+  });
+};
+
+// Indica si pedir productos de estas categorías exige email verificado
+export const requiresVerifiedEmail = (categories) => {
+  const rule = VERIFIED_EMAIL_REQUIRED_FOR.trim();
+  if (rule === "all") return true;
+  if (rule === "none" || rule === "") return false;
+  const restricted = rule.split(",").map((c) => c.trim());
+  return categories.some((category) => restricted.includes(category));
+};
@@ -4,17 +4,20 @@
  * ============================================
  */
 
-import { Routes, Route } from "react-router-dom";
+import { Routes, Route, Navigate } from "react-router-dom";
 import Header from "@/components/Header";
 import Footer from "@/components/Footer";
 import LandingPage from "@/pages/LandingPage";
 import AboutUs from "@/pages/AboutUs";
 import Contact from "@/pages/Contact";
 import Profile from "@/pages/Profile";
-import GraphicDesign from "@/pages/GraphicDesign";
-import CustomClothing from "@/pages/CustomClothing";
-import Murals from "@/pages/Murals";
+import CategoryPage from "@/pages/CategoryPage";
+import ProductDetail from "@/pages/ProductDetail";
 import ShoppingCart from "@/pages/ShoppingCart";
+import CheckoutResult from "@/pages/CheckoutResult";
+import Account from "@/pages/Account";
+import VerifyEmail from "@/pages/VerifyEmail";
+import ResetPasswordPage from "@/pages/ResetPasswordPage";
 import ProtectedRoute from "./components/ProtectedRoute";
 import GuestRoute from "./components/GuestRoute";
 import "./css/App.css";
@@ -32,9 +35,28 @@ function App() {
           <Route path="/" element={<LandingPage />} />
           <Route path="/about" element={<AboutUs />} />
           <Route path="/contact" element={<Contact />} />
-          <Route path="/graphic-design" element={<GraphicDesign />} />
-          <Route path="/custom-clothing" element={<CustomClothing />} />
-          <Route path="/murals" element={<Murals />} />
+          {/* Página de cada categoría de servicios */}
+          <Route path="/services/:category" element={<CategoryPage />} />
+          {/* Página de detalle de un producto */}
+          <Route
+            path="/services/:category/:slug"
+            element={<ProductDetail />}
+          />
+          {/* Enlaces antiguos de las categorías */}
+          <Route
+            path="/graphic-design"
+            element={<Navigate to="/services/graphic-design" replace />}
+          />
+          <Route
+            path="/custom-clothing"
+            element={<Navigate to="/services/custom-clothing" replace />}
+          />
+          <Route
+            path="/murals"
+            element={<Navigate to="/services/murals" replace />}
+          />
+          <Route path="/verify-email" element={<VerifyEmail />} />
+          <Route path="/reset-password" element={<ResetPasswordPage />} />
           {/* Rutas para invitados */}
           <Route element={<GuestRoute />}>
             <Route path="/profile" element={<Profile />} />
@@ -42,6 +64,9 @@ function App() {
           {/* Rutas protegidas */}
           <Route element={<ProtectedRoute />}>
             <Route path="/cart" element={<ShoppingCart />} />
+            {/* Vuelta desde la pasarela de pago */}
+            <Route path="/checkout/:result" element={<CheckoutResult />} />
+            <Route path="/account" element={<Account />} />
           </Route>
         </Routes>
       </main>
@@ -0,0 +1,121 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Componente de sesiones activas
+ * ============================================
+ */
+
+import { useState, useEffect } from "react";
+import { useAuth } from "@/context/AuthContext";
+import { api, tokenStorage } from "@/services/api";
+
+// Descripción legible del navegador y sistema a partir del user agent
+const describeDevice = (userAgent = "") => {
+  const browsers = [
+    ["Edg/", "Edge"],
+    ["OPR/", "Opera"],
+    ["Firefox/", "Firefox"],
+    ["Chrome/", "Chrome"],
+    ["Safari/", "Safari"],
+  ];
+  const systems = [
+    ["Windows", "Windows"],
+    ["Android", "Android"],
+    ["iPhone", "iPhone"],
+    ["iPad", "iPad"],
+    ["Mac OS", "macOS"],
+    ["Linux", "Linux"],
+  ];
+  const browser = browsers.find(([key]) => userAgent.includes(key));
+  const system = systems.find(([key]) => userAgent.includes(key));
+  if (!browser && !system) return userAgent || "Dispositivo desconocido";
+  return [browser?.[1], system?.[1]].filter(Boolean).join(" en ");
+};
+
+// Fecha y hora en formato local
+const formatDate = (date) =>
+  new Date(date).toLocaleString("es-ES", {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+const ActiveSessions = () => {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // Cargamos las sesiones al montar el componente
+  useEffect(() => {
+    // Controlador para cancelar la petición
+    const controller = new AbortController();
+    // Fetch
+    const fetchSessions = async () => {
+      try {
+        const response = await api.sessions.get(tokenStorage.getToken(), {
+          signal: controller.signal,
+        });
+        setSessions(response.data);
+        setLoading(false);
+      } catch (err) {
+        // Captamos errores
+        if (err.name !== "AbortError") {
+          setError(err.message || "No se pudieron cargar las sesiones.");
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchSessions();
+
+    return () => controller.abort();
+  }, []);
+
+  // Cierra la sesión de un dispositivo
+  const handleRevoke = async (session) => {
+    // La sesión actual se cierra como un logout normal
+    if (session.current) {
+      await logout();
+      return;
+    }
+    setError("");
+
+    try {
+      await api.sessions.revoke(session._id, tokenStorage.getToken());
+      setSessions((prev) => prev.filter((s) => s._id !== session._id));
+    } catch (err) {
+      setError(err.message || "No se pudo cerrar la sesión.");
+    }
+  };
+
+  return (
+    <div className="Account-card">
+      <h2 className="Account-cardTitle">Sesiones activas</h2>
+      {loading && <p>Cargando sesiones...</p>}
+      {error && <p className="u-errorMessage">{error}</p>}
+      <ul className="Account-list">
+        {sessions.map((session) => (
+          <li key={session._id} className="Account-item">
+            <div>
+              <p>
+                <strong>{describeDevice(session.userAgent)}</strong>
+                {session.current && " (este dispositivo)"}
+              </p>
+              <p className="Account-itemMeta">
+                IP {session.ip || "desconocida"} · Última actividad:{" "}
+                {formatDate(session.lastSeenAt)}
+              </p>
+              <p className="Account-itemMeta">
+                Inicio de sesión: {formatDate(session.createdAt)}
+              </p>
+            </div>
+            <button onClick={() => handleRevoke(session)} className="Button">
+              Cerrar sesión
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,192 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Componente de API keys personales
+ * ============================================
+ */
+
+import { useState, useEffect } from "react";
+import { api, tokenStorage } from "@/services/api";
+import "@/css/components/Form.css";
+
+// Fecha en formato local
+const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString("es-ES") : "nunca";
+
+const ApiKeys = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  // Datos de la key nueva
+  const [name, setName] = useState("");
+  const [scopes, setScopes] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState("");
+  // Key recién creada, solo se muestra una vez
+  const [createdKey, setCreatedKey] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  // Cargamos las keys al montar el componente
+  useEffect(() => {
+    // Controlador para cancelar la petición
+    const controller = new AbortController();
+    // Fetch
+    const fetchApiKeys = async () => {
+      try {
+        const response = await api.apiKeys.get(tokenStorage.getToken(), {
+          signal: controller.signal,
+        });
+        setApiKeys(response.data.apiKeys);
+        setAvailableScopes(response.data.availableScopes);
+      } catch (err) {
+        // Captamos errores
+        if (err.name !== "AbortError") {
+          setError(err.message || "No se pudieron cargar las API keys.");
+        }
+      }
+    };
+
+    fetchApiKeys();
+
+    return () => controller.abort();
+  }, []);
+
+  // Marca o desmarca un permiso
+  const toggleScope = (scope) => {
+    setScopes((prev) =>
+      prev.includes(scope) ? prev.filter((s) => s !== scope) : [...prev, scope]
+    );
+  };
+
+  // Crea una key nueva
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError("");
+    setCreatedKey("");
+    setLoading(true);
+
+    try {
+      const response = await api.apiKeys.create(
+        {
+          name,
+          scopes,
+          expiresInDays: expiresInDays ? Number(expiresInDays) : null,
+        },
+        tokenStorage.getToken()
+      );
+      const { key, ...apiKey } = response.data;
+      setApiKeys((prev) => [apiKey, ...prev]);
+      setCreatedKey(key);
+      setName("");
+      setScopes([]);
+      setExpiresInDays("");
+    } catch (err) {
+      setError(err.message || "No se pudo crear la API key.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Revoca una key
+  const handleRevoke = async (id) => {
+    setError("");
+
+    try {
+      await api.apiKeys.revoke(id, tokenStorage.getToken());
+      setApiKeys((prev) => prev.filter((apiKey) => apiKey._id !== id));
+    } catch (err) {
+      setError(err.message || "No se pudo revocar la API key.");
+    }
+  };
+
+  return (
+    <div className="Account-card">
+      <h2 className="Account-cardTitle">API keys</h2>
+      <p>
+        Usa una API key en el header <code>X-API-Key</code> para que tus scripts
+        accedan a la API sin tu contraseña.
+      </p>
+      {error && <p className="u-errorMessage">{error}</p>}
+      {/* Key recién creada */}
+      {createdKey && (
+        <>
+          <p>Copia tu nueva API key, no se volverá a mostrar:</p>
+          <code className="Account-secret">{createdKey}</code>
+        </>
+      )}
+      {/* Keys activas */}
+      {apiKeys.length > 0 && (
+        <ul className="Account-list">
+          {apiKeys.map((apiKey) => (
+            <li key={apiKey._id} className="Account-item">
+              <div>
+                <p>
+                  <strong>{apiKey.name}</strong> ({apiKey.prefix}...)
+                </p>
+                <p className="Account-itemMeta">{apiKey.scopes.join(", ")}</p>
+                <p className="Account-itemMeta">
+                  Último uso: {formatDate(apiKey.lastUsedAt)}
+                  {apiKey.expiresAt &&
+                    ` · Caduca: ${formatDate(apiKey.expiresAt)}`}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRevoke(apiKey._id)}
+                className="Button"
+              >
+                Revocar
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {/* Crear una key nueva */}
+      <form onSubmit={handleCreate} className="Form">
+        <div className="Form-group">
+          <label htmlFor="apikey-name">Nombre</label>
+          <input
+            id="apikey-name"
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            required
+            className="Form-input"
+            placeholder="Script de pedidos"
+          />
+        </div>
+        <fieldset className="Form-group">
+          <legend>Permisos</legend>
+          {availableScopes.map((scope) => (
+            <label key={scope} className="Form-checkbox">
+              <input
+                type="checkbox"
+                checked={scopes.includes(scope)}
+                onChange={() => toggleScope(scope)}
+              />
+              {scope}
+            </label>
+          ))}
+        </fieldset>
+        <div className="Form-group">
+          <label htmlFor="apikey-expires">Caducidad en días (opcional)</label>
+          <input
+            id="apikey-expires"
+            type="number"
+            min="1"
+            max="365"
+            value={expiresInDays}
+            onChange={(e) => setExpiresInDays(e.target.value)}
+            className="Form-input"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={loading || scopes.length === 0}
+          className="Button"
+        >
+          {loading ? "Creando..." : "Crear API key"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ApiKeys;
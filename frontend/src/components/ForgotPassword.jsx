@@ -0,0 +1,79 @@
+/** -------------------------------------------------------------------
+ * ===================================================
+ * Componente del formulario de contraseña olvidada
+ * ===================================================
+ */
+
+import { useState } from "react";
+import { api } from "@/services/api";
+import "@/css/components/Form.css";
+
+const ForgotPassword = ({ onBack }) => {
+  const [email, setEmail] = useState("");
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  // Envío del formulario de recuperación
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+
+    try {
+      // Solicitamos el enlace de recuperación
+      const response = await api.auth.forgotPassword(email);
+      setMessage(response.msg);
+    } catch (err) {
+      setError(
+        err.message || "No se pudo enviar el enlace. Inténtalo más tarde."
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="FormContainer">
+      <h2>¿Olvidaste tu contraseña?</h2>
+      {/* Mensaje de error si existe */}
+      {error && <p className="u-errorMessage">{error}</p>}
+      {/* Confirmación del envío o formulario */}
+      {message ? (
+        <p className="Form-successMessage">{message}</p>
+      ) : (
+        <form onSubmit={handleSubmit} className="Form">
+          <p>
+            Escribe el email de tu cuenta y te enviaremos un enlace para elegir
+            una nueva contraseña.
+          </p>
+          {/* Campo de email */}
+          <div className="Form-group">
+            <label htmlFor="forgot-email">Email</label>
+            <input
+              id="forgot-email"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              className="Form-input"
+              autoComplete="email"
+            />
+          </div>
+          {/* Botón de envío */}
+          <button type="submit" disabled={loading} className="Button">
+            {loading ? "Enviando..." : "Enviar enlace"}
+          </button>
+        </form>
+      )}
+      {/* Volver al inicio de sesión */}
+      <div className="Form-footer">
+        <button type="button" onClick={onBack} className="Form-link">
+          Volver a iniciar sesión
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
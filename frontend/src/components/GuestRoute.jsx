@@ -4,17 +4,24 @@
  * ==================================================================
  */
 
-import { Navigate, Outlet } from "react-router-dom";
+import { Navigate, Outlet, useSearchParams } from "react-router-dom";
 import { useAuth } from "@/context/AuthContext";
 
 const GuestRoute = () => {
   const { user, loading } = useAuth();
+  const [searchParams] = useSearchParams();
   // Mensaje de carga
   if (loading) {
     return <div className="u-loadingMessage">Cargando...</div>;
   }
-  // Si el usuario está autenticado lo redirigimos al carrito de compras, si no está autenticado (invitado)
-  return user ? <Navigate to="/cart" replace /> : <Outlet />;
+  // Página de la que venía antes del login (solo rutas internas)
+  const redirect = searchParams.get("redirect");
+  const returnPath =
+    redirect && redirect.startsWith("/") && !redirect.startsWith("//")
+      ? redirect
+      : "/cart";
+  // Si el usuario está autenticado lo redirigimos a esa página o al carrito de compras, si no está autenticado (invitado)
+  return user ? <Navigate to={returnPath} replace /> : <Outlet />;
 };
 
 export default GuestRoute;
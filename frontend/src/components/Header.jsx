@@ -8,6 +8,7 @@ import { useState } from "react";
 import { NavLink, Link } from "react-router-dom";
 import { useAuth } from "@/context/AuthContext";
 import { useCart } from "@/context/CartContext";
+import SearchBox from "@/components/SearchBox";
 import "@/css/components/Header.css";
 
 const Header = () => {
@@ -39,9 +40,18 @@ const Header = () => {
       </NavLink>
       {/* Si esta está autenticado, muestra botón de cerrar sesión, si no muestra perfil/login */}
       {user ? (
-        <button onClick={handleLogoutClick} className="LogoutButton">
-          Cerrar Sesión
-        </button>
+        <>
+          <NavLink
+            to="/account"
+            className={navLinkClass}
+            onClick={handleMenuClick}
+          >
+            Mi Cuenta
+          </NavLink>
+          <button onClick={handleLogoutClick} className="LogoutButton">
+            Cerrar Sesión
+          </button>
+        </>
       ) : (
         <NavLink
           to="/profile"
@@ -70,6 +80,8 @@ const Header = () => {
         </Link>
         {/* Nav desktop */}
         <nav className="Header-desktopNav">
+          {/* Buscador con vista previa de resultados */}
+          <SearchBox />
           <NavLinks />
           <NavLink to="/cart" className="CartLink">
             <svg
@@ -141,6 +153,7 @@ const Header = () => {
       {/* Menú desplegable */}
       {isMenuOpen && (
         <nav className="MobileNav">
+          <SearchBox onNavigate={handleMenuClick} />
           <NavLinks />
         </nav>
       )}
@@ -4,16 +4,40 @@
  * ==============================================
  */
 
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import { useAuth } from "@/context/AuthContext";
 import "@/css/components/Form.css";
 
-const Login = () => {
+const Login = ({ onForgotPassword, notice = "" }) => {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  // Momento a partir del cual se puede volver a intentar y segundos restantes
+  const [retryUntil, setRetryUntil] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+  // Segundo paso cuando la cuenta tiene la verificación en dos pasos
+  const [challengeToken, setChallengeToken] = useState("");
+  const [code, setCode] = useState("");
+  const { login, loginTwoFactor } = useAuth();
+
+  // Cuenta atrás mientras el login está en espera o bloqueado
+  useEffect(() => {
+    if (!retryUntil) return;
+    const tick = () => {
+      const left = Math.max(0, Math.ceil((retryUntil - Date.now()) / 1000));
+      setSecondsLeft(left);
+      if (left === 0) setRetryUntil(null);
+    };
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [retryUntil]);
+
+  // Formato mm:ss de la cuenta atrás
+  const countdown = `${Math.floor(secondsLeft / 60)}:${String(
+    secondsLeft % 60
+  ).padStart(2, "0")}`;
 
   // Envío del formulario de login
   const handleSubmit = async (e) => {
@@ -23,8 +47,22 @@ const Login = () => {
 
     try {
       // Intentamos iniciar sesión
-      await login(email, password);
+      const response = await login(email, password);
+      // La cuenta pide el código de la app de autenticación
+      if (response.data?.twoFactorRequired) {
+        setChallengeToken(response.data.challengeToken);
+      }
     } catch (err) {
+      // Demasiados intentos: el servidor indica cuánto hay que esperar
+      if (err.data?.retryAfter) {
+        setRetryUntil(Date.now() + err.data.retryAfter * 1000);
+        setError(
+          err.status === 429
+            ? "Demasiados intentos fallidos."
+            : "Credenciales inválidas."
+        );
+        return;
+      }
       // Captura errores y muestra mensaje al usuario
       setError(
         err.message || "Error al iniciar sesión. Verifica tus credenciales."
@@ -34,11 +72,96 @@ const Login = () => {
     }
   };
 
+  // Envío del código de verificación en dos pasos
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+
+    try {
+      await loginTwoFactor(challengeToken, code);
+    } catch (err) {
+      // Si el reto ha caducado hay que volver a introducir la contraseña
+      if (err.status === 401) {
+        setChallengeToken("");
+        setCode("");
+      }
+      // Los códigos fallidos también cuentan para el bloqueo
+      if (err.data?.retryAfter) {
+        setRetryUntil(Date.now() + err.data.retryAfter * 1000);
+      }
+      setError(err.message || "Código de verificación incorrecto.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Segundo paso: código TOTP o código de recuperación
+  if (challengeToken) {
+    return (
+      <div className="FormContainer">
+        <h2>Verificación en dos pasos</h2>
+        {error && (
+          <p className="u-errorMessage">
+            {error}
+            {retryUntil && ` Podrás intentarlo de nuevo en ${countdown}.`}
+          </p>
+        )}
+        <form onSubmit={handleTwoFactorSubmit} className="Form">
+          <div className="Form-group">
+            <label htmlFor="login-code">
+              Código de tu app de autenticación o de recuperación
+            </label>
+            <input
+              id="login-code"
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+              className="Form-input"
+              autoComplete="one-time-code"
+              autoFocus
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={loading || Boolean(retryUntil)}
+            className="Button"
+          >
+            {loading ? "Verificando..." : "Verificar"}
+          </button>
+        </form>
+        {/* Volver al primer paso */}
+        <div className="Form-footer">
+          <button
+            type="button"
+            onClick={() => {
+              setChallengeToken("");
+              setCode("");
+              setError("");
+            }}
+            className="Form-link"
+          >
+            Volver
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="FormContainer">
       <h2>Iniciar Sesión</h2>
+      {/* Aviso previo, por ejemplo tras restablecer la contraseña */}
+      {notice && <p className="Form-successMessage">{notice}</p>}
       {/* Mensaje de error si existe */}
-      {error && <p className="u-errorMessage">{error}</p>}
+      {error && (
+        <p className="u-errorMessage">
+          {error}
+          {/* Cuenta atrás hasta el siguiente intento */}
+          {retryUntil && ` Podrás intentarlo de nuevo en ${countdown}.`}
+        </p>
+      )}
       {/* Formulario */}
       <form onSubmit={handleSubmit} className="Form">
         {/* Campo de email */}
@@ -68,11 +191,21 @@ const Login = () => {
           />
         </div>
         {/* Botón de envío */}
-        <button type="submit" disabled={loading} className="Button">
+        <button
+          type="submit"
+          disabled={loading || Boolean(retryUntil)}
+          className="Button"
+        >
           {/* Estado de carga */}
           {loading ? "Entrando..." : "Entrar"}
         </button>
       </form>
+      {/* Enlace a la recuperación de contraseña */}
+      <div className="Form-footer">
+        <button type="button" onClick={onForgotPassword} className="Form-link">
+          ¿Olvidaste tu contraseña?
+        </button>
+      </div>
     </div>
   );
 };
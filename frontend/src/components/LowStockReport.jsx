@@ -0,0 +1,110 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Componente del informe de stock bajo
+ * ============================================
+ */
+
+import { useState, useEffect } from "react";
+import { api, tokenStorage } from "@/services/api";
+import { describeVariant } from "@/services/variants";
+import "@/css/components/Form.css";
+
+const LowStockReport = () => {
+  const [items, setItems] = useState([]);
+  // Umbral del informe, vacío usa el del servidor
+  const [threshold, setThreshold] = useState("");
+  const [appliedThreshold, setAppliedThreshold] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // Cargamos el informe al montar y al cambiar el umbral
+  useEffect(() => {
+    // Controlador para cancelar la petición
+    const controller = new AbortController();
+    // Fetch
+    const fetchReport = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const response = await api.products.getLowStock(
+          appliedThreshold,
+          tokenStorage.getToken(),
+          { signal: controller.signal }
+        );
+        setItems(response.data.items);
+        setThreshold(String(response.data.threshold));
+        setLoading(false);
+      } catch (err) {
+        // Captamos errores
+        if (err.name !== "AbortError") {
+          setError(err.message || "No se pudo cargar el informe de stock.");
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchReport();
+
+    return () => controller.abort();
+  }, [appliedThreshold]);
+
+  // Aplica el nuevo umbral
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setAppliedThreshold(threshold);
+  };
+
+  return (
+    <div className="Account-card">
+      <h2 className="Account-cardTitle">Stock bajo</h2>
+      <form onSubmit={handleSubmit} className="Form">
+        <div className="Form-group">
+          <label htmlFor="low-stock-threshold">
+            Mostrar productos con stock igual o inferior a
+          </label>
+          <input
+            id="low-stock-threshold"
+            type="number"
+            min="0"
+            value={threshold}
+            onChange={(e) => setThreshold(e.target.value)}
+            className="Form-input"
+          />
+        </div>
+        <button type="submit" disabled={loading} className="Button">
+          Actualizar
+        </button>
+      </form>
+      {loading && <p>Cargando informe...</p>}
+      {error && <p className="u-errorMessage">{error}</p>}
+      {!loading && !error && items.length === 0 && (
+        <p>No hay productos con poco stock.</p>
+      )}
+      {items.length > 0 && (
+        <ul className="Account-list">
+          {items.map((item) => (
+            <li
+              key={`${item.product}-${item.variant || "base"}`}
+              className="Account-item"
+            >
+              <div>
+                <p>
+                  <strong>{item.name}</strong>
+                  {item.sku && ` (${item.sku})`}
+                </p>
+                <p className="Account-itemMeta">
+                  {item.variant ? describeVariant(item) : "Todo el producto"}
+                </p>
+              </div>
+              <p>
+                <strong>{item.stock}</strong> uds.
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LowStockReport;
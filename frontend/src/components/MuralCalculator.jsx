@@ -0,0 +1,218 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Componente de la calculadora de murales
+ * ============================================
+ */
+
+import { useState } from "react";
+import { api } from "@/services/api";
+import { useCart } from "@/context/CartContext";
+import "@/css/components/Form.css";
+import "@/css/components/MuralCalculator.css";
+
+// Opciones de ubicación y estado de la pared
+const LOCATIONS = [
+  { value: "interior", label: "Interior" },
+  { value: "exterior", label: "Exterior" },
+];
+const SURFACES = [
+  { value: "ready", label: "Lista para pintar" },
+  { value: "clean", label: "Necesita limpieza e imprimación" },
+  { value: "repair", label: "Tiene grietas o desconchones" },
+];
+// Valores iniciales del formulario
+const INITIAL_FORM = {
+  width: "",
+  height: "",
+  location: "interior",
+  surface: "ready",
+  distanceKm: "",
+};
+
+// Importe con dos decimales
+const formatPrice = (amount) => `${amount.toFixed(2)}€`;
+
+// product: el producto a medida (quoteType "mural") que se añade al carrito
+const MuralCalculator = ({ product }) => {
+  const { addToCart } = useCart();
+  const [form, setForm] = useState(INITIAL_FORM);
+  const [quote, setQuote] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [added, setAdded] = useState(false);
+
+  // Actualiza un campo, el presupuesto anterior deja de ser válido
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    setQuote(null);
+    setAdded(false);
+  };
+
+  // Pide el presupuesto desglosado al backend
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+
+    try {
+      const response = await api.quotes.mural({
+        ...form,
+        width: Number(form.width),
+        height: Number(form.height),
+        distanceKm: Number(form.distanceKm) || 0,
+      });
+      setQuote(response.data);
+    } catch (err) {
+      setError(err.message || "No se pudo calcular el presupuesto.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Añade el mural presupuestado al carrito
+  const handleAddToCart = () => {
+    addToCart(product, 1, null, quote);
+    setAdded(true);
+  };
+
+  return (
+    <div className="MuralCalculator">
+      {/* Medidas y condiciones de la pared */}
+      <form onSubmit={handleSubmit} className="Form MuralCalculator-form">
+        <div className="MuralCalculator-row">
+          <div className="Form-group">
+            <label htmlFor="mural-width">Ancho (m)</label>
+            <input
+              id="mural-width"
+              name="width"
+              type="number"
+              min="0.5"
+              max="50"
+              step="0.1"
+              value={form.width}
+              onChange={handleChange}
+              required
+              className="Form-input"
+            />
+          </div>
+          <div className="Form-group">
+            <label htmlFor="mural-height">Alto (m)</label>
+            <input
+              id="mural-height"
+              name="height"
+              type="number"
+              min="0.5"
+              max="20"
+              step="0.1"
+              value={form.height}
+              onChange={handleChange}
+              required
+              className="Form-input"
+            />
+          </div>
+        </div>
+        <div className="Form-group">
+          <label htmlFor="mural-location">Ubicación</label>
+          <select
+            id="mural-location"
+            name="location"
+            value={form.location}
+            onChange={handleChange}
+            className="Form-input"
+          >
+            {LOCATIONS.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="Form-group">
+          <label htmlFor="mural-surface">Estado de la pared</label>
+          <select
+            id="mural-surface"
+            name="surface"
+            value={form.surface}
+            onChange={handleChange}
+            className="Form-input"
+          >
+            {SURFACES.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="Form-group">
+          <label htmlFor="mural-distance">Distancia desde Madrid (km)</label>
+          <input
+            id="mural-distance"
+            name="distanceKm"
+            type="number"
+            min="0"
+            max="1000"
+            value={form.distanceKm}
+            onChange={handleChange}
+            className="Form-input"
+            placeholder="0"
+          />
+        </div>
+        <button type="submit" disabled={loading} className="Button">
+          {loading ? "Calculando..." : "Calcular presupuesto"}
+        </button>
+      </form>
+      {/* Presupuesto desglosado */}
+      <div className="MuralCalculator-result">
+        {error && <p className="u-errorMessage">{error}</p>}
+        {!quote && !error && (
+          <p>
+            Indica las medidas y el estado de la pared para ver el precio
+            desglosado de tu mural.
+          </p>
+        )}
+        {quote && (
+          <>
+            <h3 className="MuralCalculator-summary">{quote.summary}</h3>
+            <table className="MuralCalculator-table">
+              <tbody>
+                {quote.lines.map((line) => (
+                  <tr key={line.concept}>
+                    <td>
+                      {line.concept}
+                      {line.unit !== "ud" && (
+                        <span className="MuralCalculator-meta">
+                          {" "}
+                          {line.quantity} {line.unit} ×{" "}
+                          {formatPrice(line.unitPrice)}
+                        </span>
+                      )}
+                    </td>
+                    <td>{formatPrice(line.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td>Total</td>
+                  <td>{formatPrice(quote.total)}</td>
+                </tr>
+              </tfoot>
+            </table>
+            {product && (
+              <button
+                onClick={handleAddToCart}
+                disabled={added}
+                className="Button"
+              >
+                {added ? "Añadido al carrito" : "Agregar al Carrito"}
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MuralCalculator;
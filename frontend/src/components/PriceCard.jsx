@@ -4,16 +4,47 @@
  * =====================================
  */
 
+import { useState } from "react";
+import { Link } from "react-router-dom";
 import { useCart } from "@/context/CartContext";
+import {
+  getVariantOptions,
+  findVariant,
+  getDefaultSelection,
+} from "@/services/variants";
 
-const PriceCard = ({ product }) => {
+// linkToDetail: el nombre enlaza con la página del producto
+const PriceCard = ({ product, linkToDetail = true }) => {
   const { addToCart } = useCart();
+  const variants = product.variants || [];
+  // Valores elegidos en los selectores de variante
+  const [selection, setSelection] = useState(() =>
+    getDefaultSelection(variants)
+  );
+  const hasVariants = variants.length > 0;
+  const variant = hasVariants ? findVariant(variants, selection) : null;
+  // Sin stock del producto o de la variante no se puede comprar
+  const soldOut = product.stock === 0 || variant?.stock === 0;
+  const canBuy = (!hasVariants || Boolean(variant?.available)) && !soldOut;
+  const price = product.price + (variant?.priceModifier || 0);
 
   return (
     <div className="PriceCard">
-      <h3 className="PriceCard-name">{product.name}</h3>
+      <h3 className="PriceCard-name">
+        {linkToDetail && product.slug ? (
+          <Link to={`/services/${product.category}/${product.slug}`}>
+            {product.name}
+          </Link>
+        ) : (
+          product.name
+        )}
+      </h3>
       <p className="PriceCard-description">{product.description}</p>
-      <div className="PriceCard-price">{product.price}€</div>
+      {/* Los productos a medida muestran el importe mínimo */}
+      <div className="PriceCard-price">
+        {product.quoteType && <span className="PriceCard-from">Desde </span>}
+        {price}€
+      </div>
       {/* Lista de características en el paquete */}
       <ul className="PriceCard-details">
         {product.details.map((detail, i) => (
@@ -31,10 +62,55 @@ const PriceCard = ({ product }) => {
           </li>
         ))}
       </ul>
-      {/* Botón para agregar el producto al carrito de compras */}
-      <button onClick={() => addToCart(product)} className="Button">
-        Agregar al Carrito
-      </button>
+      {/* Selectores de variante (prenda, talla, color) */}
+      {hasVariants && (
+        <div className="PriceCard-variants">
+          {getVariantOptions(variants).map(({ key, label, values }) => (
+            <label key={key} className="PriceCard-variant">
+              {label}
+              <select
+                value={selection[key] || ""}
+                onChange={(e) =>
+                  setSelection((prev) => ({ ...prev, [key]: e.target.value }))
+                }
+                className="Form-input"
+              >
+                {values.map((value) => (
+                  <option key={value} value={value}>
+                    {value}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      )}
+      {/* Aviso si no se puede comprar */}
+      {!canBuy && (
+        <p className="u-errorMessage">
+          {hasVariants && !variant
+            ? "Esta combinación no está disponible."
+            : "Agotado."}
+        </p>
+      )}
+      {/* Botón para agregar el producto al carrito de compras. Los
+          productos a medida se añaden desde la calculadora. */}
+      {product.quoteType ? (
+        <Link
+          to={`/services/${product.category}#calculadora`}
+          className="Button"
+        >
+          Calcular presupuesto
+        </Link>
+      ) : (
+        <button
+          onClick={() => addToCart(product, 1, variant)}
+          disabled={!canBuy}
+          className="Button"
+        >
+          Agregar al Carrito
+        </button>
+      )}
     </div>
   );
 };
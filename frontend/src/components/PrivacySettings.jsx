@@ -0,0 +1,132 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Componente de privacidad de la cuenta
+ * ============================================
+ */
+
+import { useState } from "react";
+import { useAuth } from "@/context/AuthContext";
+import { api, tokenStorage } from "@/services/api";
+import "@/css/components/Form.css";
+
+const PrivacySettings = () => {
+  const { user, deleteAccount } = useAuth();
+  const [exporting, setExporting] = useState(false);
+  // Formulario de baja
+  const [showDelete, setShowDelete] = useState(false);
+  const [password, setPassword] = useState("");
+  const [code, setCode] = useState("");
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState("");
+
+  // Descarga los datos de la cuenta en un fichero JSON
+  const handleExport = async () => {
+    setError("");
+    setExporting(true);
+
+    try {
+      const response = await api.users.exportMyData(tokenStorage.getToken());
+      const blob = new Blob([JSON.stringify(response.data, null, 2)], {
+        type: "application/json",
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `negromate-datos-${new Date()
+        .toISOString()
+        .slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message || "No se pudieron exportar tus datos.");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Elimina la cuenta tras confirmar la contraseña
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setError("");
+    setDeleting(true);
+
+    try {
+      await deleteAccount({ password, code });
+    } catch (err) {
+      setError(err.message || "No se pudo eliminar la cuenta.");
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <div className="Account-card">
+      <h2 className="Account-cardTitle">Privacidad</h2>
+      <p>
+        Descarga una copia de tus datos: perfil, pedidos, sesiones y actividad.
+      </p>
+      {error && <p className="u-errorMessage">{error}</p>}
+      <button onClick={handleExport} disabled={exporting} className="Button">
+        {exporting ? "Preparando..." : "Descargar mis datos"}
+      </button>
+      {/* Baja de la cuenta */}
+      {!showDelete ? (
+        <button
+          type="button"
+          onClick={() => setShowDelete(true)}
+          className="Form-link"
+        >
+          Eliminar mi cuenta
+        </button>
+      ) : (
+        <form onSubmit={handleDelete} className="Form">
+          <p>
+            Se eliminarán tus datos personales y se cerrarán todas tus sesiones.
+            Tus pedidos se conservan de forma anónima por motivos contables.
+            Esta acción no se puede deshacer.
+          </p>
+          <div className="Form-group">
+            <label htmlFor="delete-password">Contraseña</label>
+            <input
+              id="delete-password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              className="Form-input"
+              autoComplete="current-password"
+            />
+          </div>
+          {/* Con 2FA también se pide el código */}
+          {user.twoFactorEnabled && (
+            <div className="Form-group">
+              <label htmlFor="delete-code">
+                Código de tu app o de recuperación
+              </label>
+              <input
+                id="delete-code"
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+                className="Form-input"
+                autoComplete="one-time-code"
+              />
+            </div>
+          )}
+          <button type="submit" disabled={deleting} className="Button">
+            {deleting ? "Eliminando..." : "Eliminar definitivamente"}
+          </button>
+          <button
+            type="button"
+            onClick={() => setShowDelete(false)}
+            className="Form-link"
+          >
+            Cancelar
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default PrivacySettings;
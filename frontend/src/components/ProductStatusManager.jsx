@@ -0,0 +1,155 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Componente de gestión del estado de los productos
+ * ============================================
+ */
+
+import { useState, useEffect } from "react";
+import { api, tokenStorage } from "@/services/api";
+import "@/css/components/Form.css";
+
+// Opciones del filtro por estado
+const STATUS_FILTERS = [
+  { value: "active", label: "En el catálogo" },
+  { value: "archived", label: "Archivados" },
+  { value: "deleted", label: "Eliminados" },
+  { value: "all", label: "Todos" },
+];
+// Nombre de cada estado en el listado
+const STATUS_LABELS = {
+  active: "En el catálogo",
+  archived: "Archivado",
+  deleted: "Eliminado",
+};
+
+// Fecha en formato local
+const formatDate = (date) => new Date(date).toLocaleDateString("es-ES");
+
+const ProductStatusManager = () => {
+  const [products, setProducts] = useState([]);
+  const [status, setStatus] = useState("archived");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // Cargamos los productos al montar y al cambiar el filtro
+  useEffect(() => {
+    // Controlador para cancelar la petición
+    const controller = new AbortController();
+    // Fetch
+    const fetchProducts = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const response = await api.products.getAdmin(
+          { status, sort: "name", limit: 100 },
+          tokenStorage.getToken(),
+          { signal: controller.signal }
+        );
+        setProducts(response.data);
+        setLoading(false);
+      } catch (err) {
+        // Captamos errores
+        if (err.name !== "AbortError") {
+          setError(err.message || "No se pudieron cargar los productos.");
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchProducts();
+
+    return () => controller.abort();
+  }, [status]);
+
+  // Archiva, restaura o elimina un producto y actualiza el listado
+  const handleAction = async (action, id) => {
+    setError("");
+
+    try {
+      const response = await api.products[action](id, tokenStorage.getToken());
+      const updated = response.data;
+      setProducts((prev) =>
+        status === "all"
+          ? prev.map((product) => (product._id === id ? updated : product))
+          : prev.filter((product) => product._id !== id)
+      );
+    } catch (err) {
+      setError(err.message || "No se pudo actualizar el producto.");
+    }
+  };
+
+  return (
+    <div className="Account-card">
+      <h2 className="Account-cardTitle">Productos</h2>
+      <p>
+        Los productos archivados o eliminados no aparecen en la tienda, pero se
+        conservan en los pedidos y se pueden restaurar.
+      </p>
+      <div className="Form-group">
+        <label htmlFor="product-status-filter">Mostrar</label>
+        <select
+          id="product-status-filter"
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="Form-input"
+        >
+          {STATUS_FILTERS.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {loading && <p>Cargando productos...</p>}
+      {error && <p className="u-errorMessage">{error}</p>}
+      {!loading && !error && products.length === 0 && (
+        <p>No hay productos con este estado.</p>
+      )}
+      {products.length > 0 && (
+        <ul className="Account-list">
+          {products.map((product) => (
+            <li key={product._id} className="Account-item">
+              <div>
+                <p>
+                  <strong>{product.name}</strong>
+                </p>
+                <p className="Account-itemMeta">
+                  {STATUS_LABELS[product.status]}
+                  {product.statusChangedAt &&
+                    ` · ${formatDate(product.statusChangedAt)}`}
+                </p>
+              </div>
+              <div>
+                {product.status === "active" ? (
+                  <button
+                    onClick={() => handleAction("archive", product._id)}
+                    className="Button"
+                  >
+                    Archivar
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => handleAction("restore", product._id)}
+                    className="Button"
+                  >
+                    Restaurar
+                  </button>
+                )}{" "}
+                {product.status !== "deleted" && (
+                  <button
+                    onClick={() => handleAction("delete", product._id)}
+                    className="Button"
+                  >
+                    Eliminar
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ProductStatusManager;
@@ -1,32 +1,41 @@
 /** -------------------------------------------------------------------
- * ==============================================================
- * Productos - Configuración de las categorías de los servicios
- * ==============================================================
+ * ============================================
+ * Componente de los productos
+ * ============================================
  */
 
+import { useState, useEffect } from "react";
 import { Link } from "react-router-dom";
+import { api } from "@/services/api";
 import "@/css/components/Products.css";
 
-const productCategories = [
-  {
-    title: "Diseño Gráfico",
-    path: "/graphic-design",
-    image: "/images/ivy-bg.webp",
-  },
-  {
-    title: "Ropa Personalizada",
-    path: "/custom-clothing",
-    image: "/images/clothes.webp",
-  },
-  { title: "Murales", path: "/murals", image: "/images/goiko.webp" },
-];
-
-/** -------------------------------------------------------------------
- * ============================================
- * Componente de los productos
- * ============================================
- */
 const Products = () => {
+  // Categorías visibles en el orden configurado
+  const [categories, setCategories] = useState([]);
+
+  // Cargamos las categorías al montar el componente
+  useEffect(() => {
+    // Controlador para cancelar la petición
+    const controller = new AbortController();
+    // Fetch
+    const fetchCategories = async () => {
+      try {
+        const response = await api.categories.get({
+          signal: controller.signal,
+        });
+        setCategories(response.data);
+      } catch (error) {
+        // Captamos errores
+        if (error.name !== "AbortError")
+          console.error("Error fetching categories:", error);
+      }
+    };
+
+    fetchCategories();
+
+    return () => controller.abort();
+  }, []);
+
   return (
     <section className="u-section Products">
       <div className="u-container">
@@ -35,22 +44,22 @@ const Products = () => {
         {/* Grid de tarjetas */}
         <div className="Products-grid">
           {/* Generamos las tarjetas dinámicamente */}
-          {productCategories.map((category) => (
+          {categories.map((category) => (
             // Link que envuelve cada tarjeta
             <Link
-              to={category.path}
-              key={category.title}
+              to={`/services/${category.slug}`}
+              key={category._id}
               className="CategoryCard"
             >
               {/* Fondo de la categoría */}
               <img
-                src={category.image}
-                alt={category.title}
+                src={category.coverImage}
+                alt={category.name}
                 className="CategoryCard-image"
               />
               {/* Overlay con el título del servicio */}
               <div className="CategoryCard-overlay">
-                <h3 className="CategoryCard-title">{category.title}</h3>
+                <h3 className="CategoryCard-title">{category.name}</h3>
               </div>
             </Link>
           ))}
@@ -4,17 +4,24 @@
  * =================================================================
  */
 
-import { Navigate, Outlet } from "react-router-dom";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
 import { useAuth } from "@/context/AuthContext";
 
 const ProtectedRoute = () => {
   const { user, loading } = useAuth();
+  const location = useLocation();
   // Mensaje de carga
   if (loading) {
     return <div className="u-loadingMessage">Cargando...</div>;
   }
+  // Página a la que volver después de iniciar sesión
+  const redirect = encodeURIComponent(location.pathname + location.search);
   // Si hay un usuario autenticado renderiza Outlet, si no hay usuario redirige a la página de login
-  return user ? <Outlet /> : <Navigate to="/profile" replace />;
+  return user ? (
+    <Outlet />
+  ) : (
+    <Navigate to={`/profile?redirect=${redirect}`} replace />
+  );
 };
 
 export default ProtectedRoute;
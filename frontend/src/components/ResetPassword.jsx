@@ -0,0 +1,86 @@
+/** -------------------------------------------------------------------
+ * ===================================================
+ * Componente del formulario de nueva contraseña
+ * ===================================================
+ */
+
+import { useState } from "react";
+import { api } from "@/services/api";
+import "@/css/components/Form.css";
+
+const ResetPassword = ({ token, onDone }) => {
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  // Envío del formulario de nueva contraseña
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    // Validación de la contraseña
+    if (password.length < 6) {
+      setError("La contraseña debe tener al menos 6 caracteres.");
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError("Las contraseñas no coinciden.");
+      return;
+    }
+    setLoading(true);
+
+    try {
+      // Guardamos la nueva contraseña
+      const response = await api.auth.resetPassword({ token, password });
+      onDone(response.msg);
+    } catch (err) {
+      setError(err.message || "No se pudo restablecer la contraseña.");
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="FormContainer">
+      <h2>Nueva Contraseña</h2>
+      {/* Mensaje de error si existe */}
+      {error && <p className="u-errorMessage">{error}</p>}
+      {/* Formulario */}
+      <form onSubmit={handleSubmit} className="Form">
+        {/* Campo de nueva contraseña */}
+        <div className="Form-group">
+          <label htmlFor="reset-password">
+            Nueva contraseña (mín. 6 caracteres)
+          </label>
+          <input
+            id="reset-password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+            className="Form-input"
+            autoComplete="new-password"
+          />
+        </div>
+        {/* Campo de confirmación */}
+        <div className="Form-group">
+          <label htmlFor="reset-confirm-password">Repite la contraseña</label>
+          <input
+            id="reset-confirm-password"
+            type="password"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            required
+            className="Form-input"
+            autoComplete="new-password"
+          />
+        </div>
+        {/* Botón de envío */}
+        <button type="submit" disabled={loading} className="Button">
+          {loading ? "Guardando..." : "Guardar contraseña"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,148 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Componente del buscador del Header
+ * ============================================
+ */
+
+import { useState, useEffect, useRef } from "react";
+import { Link } from "react-router-dom";
+import { api } from "@/services/api";
+import "@/css/components/SearchBox.css";
+
+// Longitud mínima de la búsqueda y espera antes de lanzarla
+const MIN_QUERY_LENGTH = 2;
+const DEBOUNCE_MS = 300;
+// Etiqueta de cada tipo de resultado
+const TYPE_LABELS = {
+  product: "Servicio",
+  category: "Categoría",
+  gallery: "Proyecto",
+  content: "Página",
+};
+
+const SearchBox = ({ onNavigate }) => {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const containerRef = useRef(null);
+  const term = query.trim();
+
+  // Buscamos cuando el usuario deja de escribir
+  useEffect(() => {
+    if (term.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setError("");
+      return;
+    }
+    // Controlador para cancelar la petición
+    const controller = new AbortController();
+    // Fetch
+    const timeoutId = setTimeout(async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const response = await api.search.get(
+          { q: term, limit: 6 },
+          { signal: controller.signal }
+        );
+        setResults(response.data.results);
+      } catch (err) {
+        // Captamos errores
+        if (err.name !== "AbortError") {
+          setError(err.message || "No se pudo realizar la búsqueda.");
+        }
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timeoutId);
+      controller.abort();
+    };
+  }, [term]);
+
+  // Cierra las sugerencias al hacer clic fuera del buscador
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, []);
+
+  // Limpia el buscador al elegir un resultado
+  const handleResultClick = () => {
+    setQuery("");
+    setIsOpen(false);
+    if (onNavigate) onNavigate();
+  };
+
+  const showDropdown = isOpen && term.length >= MIN_QUERY_LENGTH;
+
+  return (
+    <div className="SearchBox" ref={containerRef}>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onKeyDown={(e) => e.key === "Escape" && setIsOpen(false)}
+        className="Form-input SearchBox-input"
+        placeholder="Buscar..."
+        aria-label="Buscar en la web"
+      />
+      {/* Sugerencias */}
+      {showDropdown && (
+        <div className="SearchBox-dropdown">
+          {loading && <p className="SearchBox-message">Buscando...</p>}
+          {error && <p className="u-errorMessage">{error}</p>}
+          {!loading && !error && results.length === 0 && (
+            <p className="SearchBox-message">Sin resultados para "{term}"</p>
+          )}
+          {results.length > 0 && (
+            <ul className="SearchBox-list">
+              {results.map((result) => (
+                <li key={`${result.type}-${result.id}`}>
+                  <Link
+                    to={result.link}
+                    onClick={handleResultClick}
+                    className="SearchBox-result"
+                  >
+                    {result.imageUrl && (
+                      <img
+                        src={result.imageUrl}
+                        alt={result.title}
+                        className="SearchBox-image"
+                      />
+                    )}
+                    <div>
+                      <p className="SearchBox-title">
+                        {result.title}
+                        <span className="SearchBox-type">
+                          {TYPE_LABELS[result.type]}
+                        </span>
+                      </p>
+                      {result.excerpt && (
+                        <p className="SearchBox-excerpt">{result.excerpt}</p>
+                      )}
+                    </div>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
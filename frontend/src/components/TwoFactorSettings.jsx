@@ -0,0 +1,209 @@
+/** -------------------------------------------------------------------
+ * ================================================
+ * Componente de la verificación en dos pasos (2FA)
+ * ================================================
+ */
+
+import { useState } from "react";
+import { useAuth } from "@/context/AuthContext";
+import { api, tokenStorage } from "@/services/api";
+import "@/css/components/Form.css";
+
+const TwoFactorSettings = () => {
+  const { user, updateUserInfo } = useAuth();
+  // Secreto pendiente de confirmar durante la configuración
+  const [setup, setSetup] = useState(null);
+  // Códigos de recuperación, solo se muestran una vez
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [code, setCode] = useState("");
+  // Datos para desactivar: contraseña y código
+  const [password, setPassword] = useState("");
+  const [disableCode, setDisableCode] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  // Ejecuta una acción mostrando carga y errores
+  const run = async (action, fallbackMessage) => {
+    setError("");
+    setLoading(true);
+
+    try {
+      await action();
+      setCode("");
+      setPassword("");
+      setDisableCode("");
+    } catch (err) {
+      setError(err.message || fallbackMessage);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Paso 1: generar el secreto
+  const handleSetup = () =>
+    run(async () => {
+      const response = await api.twoFactor.setup(tokenStorage.getToken());
+      setSetup(response.data);
+    }, "No se pudo iniciar la configuración.");
+
+  // Paso 2: confirmar con un código de la app
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const { recoveryCodes, token, refreshToken } = (
+        await api.twoFactor.enable(code, tokenStorage.getToken())
+      ).data;
+      // El resto de sesiones se han cerrado, esta continúa con tokens nuevos
+      tokenStorage.save({ token, refreshToken });
+      updateUserInfo({ twoFactorEnabled: true });
+      setSetup(null);
+      setRecoveryCodes(recoveryCodes);
+    }, "Código de verificación incorrecto.");
+  };
+
+  // Generar nuevos códigos de recuperación
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await api.twoFactor.regenerateRecoveryCodes(
+        code,
+        tokenStorage.getToken()
+      );
+      setRecoveryCodes(response.data.recoveryCodes);
+    }, "Código de verificación incorrecto.");
+  };
+
+  // Desactivar con contraseña y código
+  const handleDisable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await api.twoFactor.disable(
+        { password, code: disableCode },
+        tokenStorage.getToken()
+      );
+      updateUserInfo({ twoFactorEnabled: false });
+      setRecoveryCodes([]);
+    }, "No se pudo desactivar la verificación en dos pasos.");
+  };
+
+  return (
+    <div className="Account-card">
+      <h2 className="Account-cardTitle">Verificación en dos pasos</h2>
+      <p>
+        Estado:{" "}
+        <strong>{user.twoFactorEnabled ? "activada" : "desactivada"}</strong>
+      </p>
+      {user.role !== "user" && !user.twoFactorEnabled && (
+        <p>
+          Las cuentas del equipo deben activarla para acceder a la gestión de la
+          tienda.
+        </p>
+      )}
+      {error && <p className="u-errorMessage">{error}</p>}
+      {/* Códigos de recuperación recién generados */}
+      {recoveryCodes.length > 0 && (
+        <>
+          <p>
+            Guarda estos códigos de recuperación en un lugar seguro. Cada uno
+            sirve una sola vez si pierdes acceso a tu app de autenticación y no
+            se volverán a mostrar.
+          </p>
+          <ul className="Account-codes">
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+        </>
+      )}
+      {/* Sin 2FA: iniciar la configuración */}
+      {!user.twoFactorEnabled && !setup && (
+        <button onClick={handleSetup} disabled={loading} className="Button">
+          {loading ? "Generando..." : "Activar verificación en dos pasos"}
+        </button>
+      )}
+      {/* Configuración en curso: secreto y confirmación */}
+      {!user.twoFactorEnabled && setup && (
+        <form onSubmit={handleEnable} className="Form">
+          <p>
+            Añade esta clave en tu app de autenticación (Google Authenticator,
+            Authy...) y escribe el código que genera.
+          </p>
+          <code className="Account-secret">{setup.secret}</code>
+          <a href={setup.otpauthUri} className="Form-link">
+            Abrir en la app de autenticación
+          </a>
+          <div className="Form-group">
+            <label htmlFor="twofactor-enable-code">Código</label>
+            <input
+              id="twofactor-enable-code"
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+              className="Form-input"
+              autoComplete="one-time-code"
+            />
+          </div>
+          <button type="submit" disabled={loading} className="Button">
+            {loading ? "Verificando..." : "Confirmar"}
+          </button>
+        </form>
+      )}
+      {/* Con 2FA activa: nuevos códigos o desactivar */}
+      {user.twoFactorEnabled && (
+        <>
+          <form onSubmit={handleRegenerate} className="Form">
+            <div className="Form-group">
+              <label htmlFor="twofactor-code">Código de tu app</label>
+              <input
+                id="twofactor-code"
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+                className="Form-input"
+                autoComplete="one-time-code"
+              />
+            </div>
+            <button type="submit" disabled={loading} className="Button">
+              Generar nuevos códigos de recuperación
+            </button>
+          </form>
+          <form onSubmit={handleDisable} className="Form">
+            <div className="Form-group">
+              <label htmlFor="twofactor-password">Contraseña</label>
+              <input
+                id="twofactor-password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                className="Form-input"
+                autoComplete="current-password"
+              />
+            </div>
+            <div className="Form-group">
+              <label htmlFor="twofactor-disable-code">
+                Código de tu app o de recuperación
+              </label>
+              <input
+                id="twofactor-disable-code"
+                type="text"
+                value={disableCode}
+                onChange={(e) => setDisableCode(e.target.value)}
+                required
+                className="Form-input"
+                autoComplete="one-time-code"
+              />
+            </div>
+            <button type="submit" disabled={loading} className="Button">
+              Desactivar verificación en dos pasos
+            </button>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
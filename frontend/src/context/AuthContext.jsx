@@ -4,29 +4,112 @@
  * =====================================================
  */
 
-import React, { createContext, useState, useEffect, useContext } from "react";
-import { api } from "@/services/api";
-import { useNavigate } from "react-router-dom";
+import React, {
+  createContext,
+  useState,
+  useEffect,
+  useContext,
+  useRef,
+  useCallback,
+} from "react";
+import { api, tokenStorage, setUnauthorizedHandler } from "@/services/api";
+import { useNavigate, useSearchParams } from "react-router-dom";
 
 // Crea el contexto de autenticación
 const AuthContext = createContext();
 
+// Guarda los tokens y los datos del usuario de una respuesta de login/registro
+const saveSession = ({ token, refreshToken, ...userData }) => {
+  tokenStorage.save({ token, refreshToken });
+  localStorage.setItem("userInfo", JSON.stringify(userData));
+  return userData;
+};
+
+// Borra la sesión guardada en localStorage
+const removeStoredSession = () => {
+  tokenStorage.clear();
+  localStorage.removeItem("userInfo");
+};
+
 // Componente proveedor del contexto
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const navigate = useNavigate();
-  // Recupera la sesión del usuario desde localStorage
+  const [searchParams] = useSearchParams();
+  // Mientras se valida la sesión guardada no se redirige al login
+  const validatingRef = useRef(true);
+
+  // Página a la que volver tras iniciar sesión (solo rutas internas)
+  const redirect = searchParams.get("redirect");
+  const returnPath =
+    redirect && redirect.startsWith("/") && !redirect.startsWith("//")
+      ? redirect
+      : "/cart";
+
+  // Si la sesión caduca o se revoca, se cierra y se vuelve al login
+  // recordando la página actual
   useEffect(() => {
-    // Recuperar el token JWT almacenado
-    const token = localStorage.getItem("userToken");
+    setUnauthorizedHandler(() => {
+      removeStoredSession();
+      setUser(null);
+      if (validatingRef.current) return;
+      const { pathname, search } = window.location;
+      if (pathname === "/profile") return;
+      navigate(`/profile?redirect=${encodeURIComponent(pathname + search)}`, {
+        replace: true,
+      });
+    });
+    return () => setUnauthorizedHandler(null);
+  }, [navigate]);
 
-    if (token) {
-      // Si existe un token, recuperamos los datos del usuario
-      const userData = JSON.parse(localStorage.getItem("userInfo"));
-      setUser(userData);
+  // Recupera la sesión guardada y la valida contra la API
+  useEffect(() => {
+    // Recuperar el token JWT almacenado
+    const token = tokenStorage.getToken();
+    if (!token) {
+      validatingRef.current = false;
+      setLoading(false);
+      return;
     }
-    setLoading(false);
+    // Controlador para cancelar la petición
+    const controller = new AbortController();
+    // Fetch
+    const validateSession = async () => {
+      try {
+        // Si el token expiró, apiRequest lo renueva con el refresh token
+        const response = await api.auth.getProfile(tokenStorage.getToken(), {
+          signal: controller.signal,
+        });
+        const { _id, username, email, role, emailVerified, twoFactorEnabled } =
+          response.data;
+        const userData = {
+          _id,
+          username,
+          email,
+          role,
+          emailVerified,
+          twoFactorEnabled,
+        };
+        localStorage.setItem("userInfo", JSON.stringify(userData));
+        setUser(userData);
+      } catch (error) {
+        if (error.name === "AbortError") return;
+        if (error.status === 401) {
+          // Sesión no válida, el manejador ya la ha borrado
+          setUser(null);
+        } else {
+          // Sin conexión con la API: se mantienen los datos guardados
+          setUser(JSON.parse(localStorage.getItem("userInfo")));
+        }
+      }
+      validatingRef.current = false;
+      setLoading(false);
+    };
+
+    validateSession();
+
+    return () => controller.abort();
   }, []);
 
   // Iniciar sesión
@@ -34,15 +117,16 @@ export const AuthProvider = ({ children }) => {
     try {
       // Llamamos al endpoint de login
       const response = await api.auth.login({ email, password });
+      // Con 2FA activo, el formulario pide el código en un segundo paso
+      if (response.data && response.data.twoFactorRequired) {
+        return response;
+      }
       // Si la respuesta incluye un token JWT válido
       if (response.data && response.data.token) {
-        // Guarda el token JWT en localStorage
-        localStorage.setItem("userToken", response.data.token);
-        // Guarda la información del usuario
-        localStorage.setItem("userInfo", JSON.stringify(response.data));
-        setUser(response.data);
-        // Redirige al usuario al carrito de compras después del login exitoso
-        navigate("/cart");
+        // Guarda los tokens y la información del usuario
+        setUser(saveSession(response.data));
+        // Vuelve a la página de la que venía o al carrito de compras
+        navigate(returnPath);
       }
       return response;
     } catch (error) {
@@ -51,6 +135,22 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Segundo paso del login con el código de verificación
+  const loginTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await api.auth.loginTwoFactor({ challengeToken, code });
+      if (response.data && response.data.token) {
+        // Guarda los tokens y la información del usuario
+        setUser(saveSession(response.data));
+        navigate(returnPath);
+      }
+      return response;
+    } catch (error) {
+      console.error("Error en verificación en dos pasos:", error);
+      throw error;
+    }
+  };
+
   // Registrar nuevo usuario
   const register = async (username, email, password) => {
     try {
@@ -58,13 +158,10 @@ export const AuthProvider = ({ children }) => {
       const response = await api.auth.register({ username, email, password });
       // Si la respuesta incluye un token JWT válido
       if (response.data && response.data.token) {
-        // Guarda el token JWT en localStorage
-        localStorage.setItem("userToken", response.data.token);
-        // Guarda la información del usuario recién registrado
-        localStorage.setItem("userInfo", JSON.stringify(response.data));
-        setUser(response.data);
-        // Redirige al carrito de compras después del registro exitoso
-        navigate("/cart");
+        // Guarda los tokens y la información del usuario recién registrado
+        setUser(saveSession(response.data));
+        // Vuelve a la página de la que venía o al carrito de compras
+        navigate(returnPath);
       }
       return response;
     } catch (error) {
@@ -73,18 +170,63 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Cerrar sesión
-  const logout = () => {
-    // Elimina el token JWT del localStorage
-    localStorage.removeItem("userToken");
-    // Elimina la información del usuario del localStorage
-    localStorage.removeItem("userInfo");
+  // Actualiza parte de los datos del usuario guardados. Es estable para
+  // poder usarla como dependencia de los efectos.
+  const updateUserInfo = useCallback((changes) => {
+    setUser((prevUser) => {
+      if (!prevUser) return prevUser;
+      const updatedUser = { ...prevUser, ...changes };
+      localStorage.setItem("userInfo", JSON.stringify(updatedUser));
+      return updatedUser;
+    });
+  }, []);
+
+  // Limpia la sesión local y vuelve a la página principal
+  const clearSession = () => {
+    // Elimina los tokens y la información del usuario del localStorage
+    removeStoredSession();
     setUser(null);
     // Redirige a la página principal
     navigate("/");
   };
+
+  // Cerrar sesión
+  const logout = async () => {
+    try {
+      // Revoca los tokens en el servidor
+      await api.auth.logout(tokenStorage.getToken());
+    } catch (error) {
+      // Aunque falle el servidor, la sesión local se cierra igualmente
+      console.error("Error en logout:", error);
+    }
+    clearSession();
+  };
+
+  // Cerrar sesión en todos los dispositivos
+  const logoutAll = async () => {
+    await api.auth.logoutAll(tokenStorage.getToken());
+    clearSession();
+  };
+
+  // Eliminar la cuenta, el servidor ya ha cerrado todas las sesiones
+  const deleteAccount = async (credentials) => {
+    await api.users.deleteMyAccount(credentials, tokenStorage.getToken());
+    clearSession();
+  };
   return (
-    <AuthContext.Provider value={{ user, loading, login, register, logout }}>
+    <AuthContext.Provider
+      value={{
+        user,
+        loading,
+        login,
+        loginTwoFactor,
+        register,
+        logout,
+        logoutAll,
+        deleteAccount,
+        updateUserInfo,
+      }}
+    >
       {!loading && children}
     </AuthContext.Provider>
   );
@@ -4,17 +4,36 @@
  * ===============================================
  */
 
-import React, { createContext, useState, useEffect, useContext } from "react";
+import React, {
+  createContext,
+  useState,
+  useEffect,
+  useContext,
+  useCallback,
+} from "react";
 
 // Crea el contexto del carrito de compras
 const CartContext = createContext();
 
+// Clave de un item del carrito: el producto más la variante elegida o las
+// opciones de su presupuesto
+const getCartKey = (productId, variantId, quote) => {
+  if (quote) return `${productId}:${Object.values(quote.options).join("|")}`;
+  return variantId ? `${productId}:${variantId}` : productId;
+};
+
 // Componente del contexto del carrito de compras
 export const CartProvider = ({ children }) => {
   // Si no existen datos previos, inicia como array vacío
   const [cartItems, setCartItems] = useState(() => {
     const localData = localStorage.getItem("cartItems");
-    return localData ? JSON.parse(localData) : [];
+    // Los carritos guardados antes de las variantes no tienen cartKey
+    return localData
+      ? JSON.parse(localData).map((item) => ({
+          ...item,
+          cartKey: item.cartKey || getCartKey(item._id, item.variant?._id),
+        }))
+      : [];
   });
 
   // Se ejecuta cada vez que cartItems cambia
@@ -23,50 +42,67 @@ export const CartProvider = ({ children }) => {
     localStorage.setItem("cartItems", JSON.stringify(cartItems));
   }, [cartItems]);
 
-  // Agregar un producto al carrito de compras
-  const addToCart = (product, quantity = 1) => {
+  // Agregar un producto al carrito de compras.
+  // Cada variante o presupuesto de un producto es un item distinto del
+  // carrito. Los productos a medida cuestan el total de su presupuesto.
+  const addToCart = (product, quantity = 1, variant = null, quote = null) => {
+    const cartKey = getCartKey(product._id, variant?._id, quote);
     setCartItems((prevItems) => {
       // Verifica si el producto ya existe en el carrito de compras
-      const itemExists = prevItems.find((item) => item._id === product._id);
+      const itemExists = prevItems.find((item) => item.cartKey === cartKey);
 
       if (itemExists) {
         // Si existe, incrementa la cantidad del producto
         return prevItems.map((item) =>
-          item._id === product._id
+          item.cartKey === cartKey
             ? { ...item, quantity: item.quantity + quantity }
             : item
         );
       } else {
-        // Si no existe, agrega el producto como nuevo item
-        return [...prevItems, { ...product, quantity }];
+        // Si no existe, agrega el producto como nuevo item con el precio
+        // de la variante elegida o de su presupuesto
+        return [
+          ...prevItems,
+          {
+            ...product,
+            cartKey,
+            variant,
+            quote,
+            price: quote
+              ? quote.total
+              : product.price + (variant?.priceModifier || 0),
+            quantity,
+          },
+        ];
       }
     });
   };
 
   // Eliminar un producto del carrito de compras
-  const removeFromCart = (productId) => {
-    // Filtra el carrito removiendo el producto con ID
+  const removeFromCart = (cartKey) => {
+    // Filtra el carrito removiendo el item con su clave
     setCartItems((prevItems) =>
-      prevItems.filter((item) => item._id !== productId)
+      prevItems.filter((item) => item.cartKey !== cartKey)
     );
   };
 
   // Actualizar la cantidad de un producto
-  const updateQuantity = (productId, quantity) => {
+  const updateQuantity = (cartKey, quantity) => {
     setCartItems((prevItems) =>
       prevItems.map((item) =>
-        // Solo actualiza el item que coincide con productId
-        item._id === productId
+        // Solo actualiza el item que coincide con cartKey
+        item.cartKey === cartKey
           ? { ...item, quantity: Math.max(1, quantity) }
           : item
       )
     );
   };
 
-  // Vaciar completamente el carrito de compras
-  const clearCart = () => {
+  // Vaciar completamente el carrito de compras. Estable entre renders
+  // para poder usarla en efectos
+  const clearCart = useCallback(() => {
     setCartItems([]);
-  };
+  }, []);
 
   // Calcula el número total de items en el carrito de compras
   const cartCount = cartItems.reduce((acc, item) => acc + item.quantity, 0);
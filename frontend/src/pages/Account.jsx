@@ -0,0 +1,136 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Página de la cuenta del usuario "Account"
+ * ============================================
+ */
+
+import { useState } from "react";
+import { useAuth } from "@/context/AuthContext";
+import { api, tokenStorage } from "@/services/api";
+import TwoFactorSettings from "@/components/TwoFactorSettings";
+import ActiveSessions from "@/components/ActiveSessions";
+import ApiKeys from "@/components/ApiKeys";
+import PrivacySettings from "@/components/PrivacySettings";
+import LowStockReport from "@/components/LowStockReport";
+import ProductStatusManager from "@/components/ProductStatusManager";
+import "@/css/pages/Account.css";
+
+// Roles que revisan el inventario
+const INVENTORY_ROLES = ["admin", "fulfillment"];
+// Roles que gestionan el catálogo
+const CATALOG_ROLES = ["admin"];
+
+const Account = () => {
+  const { user, logoutAll } = useAuth();
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [verification, setVerification] = useState({
+    loading: false,
+    message: "",
+    error: "",
+  });
+
+  // Reenvía el email de verificación
+  const handleResendVerification = async () => {
+    setVerification({ loading: true, message: "", error: "" });
+
+    try {
+      const response = await api.auth.resendVerification(
+        tokenStorage.getToken()
+      );
+      setVerification({ loading: false, message: response.msg, error: "" });
+    } catch (err) {
+      setVerification({
+        loading: false,
+        message: "",
+        error: err.message || "No se pudo enviar el enlace.",
+      });
+    }
+  };
+
+  // Cierra la sesión en todos los dispositivos
+  const handleLogoutAll = async () => {
+    setError("");
+    setLoading(true);
+
+    try {
+      await logoutAll();
+    } catch (err) {
+      setError(err.message || "No se pudieron cerrar las sesiones.");
+      setLoading(false);
+    }
+  };
+
+  return (
+    <section className="u-section Account">
+      <div className="u-container">
+        <h1 className="u-sectionTitle">Mi Cuenta</h1>
+        {/* Datos del usuario */}
+        <div className="Account-card">
+          <h2 className="Account-cardTitle">Datos personales</h2>
+          <p>
+            <strong>Usuario:</strong> {user.username}
+          </p>
+          <p>
+            <strong>Email:</strong> {user.email}{" "}
+            {user.emailVerified ? "(verificado)" : "(sin verificar)"}
+          </p>
+          {/* Reenviar verificación si el email no está confirmado */}
+          {!user.emailVerified && (
+            <>
+              <p>
+                Confirma tu email con el enlace que te enviamos para poder
+                realizar pedidos.
+              </p>
+              {verification.message && <p>{verification.message}</p>}
+              {verification.error && (
+                <p className="u-errorMessage">{verification.error}</p>
+              )}
+              <button
+                onClick={handleResendVerification}
+                disabled={verification.loading}
+                className="Button"
+              >
+                {verification.loading
+                  ? "Enviando..."
+                  : "Reenviar email de verificación"}
+              </button>
+            </>
+          )}
+        </div>
+        {/* Seguridad de la cuenta */}
+        <div className="Account-card">
+          <h2 className="Account-cardTitle">Seguridad</h2>
+          <p>
+            Si has iniciado sesión en un dispositivo que ya no usas, puedes
+            cerrar todas las sesiones abiertas.
+          </p>
+          {error && <p className="u-errorMessage">{error}</p>}
+          <button
+            onClick={handleLogoutAll}
+            disabled={loading}
+            className="Button"
+          >
+            {loading
+              ? "Cerrando sesiones..."
+              : "Cerrar sesión en todos los dispositivos"}
+          </button>
+        </div>
+        {/* Dispositivos con sesión abierta */}
+        <ActiveSessions />
+        {/* Verificación en dos pasos */}
+        <TwoFactorSettings />
+        {/* API keys para integraciones */}
+        <ApiKeys />
+        {/* Exportar datos y eliminar la cuenta */}
+        <PrivacySettings />
+        {/* Informe de inventario para el personal */}
+        {INVENTORY_ROLES.includes(user.role) && <LowStockReport />}
+        {/* Productos archivados y eliminados para la administración */}
+        {CATALOG_ROLES.includes(user.role) && <ProductStatusManager />}
+      </div>
+    </section>
+  );
+};
+
+export default Account;
@@ -0,0 +1,154 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Página de una categoría de servicios
+ * ============================================
+ */
+
+import { useState, useEffect } from "react";
+import { useParams, Link } from "react-router-dom";
+import { api } from "@/services/api";
+import PriceCard from "@/components/PriceCard";
+import GraphicDesign from "@/pages/GraphicDesign";
+import CustomClothing from "@/pages/CustomClothing";
+import Murals from "@/pages/Murals";
+import "@/css/pages/CustomClothing.css";
+import "@/css/pages/GraphicDesign.css";
+
+// Categorías con una página de diseño propio. El resto usa la genérica.
+const CUSTOM_PAGES = {
+  "graphic-design": GraphicDesign,
+  "custom-clothing": CustomClothing,
+  murals: Murals,
+};
+
+/** -------------------------------------------------------------------
+ * ============================================
+ * Página genérica: galería en grid y paquetes
+ * ============================================
+ */
+const GenericCategory = ({ slug }) => {
+  const [category, setCategory] = useState(null);
+  const [products, setProducts] = useState([]);
+  const [gallery, setGallery] = useState([]);
+  const [modalImage, setModalImage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // Cargamos la categoría con sus productos y galería
+  useEffect(() => {
+    // Controlador para cancelar la petición
+    const controller = new AbortController();
+    // Fetch
+    const fetchData = async () => {
+      try {
+        const response = await api.products.getWithGallery(slug, {
+          signal: controller.signal,
+        });
+        setCategory(response.data.category);
+        setProducts(response.data.products);
+        setGallery(response.data.gallery);
+      } catch (err) {
+        // Captamos errores
+        if (err.name !== "AbortError") {
+          setError(err.message || "No se pudo cargar la categoría.");
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+
+    return () => controller.abort();
+  }, [slug]);
+
+  // Mensaje de carga mientras se obtienen los datos
+  if (loading) return <div className="u-loadingMessage">Cargando...</div>;
+
+  // Categoría inexistente u oculta
+  if (error || !category) {
+    return (
+      <section className="u-section">
+        <div className="u-container">
+          <p className="u-errorMessage">{error}</p>
+          <Link to="/" className="Button">
+            Ver todos los servicios
+          </Link>
+        </div>
+      </section>
+    );
+  }
+
+  return (
+    <>
+      {/* Sección de galería */}
+      {gallery.length > 0 && (
+        <section className="u-section">
+          <div className="u-container">
+            <h2 className="u-sectionTitle">Galería de {category.name}</h2>
+            {category.description && <p>{category.description}</p>}
+            {/* Grid de imágenes de galería */}
+            <div className="ClothingGallery-grid">
+              {gallery.map((item) => (
+                // Cada item es clickeable con la imagen ampliada
+                <div
+                  key={item._id}
+                  className="ClothingGalleryItem"
+                  onClick={() => setModalImage(item.imageUrl)}
+                >
+                  <img
+                    src={item.imageUrl}
+                    alt={item.title || item.brand}
+                    className="ClothingGalleryItem-image"
+                  />
+                  {/* Overlay con información que aparece con hover */}
+                  <div className="ClothingGalleryItem-overlay">
+                    <h3 className="ClothingGalleryItem-title">
+                      {item.title || item.brand}
+                    </h3>
+                    <p className="ClothingGalleryItem-desc">
+                      {item.description}
+                    </p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </section>
+      )}
+      {/* Sección de paquetes de precios */}
+      <section className="u-section PriceCard-section">
+        <div className="u-container">
+          <h2 className="u-sectionTitle">Paquetes de {category.name}</h2>
+          {products.length === 0 && <p>Próximamente.</p>}
+          {/* Grid de tarjetas de productos */}
+          <div className="PriceCards-grid">
+            {products.map((p) => (
+              <PriceCard key={p._id} product={p} />
+            ))}
+          </div>
+        </div>
+      </section>
+      {/* Vista ampliada de la imagen */}
+      {modalImage && (
+        <div className="Modal-overlay" onClick={() => setModalImage(null)}>
+          <img src={modalImage} alt="Vista ampliada" className="Modal-image" />
+        </div>
+      )}
+    </>
+  );
+};
+
+/** -------------------------------------------------------------------
+ * ============================================
+ * Componente principal
+ * ============================================
+ */
+const CategoryPage = () => {
+  const { category } = useParams();
+  const Page = CUSTOM_PAGES[category] || GenericCategory;
+  // key: al cambiar de categoría se reinicia el estado de la página
+  return <Page key={category} slug={category} />;
+};
+
+export default CategoryPage;
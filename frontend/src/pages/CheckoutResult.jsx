@@ -0,0 +1,143 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Página de vuelta de la pasarela de pago
+ * ============================================
+ */
+
+import { useState, useEffect } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import { useCart } from "@/context/CartContext";
+import { api, tokenStorage, pendingOrderStorage } from "@/services/api";
+
+// Consultas a la orden mientras llega la confirmación de la pasarela
+const MAX_CHECKS = 5;
+const CHECK_INTERVAL_MS = 2000;
+
+const CheckoutResult = () => {
+  // "success" si se pagó, "cancel" si se canceló en la pasarela
+  const { result } = useParams();
+  const [searchParams] = useSearchParams();
+  const orderId = searchParams.get("order");
+  const { clearCart } = useCart();
+  // Estado del pago: checking, paid, pending, failed o error
+  const [payment, setPayment] = useState(
+    result === "success" ? "checking" : "failed"
+  );
+
+  // La URL de vuelta no prueba el pago: se consulta la orden hasta que la
+  // pasarela lo confirme
+  useEffect(() => {
+    if (result !== "success") return;
+    if (!orderId) {
+      setPayment("error");
+      return;
+    }
+    // Controlador para cancelar la petición
+    const controller = new AbortController();
+    let timer = null;
+
+    const checkOrder = async (attempt) => {
+      try {
+        const { data: order } = await api.orders.getById(
+          orderId,
+          tokenStorage.getToken(),
+          { signal: controller.signal }
+        );
+        const status = order.payment?.status;
+        if (status === "succeeded") {
+          setPayment("paid");
+        } else if (status === "pending" && attempt < MAX_CHECKS) {
+          timer = setTimeout(() => checkOrder(attempt + 1), CHECK_INTERVAL_MS);
+        } else {
+          setPayment(status === "pending" ? "pending" : "failed");
+        }
+      } catch (err) {
+        if (err.name !== "AbortError") setPayment("error");
+      }
+    };
+
+    checkOrder(1);
+
+    return () => {
+      controller.abort();
+      clearTimeout(timer);
+    };
+  }, [result, orderId]);
+
+  // El carrito se vacía solo cuando el pago se ha confirmado
+  useEffect(() => {
+    if (payment !== "paid") return;
+    clearCart();
+    pendingOrderStorage.clear();
+  }, [payment, clearCart]);
+
+  if (payment === "checking") {
+    return (
+      <div className="Contact-successMessage">
+        <div className="Contact-successBox">
+          <h2>Confirmando el pago...</h2>
+        </div>
+      </div>
+    );
+  }
+
+  const paid = payment === "paid";
+
+  return (
+    <div className="Contact-successMessage">
+      <div className="Contact-successBox">
+        {paid && (
+          <>
+            <h1
+              style={{
+                fontSize: "1.875rem",
+                fontWeight: "700",
+                marginBottom: "1rem",
+              }}
+            >
+              ¡Pago Realizado con Éxito!
+            </h1>
+            <p>Gracias por tu compra. Hemos recibido tu pedido y tu pago.</p>
+          </>
+        )}
+        {payment === "pending" && (
+          <>
+            <h2>Pago en proceso</h2>
+            <p>
+              La pasarela todavía no ha confirmado el pago. Podrás ver el estado
+              del pedido en tu cuenta.
+            </p>
+          </>
+        )}
+        {payment === "failed" && (
+          <>
+            <h2>Pago cancelado</h2>
+            <p>
+              No se ha realizado ningún cargo y el pedido se ha cancelado. Tus
+              artículos siguen en el carrito.
+            </p>
+          </>
+        )}
+        {payment === "error" && (
+          <>
+            <h2>No se pudo comprobar el pago</h2>
+            <p>Revisa el estado del pedido en tu cuenta.</p>
+          </>
+        )}
+        <Link
+          to={paid ? "/" : payment === "failed" ? "/cart" : "/account"}
+          className="Button"
+          style={{ marginTop: "1.5rem", display: "inline-block" }}
+        >
+          {paid
+            ? "Volver al Inicio"
+            : payment === "failed"
+            ? "Volver al carrito"
+            : "Ir a mi cuenta"}
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default CheckoutResult;
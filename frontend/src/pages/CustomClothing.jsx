@@ -10,7 +10,7 @@ import PriceCard from "@/components/PriceCard";
 import "@/css/pages/CustomClothing.css";
 import "@/css/pages/GraphicDesign.css";
 
-const CustomClothing = () => {
+const CustomClothing = ({ slug }) => {
   const [products, setProducts] = useState([]);
   const [gallery, setGallery] = useState([]);
   const [modalImage, setModalImage] = useState(null);
@@ -24,7 +24,7 @@ const CustomClothing = () => {
     const fetchData = async () => {
       try {
         // Llamada a la API para obtener productos y galería
-        const response = await api.products.getWithGallery("CustomClothing", {
+        const response = await api.products.getWithGallery(slug, {
           signal: controller.signal,
         });
         // Actualizamos estado con los productos obtenidos
@@ -43,7 +43,7 @@ const CustomClothing = () => {
     fetchData();
 
     return () => controller.abort();
-  }, []);
+  }, [slug]);
 
   // Mensaje de carga mientras se obtienen los datos
   if (loading)
@@ -60,7 +60,7 @@ const CustomClothing = () => {
             {gallery.map((item) => (
               // Cada item es clickeable con la imagen ampliada
               <div
-                key={item.id}
+                key={item._id}
                 className="ClothingGalleryItem"
                 onClick={() => setModalImage(item.imageUrl)}
               >
@@ -28,7 +28,7 @@ const GalleryItem = ({ item, onSelect, isSelected }) => (
  * Componente principal
  * ============================================
  */
-const GraphicDesign = () => {
+const GraphicDesign = ({ slug }) => {
   const [products, setProducts] = useState([]);
   const [gallery, setGallery] = useState([]);
   const [selectedItem, setSelectedItem] = useState(null);
@@ -42,7 +42,7 @@ const GraphicDesign = () => {
     const fetchData = async () => {
       try {
         // Llamada a la API para obtener productos y galería
-        const response = await api.products.getWithGallery("GraphicDesign", {
+        const response = await api.products.getWithGallery(slug, {
           signal: controller.signal,
         });
         // Actualizamos estado con los productos
@@ -65,7 +65,7 @@ const GraphicDesign = () => {
     fetchData();
 
     return () => controller.abort();
-  }, []);
+  }, [slug]);
 
   // Mensaje de carga mientras se obtienen los datos
   if (loading)
@@ -82,10 +82,10 @@ const GraphicDesign = () => {
             <div className="Gallery-sidebar">
               {gallery.map((item) => (
                 <GalleryItem
-                  key={item.id}
+                  key={item._id}
                   item={item}
                   onSelect={() => setSelectedItem(item)}
-                  isSelected={selectedItem?.id === item.id}
+                  isSelected={selectedItem?.id === item._id}
                 />
               ))}
             </div>
@@ -5,12 +5,18 @@
  */
 
 import { useState, useEffect } from "react";
+import { useLocation } from "react-router-dom";
 import { api } from "@/services/api";
 import PriceCard from "@/components/PriceCard";
+import MuralCalculator from "@/components/MuralCalculator";
 import "@/css/pages/Murals.css";
 import "@/css/pages/GraphicDesign.css";
 
-const Murals = () => {
+// Ancla de la sección de la calculadora
+const CALCULATOR_ID = "calculadora";
+
+const Murals = ({ slug }) => {
+  const { hash } = useLocation();
   const [products, setProducts] = useState([]);
   const [gallery, setGallery] = useState([]);
   const [modalImage, setModalImage] = useState(null);
@@ -24,7 +30,7 @@ const Murals = () => {
     const fetchData = async () => {
       try {
         // Llamada a la API para obtener productos y galería
-        const response = await api.products.getWithGallery("Murals", {
+        const response = await api.products.getWithGallery(slug, {
           signal: controller.signal,
         });
         // Actualizamos estado con los productos obtenidos
@@ -43,7 +49,18 @@ const Murals = () => {
     fetchData();
 
     return () => controller.abort();
-  }, []);
+  }, [slug]);
+
+  // Con el enlace #calculadora se baja a la calculadora al cargar
+  useEffect(() => {
+    if (!loading && hash === `#${CALCULATOR_ID}`) {
+      document.getElementById(CALCULATOR_ID)?.scrollIntoView();
+    }
+  }, [loading, hash]);
+
+  // Los paquetes tienen precio fijo, el mural a medida usa la calculadora
+  const packages = products.filter((p) => !p.quoteType);
+  const customMural = products.find((p) => p.quoteType === "mural");
 
   // Mensaje de carga mientras se obtienen los datos
   if (loading)
@@ -60,7 +77,7 @@ const Murals = () => {
             {gallery.map((item) => (
               // Cada item es clickeable con la imagen ampliada
               <div
-                key={item.id}
+                key={item._id}
                 className="MuralsGalleryItem"
                 onClick={() => setModalImage(item.imageUrl)}
               >
@@ -84,12 +101,19 @@ const Murals = () => {
           <h2 className="u-sectionTitle">Paquetes de Murales</h2>
           {/* Grid de tarjetas de productos */}
           <div className="PriceCards-grid">
-            {products.map((p) => (
+            {packages.map((p) => (
               <PriceCard key={p._id} product={p} />
             ))}
           </div>
         </div>
       </section>
+      {/* Sección de la calculadora de murales a medida */}
+      <section id={CALCULATOR_ID} className="u-section">
+        <div className="u-container">
+          <h2 className="u-sectionTitle">Calcula tu Mural a Medida</h2>
+          <MuralCalculator product={customMural} />
+        </div>
+      </section>
       {/* Vista ampliada de la imagen */}
       {modalImage && (
         <div className="Modal-overlay" onClick={() => setModalImage(null)}>
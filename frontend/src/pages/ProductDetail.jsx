@@ -0,0 +1,154 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Página de detalle de un producto
+ * ============================================
+ */
+
+import { useState, useEffect } from "react";
+import { useParams, Link, Navigate } from "react-router-dom";
+import { api } from "@/services/api";
+import PriceCard from "@/components/PriceCard";
+import "@/css/pages/CustomClothing.css";
+import "@/css/pages/GraphicDesign.css";
+import "@/css/pages/ProductDetail.css";
+
+const ProductDetail = () => {
+  const { category: categorySlug, slug } = useParams();
+  const [product, setProduct] = useState(null);
+  const [category, setCategory] = useState(null);
+  const [gallery, setGallery] = useState([]);
+  const [modalImage, setModalImage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // Cargamos el producto con su categoría y su galería
+  useEffect(() => {
+    // Controlador para cancelar la petición
+    const controller = new AbortController();
+    // Fetch
+    const fetchData = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const response = await api.products.getBySlug(slug, {
+          signal: controller.signal,
+        });
+        setProduct(response.data.product);
+        setCategory(response.data.category);
+        setGallery(response.data.gallery);
+      } catch (err) {
+        // Captamos errores
+        if (err.name !== "AbortError") {
+          setProduct(null);
+          setError(err.message || "No se pudo cargar el producto.");
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+
+    return () => controller.abort();
+  }, [slug]);
+
+  // Mensaje de carga mientras se obtienen los datos
+  if (loading) return <div className="u-loadingMessage">Cargando...</div>;
+
+  // Producto inexistente o de una categoría oculta
+  if (error || !product) {
+    return (
+      <section className="u-section">
+        <div className="u-container">
+          <p className="u-errorMessage">{error}</p>
+          <Link to={`/services/${categorySlug}`} className="Button">
+            Ver la categoría
+          </Link>
+        </div>
+      </section>
+    );
+  }
+
+  // Enlace con otra categoría: se corrige a la URL del producto
+  if (product.category !== categorySlug) {
+    return (
+      <Navigate to={`/services/${product.category}/${product.slug}`} replace />
+    );
+  }
+
+  return (
+    <>
+      {/* Sección del producto */}
+      <section className="u-section">
+        <div className="u-container">
+          {/* Ruta de navegación hasta el producto */}
+          <nav className="ProductDetail-breadcrumb">
+            <Link to="/">Inicio</Link>
+            <span>/</span>
+            <Link to={`/services/${category.slug}`}>{category.name}</Link>
+            <span>/</span>
+            <span>{product.name}</span>
+          </nav>
+          <div className="ProductDetail-layout">
+            {/* Imagen y descripción */}
+            <div className="ProductDetail-info">
+              {product.imageUrl && (
+                <img
+                  src={product.imageUrl}
+                  alt={product.name}
+                  className="ProductDetail-image"
+                  onClick={() => setModalImage(product.imageUrl)}
+                />
+              )}
+              <h1 className="ProductDetail-name">{product.name}</h1>
+              <p className="ProductDetail-description">{product.description}</p>
+            </div>
+            {/* Precio, detalles, variantes y botón del carrito */}
+            <PriceCard product={product} linkToDetail={false} />
+          </div>
+        </div>
+      </section>
+      {/* Imágenes de la galería en las que aparece el producto */}
+      {gallery.length > 0 && (
+        <section className="u-section PriceCard-section">
+          <div className="u-container">
+            <h2 className="u-sectionTitle">Trabajos realizados</h2>
+            <div className="ClothingGallery-grid">
+              {gallery.map((item) => (
+                // Cada item es clickeable con la imagen ampliada
+                <div
+                  key={item._id}
+                  className="ClothingGalleryItem"
+                  onClick={() => setModalImage(item.imageUrl)}
+                >
+                  <img
+                    src={item.imageUrl}
+                    alt={item.title || item.brand}
+                    className="ClothingGalleryItem-image"
+                  />
+                  {/* Overlay con información que aparece con hover */}
+                  <div className="ClothingGalleryItem-overlay">
+                    <h3 className="ClothingGalleryItem-title">
+                      {item.title || item.brand}
+                    </h3>
+                    <p className="ClothingGalleryItem-desc">
+                      {item.description}
+                    </p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </section>
+      )}
+      {/* Vista ampliada de la imagen */}
+      {modalImage && (
+        <div className="Modal-overlay" onClick={() => setModalImage(null)}>
+          <img src={modalImage} alt="Vista ampliada" className="Modal-image" />
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ProductDetail;
@@ -5,35 +5,68 @@
  */
 
 import { useState } from "react";
+import { Navigate, useSearchParams } from "react-router-dom";
 import Login from "@/components/Login";
 import Register from "@/components/Register";
+import ForgotPassword from "@/components/ForgotPassword";
 import "@/css/pages/Profile.css";
 
 const Profile = () => {
-  const [showLogin, setShowLogin] = useState(true);
+  const [searchParams] = useSearchParams();
+  const resetToken = searchParams.get("resetToken");
+  // Vista activa: login, register o forgot
+  const [view, setView] = useState("login");
+  // Si viene de una página protegida o de una sesión caducada, se avisa
+  const notice = searchParams.get("redirect")
+    ? "Inicia sesión para continuar."
+    : "";
+  const showLogin = view === "login";
+
+  // Enlaces de recuperación antiguos: la página de nueva contraseña tiene
+  // ahora su propia ruta
+  if (resetToken) {
+    return (
+      <Navigate
+        to={`/reset-password?token=${encodeURIComponent(resetToken)}`}
+        replace
+      />
+    );
+  }
 
   return (
     <section className="u-section Profile">
       <div className="u-container Profile-container">
         {/* Botones para cambiar entre Login y Register */}
-        <div className="Profile-toggleButtons">
+        {(view === "login" || view === "register") && (
+          <div className="Profile-toggleButtons">
             {/* Botón para mostrar Login cuando showLogin es true */}
             <button
-              onClick={() => setShowLogin(true)}
-              className={`ToggleButton ${showLogin ? "ToggleButton--active" : ""}`}
+              onClick={() => setView("login")}
+              className={`ToggleButton ${
+                showLogin ? "ToggleButton--active" : ""
+              }`}
             >
               Iniciar Sesión
             </button>
             {/* Botón para mostrar Register cuando showLogin es false */}
             <button
-              onClick={() => setShowLogin(false)}
-              className={`ToggleButton ${!showLogin ? "ToggleButton--active" : ""}`}
+              onClick={() => setView("register")}
+              className={`ToggleButton ${
+                !showLogin ? "ToggleButton--active" : ""
+              }`}
             >
               Registrarse
             </button>
-        </div>
-        {/* Login o Register según el estado */}
-        {showLogin ? <Login /> : <Register />}
+          </div>
+        )}
+        {/* Formulario según la vista activa */}
+        {view === "login" && (
+          <Login onForgotPassword={() => setView("forgot")} notice={notice} />
+        )}
+        {view === "register" && <Register />}
+        {view === "forgot" && (
+          <ForgotPassword onBack={() => setView("login")} />
+        )}
       </div>
     </section>
   );
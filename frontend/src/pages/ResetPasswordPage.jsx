@@ -0,0 +1,59 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Página de restablecer la contraseña
+ * ============================================
+ */
+
+import { useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import ResetPassword from "@/components/ResetPassword";
+import "@/css/pages/Profile.css";
+
+// Fuera de GuestRoute: el enlace del email funciona también con una
+// sesión abierta
+const ResetPasswordPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  // Mensaje de la API tras guardar la nueva contraseña
+  const [doneMessage, setDoneMessage] = useState("");
+
+  if (!token || doneMessage) {
+    return (
+      <div className="Contact-successMessage">
+        <div className="Contact-successBox">
+          {doneMessage ? (
+            <>
+              <h2>{doneMessage}</h2>
+              <p>
+                Se han cerrado todas las sesiones. Inicia sesión con tu nueva
+                contraseña.
+              </p>
+            </>
+          ) : (
+            <>
+              <h2>El enlace no es válido</h2>
+              <p>Solicita uno nuevo desde "¿Olvidaste tu contraseña?".</p>
+            </>
+          )}
+          <Link
+            to="/profile"
+            className="Button"
+            style={{ marginTop: "1.5rem", display: "inline-block" }}
+          >
+            Iniciar sesión
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <section className="u-section Profile">
+      <div className="u-container Profile-container">
+        <ResetPassword token={token} onDone={setDoneMessage} />
+      </div>
+    </section>
+  );
+};
+
+export default ResetPasswordPage;
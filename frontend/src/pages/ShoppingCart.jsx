@@ -5,80 +5,174 @@
  */
 
 import { useCart } from "@/context/CartContext";
-import { api } from "@/services/api";
-import { useState } from "react";
-import { Link } from "react-router-dom";
+import { describeVariant } from "@/services/variants";
+import { api, tokenStorage, pendingOrderStorage } from "@/services/api";
+import { useState, useEffect } from "react";
+import { Link, useNavigate } from "react-router-dom";
 import "@/css/pages/ShoppingCart.css";
 
+// Items del carrito con el formato de la API
+const toOrderItems = (cartItems) =>
+  cartItems.map((item) => ({
+    product: item._id,
+    variant: item.variant?._id,
+    quote: item.quote?.options,
+    quantity: item.quantity,
+  }));
+
 const ShoppingCart = () => {
-  const { cartItems, removeFromCart, updateQuantity, clearCart, cartTotal } =
-    useCart();
+  const { cartItems, removeFromCart, updateQuantity, cartTotal } = useCart();
+  const navigate = useNavigate();
   const [status, setStatus] = useState({
     loading: false,
     error: null,
-    success: false,
   });
+  // Código escrito y código aplicado
+  const [couponInput, setCouponInput] = useState("");
+  const [couponCode, setCouponCode] = useState("");
+  const [couponStatus, setCouponStatus] = useState({
+    loading: false,
+    error: "",
+  });
+  // Resumen calculado por el backend: descuento, base imponible e IVA
+  const [summary, setSummary] = useState(null);
+
+  // Recalcula el resumen al aplicar el cupón y cada vez que cambia el
+  // carrito. Sin sesión solo se muestra el total del carrito.
+  useEffect(() => {
+    const token = tokenStorage.getToken();
+    if (!token || cartItems.length === 0) {
+      setSummary(null);
+      if (couponCode) {
+        setCouponCode("");
+        setCouponStatus({
+          loading: false,
+          error: "Inicia sesión para aplicar un cupón.",
+        });
+      }
+      return;
+    }
+    // Controlador para cancelar la petición
+    const controller = new AbortController();
+    // Fetch
+    const fetchSummary = async () => {
+      setCouponStatus((prev) => ({ ...prev, loading: Boolean(couponCode) }));
+      try {
+        const response = await api.orders.preview(
+          {
+            orderItems: toOrderItems(cartItems),
+            couponCode: couponCode || undefined,
+          },
+          token,
+          { signal: controller.signal }
+        );
+        setSummary(response.data);
+        setCouponStatus((prev) => ({ ...prev, loading: false }));
+      } catch (err) {
+        if (err.name === "AbortError") return;
+        // El cupón deja de aplicarse si ya no es válido para el carrito y
+        // el resumen se vuelve a calcular sin él
+        if (couponCode) {
+          setCouponCode("");
+          setCouponStatus({
+            loading: false,
+            error: err.message || "No se pudo aplicar el cupón.",
+          });
+        } else {
+          setSummary(null);
+        }
+      }
+    };
+
+    fetchSummary();
+
+    return () => controller.abort();
+  }, [couponCode, cartItems]);
+
+  // Aplica el código escrito
+  const handleApplyCoupon = (e) => {
+    e.preventDefault();
+    setCouponStatus({ loading: false, error: "" });
+    setCouponCode(couponInput.trim().toUpperCase());
+  };
+
+  // Quita el cupón aplicado
+  const handleRemoveCoupon = () => {
+    setCouponCode("");
+    setCouponInput("");
+    setCouponStatus({ loading: false, error: "" });
+  };
 
-  // Procesamos la compra y crea una orden
+  // Cupón aplicado y total con descuento e IVA (el del carrito mientras
+  // no hay resumen)
+  const coupon = summary?.discount;
+  const orderTotal = summary ? summary.totalAmount : cartTotal;
+
+  // Inicia el pago de una orden guardada. Devuelve el pago, o null si la
+  // orden ya no se puede pagar (cancelada o no encontrada).
+  const resumeCheckout = async (orderId, token) => {
+    try {
+      const { data: payment } = await api.orders.checkout(orderId, token);
+      return payment;
+    } catch (error) {
+      const orderStatus = error.data?.orderStatus;
+      // Ya pagada: la página de resultado lo comprueba y vacía el carrito
+      if (orderStatus === "paid" || orderStatus === "completed") {
+        navigate(`/checkout/success?order=${orderId}`);
+        return { redirected: true };
+      }
+      if (error.status === 404 || orderStatus === "cancelled") {
+        pendingOrderStorage.clear();
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  // Crea la orden (o retoma la pendiente si el carrito no ha cambiado) y
+  // redirige a la pasarela de pago. El carrito se vacía al volver con el
+  // pago completado.
   const handleCheckout = async () => {
-    // Iniciamos estado de carga y reseteamos error/success
-    setStatus({ loading: true, error: null, success: false });
+    // Iniciamos estado de carga y reseteamos el error
+    setStatus({ loading: true, error: null });
 
     try {
       // Validar que el usuario esté autenticado
-      const token = localStorage.getItem("userToken");
+      const token = tokenStorage.getToken();
       if (!token) {
         throw new Error("Debes iniciar sesión para finalizar la compra.");
       }
       // Datos de la orden con el formato de la API
       const orderData = {
-        orderItems: cartItems.map((item) => ({
-          product: item._id,
-          quantity: item.quantity,
-        })),
+        orderItems: toOrderItems(cartItems),
+        couponCode: coupon?.code,
       };
-      // Crear la orden en el backend
-      await api.orders.create(orderData, token);
-      // Marcar como exitoso y limpiar el carrito
-      setStatus({ loading: false, error: null, success: true });
-      setTimeout(clearCart, 300);
+      // Retomar la orden pendiente de un intento anterior
+      const pending = pendingOrderStorage.get();
+      let payment = null;
+      if (
+        pending &&
+        JSON.stringify(pending.orderData) === JSON.stringify(orderData)
+      ) {
+        payment = await resumeCheckout(pending.orderId, token);
+      }
+      if (payment?.redirected) return;
+      // Si no, crear la orden en el backend e iniciar su pago
+      if (!payment) {
+        const { data: order } = await api.orders.create(orderData, token);
+        pendingOrderStorage.save(order._id, orderData);
+        ({ data: payment } = await api.orders.checkout(order._id, token));
+      }
+      window.location.assign(payment.checkoutUrl);
     } catch (error) {
       // Capta errores y muestra mensaje al usuario
       setStatus({
         loading: false,
         error: error.message || "Hubo un error al procesar tu orden.",
-        success: false,
       });
     }
   };
 
-  // Mensaje de éxito si la orden fue procesada
-  if (status.success) {
-    return (
-      <div className="Contact-successMessage">
-        <div className="Contact-successBox">
-          <h1
-            style={{
-              fontSize: "1.875rem",
-              fontWeight: "700",
-              marginBottom: "1rem",
-            }}
-          >
-            ¡Orden Realizada con Éxito!
-          </h1>
-          <p>Gracias por tu compra. Hemos recibido tu pedido.</p>
-          <Link
-            to="/"
-            className="Button"
-            style={{ marginTop: "1.5rem", display: "inline-block" }}
-          >
-            Volver al Inicio
-          </Link>
-        </div>
-      </div>
-    );
-  }
-
   return (
     <section className="u-section ShoppingCart">
       <div className="u-container">
@@ -98,7 +192,7 @@ const ShoppingCart = () => {
             <div className="ShoppingCart-itemsContainer">
               {/* Mapeo de cada producto en el carrito */}
               {cartItems.map((item) => (
-                <div key={item._id} className="CartItem">
+                <div key={item.cartKey} className="CartItem">
                   {/* Información del producto */}
                   <div className="CartItem-info">
                     <img
@@ -108,6 +202,16 @@ const ShoppingCart = () => {
                     />
                     <div className="CartItem-details">
                       <h3>{item.name}</h3>
+                      {/* Variante elegida */}
+                      {item.variant && (
+                        <p className="CartItem-variant">
+                          {describeVariant(item.variant)}
+                        </p>
+                      )}
+                      {/* Presupuesto del producto a medida */}
+                      {item.quote && (
+                        <p className="CartItem-variant">{item.quote.summary}</p>
+                      )}
                       <p>{item.price.toFixed(2)}€</p>
                     </div>
                   </div>
@@ -118,14 +222,14 @@ const ShoppingCart = () => {
                       type="number"
                       value={item.quantity}
                       onChange={(e) =>
-                        updateQuantity(item._id, parseInt(e.target.value))
+                        updateQuantity(item.cartKey, parseInt(e.target.value))
                       }
                       className="CartItem-quantity"
                       min="1"
                     />
                     {/* Botón para eliminar el producto del carrito de compras */}
                     <button
-                      onClick={() => removeFromCart(item._id)}
+                      onClick={() => removeFromCart(item.cartKey)}
                       className="CartItem-remove"
                     >
                       {/* Icono de papelera */}
@@ -155,18 +259,82 @@ const ShoppingCart = () => {
                 <span>Subtotal</span>
                 <span>{cartTotal.toFixed(2)}€</span>
               </div>
+              {/* Fila del descuento del cupón */}
+              {coupon && (
+                <div className="ShoppingCart-summaryRow ShoppingCart-discount">
+                  <span>
+                    Cupón {coupon.code}{" "}
+                    <button
+                      onClick={handleRemoveCoupon}
+                      className="ShoppingCart-couponRemove"
+                    >
+                      Quitar
+                    </button>
+                  </span>
+                  <span>-{coupon.amount.toFixed(2)}€</span>
+                </div>
+              )}
+              {/* Campo para aplicar un cupón de descuento */}
+              {!coupon && (
+                <form
+                  onSubmit={handleApplyCoupon}
+                  className="ShoppingCart-coupon"
+                >
+                  <input
+                    type="text"
+                    value={couponInput}
+                    onChange={(e) => setCouponInput(e.target.value)}
+                    placeholder="Código de descuento"
+                    aria-label="Código de descuento"
+                    className="Form-input"
+                  />
+                  <button
+                    type="submit"
+                    disabled={couponStatus.loading || !couponInput.trim()}
+                    className="Button ShoppingCart-couponButton"
+                  >
+                    {couponStatus.loading ? "..." : "Aplicar"}
+                  </button>
+                </form>
+              )}
+              {couponStatus.error && (
+                <p className="ShoppingCart-couponError">{couponStatus.error}</p>
+              )}
+              {/* Desglose del IVA por tipo */}
+              {summary && (
+                <>
+                  <div className="ShoppingCart-summaryRow">
+                    <span>Base imponible</span>
+                    <span>{summary.netAmount.toFixed(2)}€</span>
+                  </div>
+                  {summary.taxBreakdown.map((tax) => (
+                    <div
+                      key={tax.rate}
+                      className="ShoppingCart-summaryRow ShoppingCart-tax"
+                    >
+                      <span>IVA {tax.rate}%</span>
+                      <span>{tax.tax.toFixed(2)}€</span>
+                    </div>
+                  ))}
+                </>
+              )}
               {/* Fila de total */}
               <div className="ShoppingCart-summaryTotal">
                 <span>Total</span>
-                <span>{cartTotal.toFixed(2)}€</span>
+                <span>{orderTotal.toFixed(2)}€</span>
               </div>
+              {summary?.pricesIncludeTax && (
+                <p className="ShoppingCart-taxNote">Los precios incluyen IVA</p>
+              )}
               {/* Botón para finalizar la compra */}
               <button
                 onClick={handleCheckout}
                 disabled={status.loading}
                 className="Button"
               >
-                {status.loading ? "Procesando..." : "Finalizar Compra"}
+                {status.loading
+                  ? "Redirigiendo al pago..."
+                  : "Finalizar Compra"}
               </button>
               {/* Mensaje de error si la petición falla */}
               {status.error && (
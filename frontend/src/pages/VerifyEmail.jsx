@@ -0,0 +1,90 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Página de verificación de email
+ * ============================================
+ */
+
+import { useState, useEffect } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { api } from "@/services/api";
+import { useAuth } from "@/context/AuthContext";
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const { user, updateUserInfo } = useAuth();
+  const [status, setStatus] = useState({ loading: true, error: "" });
+  // Id de la cuenta verificada con el enlace
+  const [verifiedId, setVerifiedId] = useState(null);
+
+  // Enviamos el token del enlace a la API
+  useEffect(() => {
+    // Controlador para cancelar la petición
+    const controller = new AbortController();
+    // Fetch
+    const verify = async () => {
+      try {
+        const response = await api.auth.verifyEmail(token, {
+          signal: controller.signal,
+        });
+        setVerifiedId(response.data._id);
+        setStatus({ loading: false, error: "" });
+      } catch (err) {
+        // Captamos errores
+        if (err.name !== "AbortError") {
+          setStatus({
+            loading: false,
+            error: err.message || "No se pudo verificar tu email.",
+          });
+        }
+      }
+    };
+
+    if (token) {
+      verify();
+    } else {
+      setStatus({ loading: false, error: "El enlace no es válido." });
+    }
+
+    return () => controller.abort();
+  }, [token]);
+
+  // Si es la cuenta con sesión abierta, actualizamos sus datos
+  useEffect(() => {
+    if (verifiedId && user?._id === verifiedId && !user.emailVerified) {
+      updateUserInfo({ emailVerified: true });
+    }
+  }, [verifiedId, user, updateUserInfo]);
+
+  // Mensaje de carga mientras se verifica
+  if (status.loading)
+    return <div className="u-loadingMessage">Verificando tu email...</div>;
+
+  return (
+    <div className="Contact-successMessage">
+      <div className="Contact-successBox">
+        {status.error ? (
+          <>
+            <h2>No se pudo verificar tu email</h2>
+            <p>{status.error}</p>
+            <p>Puedes solicitar un nuevo enlace desde tu cuenta.</p>
+          </>
+        ) : (
+          <>
+            <h2>¡Email verificado!</h2>
+            <p>Ya puedes realizar pedidos con tu cuenta.</p>
+          </>
+        )}
+        <Link
+          to={user ? "/account" : "/profile"}
+          className="Button"
+          style={{ marginTop: "1.5rem", display: "inline-block" }}
+        >
+          {user ? "Ir a mi cuenta" : "Iniciar sesión"}
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
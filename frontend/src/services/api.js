@@ -5,19 +5,123 @@
  */
 
 const BASE_URL = import.meta.env.VITE_API_URL;
+// Claves de la sesión en localStorage
+const TOKEN_KEY = "userToken";
+const REFRESH_TOKEN_KEY = "refreshToken";
+// Orden del carrito pendiente de pago en localStorage
+const PENDING_ORDER_KEY = "pendingOrder";
+// Renovación en curso, compartida por las peticiones simultáneas
+let refreshPromise = null;
+// Acción cuando la sesión ya no es válida (la registra AuthProvider)
+let unauthorizedHandler = null;
+
+// Registra la acción a ejecutar cuando una petición autenticada recibe 401
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// Maneja los tokens de la sesión guardados en localStorage
+export const tokenStorage = {
+  getToken: () => localStorage.getItem(TOKEN_KEY),
+  getRefreshToken: () => localStorage.getItem(REFRESH_TOKEN_KEY),
+  save: ({ token, refreshToken }) => {
+    localStorage.setItem(TOKEN_KEY, token);
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  },
+  clear: () => {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+  },
+};
+
+// Maneja la orden pendiente de pago del carrito, para retomarla al
+// reintentar el pago en lugar de crear otra
+export const pendingOrderStorage = {
+  get: () => {
+    try {
+      return JSON.parse(localStorage.getItem(PENDING_ORDER_KEY));
+    } catch {
+      return null;
+    }
+  },
+  save: (orderId, orderData) => {
+    localStorage.setItem(
+      PENDING_ORDER_KEY,
+      JSON.stringify({ orderId, orderData })
+    );
+  },
+  clear: () => localStorage.removeItem(PENDING_ORDER_KEY),
+};
+
 // Maneja las respuestas de la API
 const handleResponse = async (response) => {
   // Parsear la respuesta como JSON
   const data = await response.json();
   // Si la respuesta no fue exitosa, mostrar error
   if (!response.ok) {
-    const error = (data && data.msg) || response.statusText;
-    throw new Error(error);
+    const error = new Error((data && data.msg) || response.statusText);
+    // Código de estado y datos extra (p. ej. retryAfter en un 429)
+    error.status = response.status;
+    error.data = data && data.data;
+    throw error;
   }
   // Return si los datos estan correctos 
   return data;
 };
 
+// Construye la URL completa de un endpoint
+const buildUrl = (endpoint) => {
+  let baseUrl = BASE_URL.replace(/\/$/, "");
+  // Aseguramos que siempre incluya el /api
+  if (!baseUrl.endsWith("/api")) {
+    baseUrl = `${baseUrl}/api`;
+  }
+  return `${baseUrl}/${endpoint.replace(/^\//, "")}`;
+};
+
+// Construye la query string de un objeto, omitiendo valores vacíos
+const buildQueryString = (query = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === "") return;
+    params.set(key, Array.isArray(value) ? value.join(",") : value);
+  });
+  const queryString = params.toString();
+  return queryString ? `?${queryString}` : "";
+};
+
+// Renueva el token de acceso con el refresh token guardado.
+// Devuelve el nuevo token o null si la sesión ya no es válida.
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = tokenStorage.getRefreshToken();
+      if (!refreshToken) return null;
+      try {
+        const response = await fetch(buildUrl("auth/refresh"), {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            accept: "application/json",
+          },
+          body: JSON.stringify({ refreshToken }),
+        });
+        if (!response.ok) return null;
+        const { data } = await response.json();
+        // Guardamos el nuevo par, el refresh token anterior ya no sirve
+        tokenStorage.save(data);
+        return data.token;
+      } catch (error) {
+        console.error("Error al renovar la sesión:", error);
+        return null;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 // Realizar peticiones a la API
 export const apiRequest = async (
   endpoint,
@@ -27,13 +131,7 @@ export const apiRequest = async (
   options = {}
 ) => {
   // Configuración
-  let baseUrl = BASE_URL.replace(/\/$/, "");
-  // Aseguramos que siempre incluya el /api
-  if (!baseUrl.endsWith("/api")) {
-    baseUrl = `${baseUrl}/api`;
-  }
-
-  const url = `${baseUrl}/${endpoint.replace(/^\//, "")}`;
+  const url = buildUrl(endpoint);
   const headers = {
     "Content-Type": "application/json",
     accept: "application/json",
@@ -55,7 +153,19 @@ export const apiRequest = async (
   }
 
   try {
-    const response = await fetch(url, fetchOptions);
+    let response = await fetch(url, fetchOptions);
+    // Si el token expiró, lo renovamos y repetimos la petición una vez
+    if (response.status === 401 && token) {
+      const newToken = await refreshSession();
+      if (newToken) {
+        headers["Authorization"] = `Bearer ${newToken}`;
+        response = await fetch(url, fetchOptions);
+      }
+      // La sesión no se pudo renovar: se cierra en toda la aplicación
+      if (response.status === 401 && unauthorizedHandler) {
+        unauthorizedHandler();
+      }
+    }
     return handleResponse(response);
   } catch (error) {
     // Error en consola
@@ -69,15 +179,67 @@ export const api = {
   auth: {
     login: (credentials, options = {}) =>
       apiRequest("auth/login", "POST", credentials, null, options),
+    loginTwoFactor: (challengeData, options = {}) =>
+      apiRequest("auth/login/2fa", "POST", challengeData, null, options),
     register: (userData, options = {}) =>
       apiRequest("auth/register", "POST", userData, null, options),
+    logout: (token, options = {}) =>
+      apiRequest("auth/logout", "POST", null, token, options),
+    logoutAll: (token, options = {}) =>
+      apiRequest("auth/logout-all", "POST", null, token, options),
+    forgotPassword: (email, options = {}) =>
+      apiRequest("auth/forgot-password", "POST", { email }, null, options),
+    resetPassword: (resetData, options = {}) =>
+      apiRequest("auth/reset-password", "POST", resetData, null, options),
+    verifyEmail: (verificationToken, options = {}) =>
+      apiRequest(
+        "auth/verify-email",
+        "POST",
+        { token: verificationToken },
+        null,
+        options
+      ),
+    resendVerification: (token, options = {}) =>
+      apiRequest("auth/verify-email/resend", "POST", null, token, options),
     getProfile: (token, options = {}) =>
       apiRequest("auth/profile", "GET", null, token, options),
   },
+  sessions: {
+    get: (token, options = {}) =>
+      apiRequest("auth/sessions", "GET", null, token, options),
+    revoke: (id, token, options = {}) =>
+      apiRequest(`auth/sessions/${id}`, "DELETE", null, token, options),
+  },
+  apiKeys: {
+    get: (token, options = {}) =>
+      apiRequest("auth/api-keys", "GET", null, token, options),
+    create: (keyData, token, options = {}) =>
+      apiRequest("auth/api-keys", "POST", keyData, token, options),
+    revoke: (id, token, options = {}) =>
+      apiRequest(`auth/api-keys/${id}`, "DELETE", null, token, options),
+  },
+  twoFactor: {
+    setup: (token, options = {}) =>
+      apiRequest("auth/2fa/setup", "POST", null, token, options),
+    enable: (code, token, options = {}) =>
+      apiRequest("auth/2fa/enable", "POST", { code }, token, options),
+    disable: (credentials, token, options = {}) =>
+      apiRequest("auth/2fa/disable", "POST", credentials, token, options),
+    regenerateRecoveryCodes: (code, token, options = {}) =>
+      apiRequest("auth/2fa/recovery-codes", "POST", { code }, token, options),
+  },
+  users: {
+    exportMyData: (token, options = {}) =>
+      apiRequest("users/me/export", "GET", null, token, options),
+    deleteMyAccount: (credentials, token, options = {}) =>
+      apiRequest("users/me", "DELETE", credentials, token, options),
+  },
   products: {
-    get: (category = "", options = {}) =>
+    // query: { category, minPrice, maxPrice, sort, page, limit }
+    // category admite un array para filtrar por varias categorías
+    get: (query = {}, options = {}) =>
       apiRequest(
-        `products${category ? `?category=${category}` : ""}`,
+        `products${buildQueryString(query)}`,
         "GET",
         null,
         null,
@@ -85,17 +247,69 @@ export const api = {
       ),
     getById: (id, options = {}) =>
       apiRequest(`products/${id}`, "GET", null, null, options),
+    getBySlug: (slug, options = {}) =>
+      apiRequest(`products/slug/${slug}`, "GET", null, null, options),
     getWithGallery: (category, options = {}) =>
       apiRequest(`products/category/${category}`, "GET", null, null, options),
+    getLowStock: (threshold, token, options = {}) =>
+      apiRequest(
+        `products/low-stock${buildQueryString({ threshold })}`,
+        "GET",
+        null,
+        token,
+        options
+      ),
+    // query: los filtros de get más status (active, archived, deleted o all)
+    getAdmin: (query = {}, token, options = {}) =>
+      apiRequest(
+        `products/admin${buildQueryString(query)}`,
+        "GET",
+        null,
+        token,
+        options
+      ),
+    archive: (id, token, options = {}) =>
+      apiRequest(`products/${id}/archive`, "PUT", null, token, options),
+    restore: (id, token, options = {}) =>
+      apiRequest(`products/${id}/restore`, "PUT", null, token, options),
+    delete: (id, token, options = {}) =>
+      apiRequest(`products/${id}`, "DELETE", null, token, options),
+  },
+  search: {
+    // query: { q, limit }. Busca en productos, galerías y contenido
+    get: (query = {}, options = {}) =>
+      apiRequest(`search${buildQueryString(query)}`, "GET", null, null, options),
+  },
+  quotes: {
+    // quoteData: { width, height, location, surface, distanceKm }
+    mural: (quoteData, options = {}) =>
+      apiRequest("quotes/mural", "POST", quoteData, null, options),
+  },
+  categories: {
+    get: (options = {}) =>
+      apiRequest("categories", "GET", null, null, options),
   },
   content: {
     get: (sectionName, options = {}) =>
       apiRequest(`content/${sectionName}`, "GET", null, null, options),
   },
+  coupons: {
+    // couponData: { code, orderItems } con el formato de orders.create
+    validate: (couponData, token, options = {}) =>
+      apiRequest("coupons/validate", "POST", couponData, token, options),
+  },
   orders: {
     create: (orderData, token, options = {}) =>
       apiRequest("orders", "POST", orderData, token, options),
+    // Iniciar el pago de una orden: devuelve la URL de la pasarela
+    checkout: (orderId, token, options = {}) =>
+      apiRequest(`orders/${orderId}/checkout`, "POST", null, token, options),
+    // Total con el cupón y el desglose del IVA, sin crear la orden
+    preview: (orderData, token, options = {}) =>
+      apiRequest("orders/preview", "POST", orderData, token, options),
     getMyOrders: (token, options = {}) =>
       apiRequest("orders/myorders", "GET", null, token, options),
+    getById: (orderId, token, options = {}) =>
+      apiRequest(`orders/${orderId}`, "GET", null, token, options),
   },
 };
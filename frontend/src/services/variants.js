@@ -0,0 +1,44 @@
+/** -------------------------------------------------------------------
+ * ============================================
+ * Variantes de productos
+ * ============================================
+ */
+
+// Atributos que pueden distinguir las variantes de un producto
+const VARIANT_ATTRIBUTES = [
+  { key: "garment", label: "Prenda" },
+  { key: "size", label: "Talla" },
+  { key: "color", label: "Color" },
+];
+
+// Texto de una variante, p. ej. "Camiseta · M · Negro"
+export const describeVariant = (variant) =>
+  VARIANT_ATTRIBUTES.map(({ key }) => variant[key])
+    .filter(Boolean)
+    .join(" · ");
+
+// Atributos usados por las variantes con sus valores posibles
+export const getVariantOptions = (variants = []) =>
+  VARIANT_ATTRIBUTES.map((attribute) => ({
+    ...attribute,
+    values: [
+      ...new Set(variants.map((variant) => variant[attribute.key])),
+    ].filter(Boolean),
+  })).filter(({ values }) => values.length > 0);
+
+// Variante que coincide con los valores elegidos
+export const findVariant = (variants = [], selection = {}) =>
+  variants.find((variant) =>
+    VARIANT_ATTRIBUTES.every(
+      ({ key }) => (variant[key] || "") === (selection[key] || "")
+    )
+  ) || null;
+
+// Valores elegidos por defecto: los de la primera variante disponible
+export const getDefaultSelection = (variants = []) => {
+  const variant = variants.find((v) => v.available) || variants[0];
+  if (!variant) return {};
+  return Object.fromEntries(
+    VARIANT_ATTRIBUTES.map(({ key }) => [key, variant[key] || ""])
+  );
+};